@@ -44,6 +44,7 @@ const buildWith = async (
     entryPoints: [
       "src/americana.js",
       "src/bare_americana.js",
+      "src/americana_map.js",
       "src/shieldtest.js",
     ],
     format: "esm",
@@ -76,6 +77,15 @@ const buildWith = async (
     },
   };
 
+  // The shield library's Node.js entry point draws with node-canvas, which must
+  // not be bundled.
+  const shieldLibNodeOptions = {
+    ...shieldLibOptions,
+    entryPoints: ["shieldlib/src/node.ts"],
+    platform: "node",
+    external: ["canvas"],
+  };
+
   // esbuild will pretty-print its own error messages;
   // suppress node.js from printing the exception.
   const suppressErrors = () => process.exit(1);
@@ -83,6 +93,7 @@ const buildWith = async (
   return await Promise.all([
     esbuild[key](options).catch(suppressErrors),
     esbuild[key](shieldLibOptions).catch(suppressErrors),
+    esbuild[key](shieldLibNodeOptions).catch(suppressErrors),
   ]);
 };
 
@@ -0,0 +1,71 @@
+import * as fs from "node:fs";
+import * as path from "node:path";
+
+import { Command, type OptionValues } from "commander";
+
+import {
+  buildControlCities,
+  parseControlCityCSV,
+  readOSMFeatures,
+  type ControlCityRow,
+  type OSMFeature,
+} from "./control_city_data.js";
+
+/**
+ * Builds the GeoJSON file behind the `controlcities` source from the curated
+ * control city lists and, optionally, an OpenStreetMap extract that supplies
+ * translated names and the destinations that signs name most often.
+ */
+
+const defaultMinSigns = 10;
+
+const program = new Command();
+program
+  .option(
+    "-c, --csv <file>",
+    "curated control city list",
+    "data/control_cities.csv"
+  )
+  .option("--no-csv", "only include destinations signed in the OSM extract")
+  .option(
+    "--osm <file>",
+    "GeoJSON or GeoJSON sequence of place nodes and ways with destination tags, such as from `osmium export`"
+  )
+  .option(
+    "-m, --min-signs <count>",
+    `number of destination signs in the extract that make an unlisted place a control city (default: ${defaultMinSigns} without a curated list)`
+  )
+  .option("-o, --outfile <file>", "output file", "dist/controlcities.geojson");
+program.parse(process.argv);
+
+const opts: OptionValues = program.opts();
+
+if (!opts.csv && !opts.osm) {
+  console.error("Specify a curated control city list, an OSM extract or both");
+  process.exit(1);
+}
+
+let rows: ControlCityRow[] = [];
+if (opts.csv) {
+  rows = parseControlCityCSV(fs.readFileSync(opts.csv, "utf8"));
+}
+
+let osmFeatures: OSMFeature[] = [];
+if (opts.osm) {
+  osmFeatures = readOSMFeatures(opts.osm);
+}
+
+// With a curated list, the extract only supplies translations unless asked to
+// add the most signed destinations.
+let minSigns = opts.csv ? Infinity : defaultMinSigns;
+if (opts.minSigns) {
+  minSigns = parseInt(opts.minSigns);
+}
+const features = buildControlCities(rows, osmFeatures, minSigns);
+
+fs.mkdirSync(path.dirname(opts.outfile), { recursive: true });
+fs.writeFileSync(
+  opts.outfile,
+  JSON.stringify({ type: "FeatureCollection", features })
+);
+console.log(`Wrote ${features.length} control cities to ${opts.outfile}`);
@@ -0,0 +1,305 @@
+import * as fs from "node:fs";
+
+/** A GeoJSON feature as exported from OpenStreetMap, with tags as properties */
+export interface OSMFeature {
+  type: "Feature";
+  properties: { [tag: string]: string };
+  geometry: {
+    type: string;
+    coordinates: any;
+  };
+}
+
+/** A row of a curated control city list */
+export interface ControlCityRow {
+  /** ISO 3166-2 code of the state whose DOT signs the city, such as US-IL */
+  state: string;
+  name: string;
+  longitude: number;
+  latitude: number;
+  /** Value of the capital=* tag, if the city is a capital */
+  capital?: number;
+}
+
+/** A place named on destination signs */
+export interface ControlCity {
+  type: "Feature";
+  properties: {
+    name: string;
+    [key: string]: string | number;
+  };
+  geometry: {
+    type: "Point";
+    coordinates: [number, number];
+  };
+}
+
+/** Places that destination signs may name */
+const placeClasses = ["city", "town", "village", "hamlet"];
+
+/** Greatest distance between a listed city and the place in OSM, in km */
+const maxMatchDistance = 25;
+
+const earthRadius = 6371; /* km */
+
+/** Returns the great-circle distance between two points in km. */
+export function distance(
+  [lon1, lat1]: [number, number],
+  [lon2, lat2]: [number, number]
+): number {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLon = (lon2 - lon1) * rad;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * earthRadius * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Splits CSV text into rows of fields, honoring double-quoted fields.
+ */
+export function parseCSV(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+/**
+ * Reads a curated control city list from CSV text with a header row naming
+ * the `state`, `name`, `longitude`, `latitude` and optional `capital`
+ * columns.
+ */
+export function parseControlCityCSV(text: string): ControlCityRow[] {
+  const [header, ...rows] = parseCSV(text);
+  const columns = header.map((column) => column.trim());
+  for (const required of ["state", "name", "longitude", "latitude"]) {
+    if (!columns.includes(required)) {
+      throw new Error(`Control city list is missing the ${required} column`);
+    }
+  }
+  return rows.map((fields, i) => {
+    const record = Object.fromEntries(
+      columns.map((column, j) => [column, fields[j]?.trim() ?? ""])
+    );
+    const longitude = parseFloat(record.longitude);
+    const latitude = parseFloat(record.latitude);
+    if (!record.name || isNaN(longitude) || isNaN(latitude)) {
+      throw new Error(`Invalid control city on line ${i + 2}`);
+    }
+    return {
+      state: record.state,
+      name: record.name,
+      longitude,
+      latitude,
+      ...(record.capital ? { capital: parseInt(record.capital) } : {}),
+    };
+  });
+}
+
+/**
+ * Reads OSM features from a GeoJSON file or a GeoJSON text sequence, such as
+ * the output of `osmium export`.
+ */
+export function readOSMFeatures(path: string): OSMFeature[] {
+  const text = fs.readFileSync(path, "utf8");
+  if (text.trimStart().startsWith("{") && !path.endsWith("seq")) {
+    const json = JSON.parse(text);
+    return json.type === "FeatureCollection" ? json.features : [json];
+  }
+  return text
+    .split(/[\n\x1e]/)
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+function firstCoordinate(feature: OSMFeature): [number, number] | undefined {
+  let coordinates = feature.geometry?.coordinates;
+  while (Array.isArray(coordinates?.[0])) {
+    coordinates = coordinates[0];
+  }
+  return coordinates;
+}
+
+/** Returns the nearest of the given places to a point. */
+function nearest(
+  places: OSMFeature[],
+  point: [number, number]
+): { place: OSMFeature; km: number } | undefined {
+  let best: { place: OSMFeature; km: number } | undefined;
+  for (const place of places) {
+    const km = distance(firstCoordinate(place), point);
+    if (!best || km < best.km) {
+      best = { place, km };
+    }
+  }
+  return best;
+}
+
+function placesByName(features: OSMFeature[]): Map<string, OSMFeature[]> {
+  const places = new Map<string, OSMFeature[]>();
+  for (const feature of features) {
+    const { name, place } = feature.properties ?? {};
+    if (
+      !name ||
+      !placeClasses.includes(place) ||
+      feature.geometry?.type !== "Point"
+    ) {
+      continue;
+    }
+    places.set(name, [...(places.get(name) ?? []), feature]);
+  }
+  return places;
+}
+
+/**
+ * Counts how many ways sign each place as a destination. Each name in a
+ * way's `destination` tag counts toward the nearest place by that name.
+ *
+ * @returns Sign counts keyed by place feature.
+ */
+export function countDestinationSigns(
+  features: OSMFeature[]
+): Map<OSMFeature, number> {
+  const places = placesByName(features);
+  const counts = new Map<OSMFeature, number>();
+  for (const feature of features) {
+    const destination = feature.properties?.destination;
+    const signLocation = firstCoordinate(feature);
+    if (!destination || !signLocation) {
+      continue;
+    }
+    const names = new Set(destination.split(";").map((n) => n.trim()));
+    for (const name of names) {
+      const match = nearest(places.get(name) ?? [], signLocation);
+      if (match) {
+        counts.set(match.place, (counts.get(match.place) ?? 0) + 1);
+      }
+    }
+  }
+  return counts;
+}
+
+function translations(place: OSMFeature | undefined): {
+  [key: string]: string;
+} {
+  return Object.fromEntries(
+    Object.entries(place?.properties ?? {}).filter(([key]) =>
+      key.startsWith("name:")
+    )
+  );
+}
+
+/** Returns the admin level of the capital=* tag, where "yes" means a country */
+function capitalLevel(place: OSMFeature | undefined): number {
+  const capital = place?.properties.capital;
+  return capital === "yes" ? 2 : parseInt(capital);
+}
+
+function pointFeature(
+  coordinates: [number, number],
+  properties: ControlCity["properties"]
+): ControlCity {
+  return {
+    type: "Feature",
+    properties,
+    geometry: { type: "Point", coordinates },
+  };
+}
+
+/**
+ * Builds control city features from a curated list, from the destination
+ * signs in an OSM extract, or from both. Listed cities take their
+ * translations from the nearest place of the same name in the extract.
+ *
+ * @param rows Curated control cities.
+ * @param osmFeatures Places and signed ways from an OSM extract.
+ * @param minSigns Number of signs that make a place in the extract a control
+ *   city even if it is not listed.
+ */
+export function buildControlCities(
+  rows: ControlCityRow[],
+  osmFeatures: OSMFeature[],
+  minSigns = Infinity
+): ControlCity[] {
+  const places = placesByName(osmFeatures);
+  const signs = countDestinationSigns(osmFeatures);
+  const cities: ControlCity[] = [];
+  const listedPlaces = new Set<OSMFeature>();
+
+  for (const row of rows) {
+    const location: [number, number] = [row.longitude, row.latitude];
+    const match = nearest(places.get(row.name) ?? [], location);
+    const place = match && match.km <= maxMatchDistance ? match.place : null;
+    if (place) {
+      listedPlaces.add(place);
+    }
+
+    const capital = row.capital ?? capitalLevel(place);
+    cities.push(
+      pointFeature(location, {
+        ...translations(place),
+        name: row.name,
+        state: row.state,
+        ...(isNaN(capital) ? {} : { capital }),
+        ...(signs.has(place) ? { signs: signs.get(place) } : {}),
+      })
+    );
+  }
+
+  for (const [place, count] of signs) {
+    if (count < minSigns || listedPlaces.has(place)) {
+      continue;
+    }
+    const capital = capitalLevel(place);
+    cities.push(
+      pointFeature(firstCoordinate(place), {
+        ...translations(place),
+        name: place.properties.name,
+        ...(isNaN(capital) ? {} : { capital }),
+        signs: count,
+      })
+    );
+  }
+
+  return cities.sort(
+    (a, b) =>
+      ((b.properties.signs as number) ?? 0) -
+        ((a.properties.signs as number) ?? 0) ||
+      a.properties.name.localeCompare(b.properties.name)
+  );
+}
@@ -5,6 +5,8 @@ import { validateStyleMin as validate } from "@maplibre/maplibre-gl-style-spec";
 import type { StyleSpecification } from "maplibre-gl";
 
 import * as Style from "../src/js/style.js";
+import * as TileSchema from "../src/schema/index.js";
+import * as Theme from "../src/js/theme.js";
 import config from "../src/config.js";
 
 /**
@@ -15,16 +17,34 @@ import config from "../src/config.js";
 const program = new Command();
 program
   .option("-l, --locales <locale1 locale2...>", "language codes", ["mul"])
+  .option(
+    "--tiles <url>",
+    "TileJSON, tile template or PMTiles URL",
+    config.OPENMAPTILES_URL
+  )
+  .option(
+    "-s, --schema <schema>",
+    `vector tile schema (${Object.keys(TileSchema.schemas).join(", ")})`,
+    config.TILE_SCHEMA
+  )
+  .option(
+    "-t, --theme <theme>",
+    `color theme (${Object.keys(Theme.palettes).join(", ")})`,
+    "light"
+  )
   .option("-o, --outfile <file>", "output file", "-");
 program.parse(process.argv);
 
 const opts: OptionValues = program.opts();
 
 const style: StyleSpecification = Style.build(
-  config.OPENMAPTILES_URL,
+  opts.tiles,
   "https://aaroads-wiki.github.io/openstreetmap-americana/sprites/sprite",
   "https://font.americanamap.org/{fontstack}/{range}.pbf",
-  opts.locales
+  opts.locales,
+  TileSchema.getSchema(opts.schema),
+  Theme.getPalette(opts.theme),
+  "https://aaroads-wiki.github.io/openstreetmap-americana/controlcities.geojson"
 );
 
 const errors = validate(style);
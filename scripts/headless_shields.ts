@@ -0,0 +1,63 @@
+import * as fs from "node:fs";
+
+import type { OptionValues } from "commander";
+import {
+  HeadlessShieldRenderer,
+  SpriteSheetRepository,
+  type ShieldImageFormat,
+  type ShieldSpecification,
+} from "@americana/maplibre-shield-generator/node";
+
+import * as ShieldDef from "../src/js/shield_defs.js";
+import { routeParser, networkPredicate } from "../src/js/shield_format.js";
+
+/**
+ * Returns a shield specification, either Americana's own or one loaded from a
+ * ShieldJSON file.
+ */
+export function loadShieldSpec(shieldsPath?: string): ShieldSpecification {
+  if (shieldsPath) {
+    return JSON.parse(fs.readFileSync(shieldsPath, "utf8"));
+  }
+  // TODO: update types after loadShields is updated to return ShieldSpecification
+  return ShieldDef.loadShields() as unknown as ShieldSpecification;
+}
+
+/**
+ * Creates a renderer from the `--shields`, `--sprites` and `--pixel-ratio`
+ * command line options.
+ */
+export async function createRenderer(
+  opts: OptionValues,
+  format: ShieldImageFormat
+): Promise<HeadlessShieldRenderer> {
+  const pixelRatio = parseInt(opts.pixelRatio);
+  let spriteRepo = new SpriteSheetRepository();
+  if (fs.existsSync(`${opts.sprites}.json`)) {
+    spriteRepo = await spriteRepo.loadSpriteSheet(opts.sprites, pixelRatio);
+  } else {
+    console.warn(
+      `No sprite sheet at ${opts.sprites}; only drawn shields will render. Run \`npm run sprites\` first.`
+    );
+  }
+  const renderer = new HeadlessShieldRenderer(
+    loadShieldSpec(opts.shields),
+    routeParser,
+    { format, pixelRatio, spriteRepo }
+  );
+  renderer.filterNetwork(networkPredicate);
+  return renderer;
+}
+
+/** Renders a shield, returning null for networks that never get shields. */
+export function renderShield(
+  renderer: HeadlessShieldRenderer,
+  network: string,
+  ref: string,
+  name: string
+): Buffer | null {
+  if (!networkPredicate(network)) {
+    return null;
+  }
+  return renderer.renderToBuffer(network, ref, name);
+}
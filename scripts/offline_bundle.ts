@@ -0,0 +1,181 @@
+import * as fs from "node:fs";
+import * as path from "node:path";
+
+import { Command, type OptionValues } from "commander";
+
+import * as Style from "../src/js/style.js";
+import * as TileSchema from "../src/schema/index.js";
+import * as Theme from "../src/js/theme.js";
+import config from "../src/config.js";
+import {
+  bundleStyle,
+  fontStacks,
+  openTileArchive,
+  parseBBox,
+  tilesInBBox,
+} from "./tile_archive.js";
+
+/**
+ * Packages the map for a bounding box into a directory that works without an
+ * internet connection. Run `npm run build` first.
+ */
+
+const program = new Command();
+program
+  .requiredOption(
+    "-b, --bbox <west,south,east,north>",
+    "area to export, in degrees"
+  )
+  .requiredOption("-t, --tiles <file>", "PMTiles or MBTiles archive")
+  .option("-z, --min-zoom <zoom>", "lowest zoom level to export", "0")
+  .option("-Z, --max-zoom <zoom>", "highest zoom level to export", "14")
+  .option("-l, --locales <locale1 locale2...>", "language codes", ["mul"])
+  .option(
+    "-s, --schema <schema>",
+    `vector tile schema (${Object.keys(TileSchema.schemas).join(", ")})`,
+    config.TILE_SCHEMA
+  )
+  .option(
+    "--theme <theme>",
+    `color theme (${Object.keys(Theme.palettes).join(", ")})`,
+    "light"
+  )
+  .option(
+    "--glyph-ranges <count>",
+    "number of 256-character glyph ranges to download, starting at U+0000",
+    "32"
+  )
+  .option("-d, --directory <dir>", "Americana distribution to package", "dist")
+  .option("-o, --outdir <dir>", "output directory", "dist/offline");
+program.parse(process.argv);
+
+const opts: OptionValues = program.opts();
+
+const appFiles = [
+  "bare_map.html",
+  "bare_americana.js",
+  "americana.css",
+  "bare_americana.css",
+  "controlcities.geojson",
+];
+const requiredFiles = [
+  "bare_map.html",
+  "bare_americana.js",
+  "shields.json",
+  "sprites/sprite.json",
+];
+
+for (const file of requiredFiles) {
+  if (!fs.existsSync(path.join(opts.directory, file))) {
+    console.error(
+      `Missing ${path.join(opts.directory, file)}. Run \`npm run build\` first.`
+    );
+    process.exit(1);
+  }
+}
+
+const bbox = parseBBox(opts.bbox);
+const archive = await openTileArchive(opts.tiles);
+const minZoom = Math.max(parseInt(opts.minZoom), archive.minZoom);
+const maxZoom = Math.min(parseInt(opts.maxZoom), archive.maxZoom);
+
+const writeFile = (file: string, data: string | Uint8Array) => {
+  const outPath = path.join(opts.outdir, file);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, data);
+};
+
+// Tiles
+let tileCount = 0;
+for (const [z, x, y] of tilesInBBox(bbox, minZoom, maxZoom)) {
+  const tile = await archive.getTile(z, x, y);
+  if (!tile) continue;
+  writeFile(`tiles/${z}/${x}/${y}.pbf`, tile);
+  if (++tileCount % 1000 === 0) {
+    console.log(`Exported ${tileCount} tiles`);
+  }
+}
+await archive.close();
+console.log(`Exported ${tileCount} tiles at z${minZoom}–${maxZoom}`);
+
+// Style
+const style = bundleStyle(
+  Style.build(
+    "",
+    "sprites/sprite",
+    "fonts/{fontstack}/{range}.pbf",
+    opts.locales,
+    TileSchema.getSchema(opts.schema),
+    Theme.getPalette(opts.theme),
+    fs.existsSync(path.join(opts.directory, "controlcities.geojson"))
+      ? "controlcities.geojson"
+      : undefined
+  ),
+  bbox,
+  minZoom,
+  maxZoom,
+  archive.attribution
+);
+writeFile("style.json", JSON.stringify(style));
+
+// Glyphs
+const glyphURL =
+  config.FONT_URL ?? "https://font.americanamap.org/{fontstack}/{range}.pbf";
+for (const fontStack of fontStacks(style)) {
+  for (let i = 0; i < parseInt(opts.glyphRanges); i++) {
+    const range = `${i * 256}-${i * 256 + 255}`;
+    const res = await fetch(
+      glyphURL
+        .replace("{fontstack}", encodeURIComponent(fontStack))
+        .replace("{range}", range)
+    );
+    if (!res.ok) {
+      console.warn(`No glyphs for ${fontStack} ${range}: ${res.status}`);
+      continue;
+    }
+    writeFile(
+      `fonts/${fontStack}/${range}.pbf`,
+      new Uint8Array(await res.arrayBuffer())
+    );
+  }
+  console.log(`Downloaded glyphs for ${fontStack}`);
+}
+
+// Web fonts for shield text
+let fontsCSS = fs.readFileSync(path.join(opts.directory, "fonts.css"), "utf8");
+for (const [, url] of fontsCSS.matchAll(/url\("(https?:[^"]+)"\)/g)) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    console.warn(`Unable to download ${url}: ${res.status}`);
+    continue;
+  }
+  const file = `webfonts/${path.basename(new URL(url).pathname)}`;
+  writeFile(file, new Uint8Array(await res.arrayBuffer()));
+  fontsCSS = fontsCSS.replace(url, file);
+}
+writeFile("fonts.css", fontsCSS);
+
+// Sprites, shields and the map page
+fs.cpSync(
+  path.join(opts.directory, "sprites"),
+  path.join(opts.outdir, "sprites"),
+  { recursive: true }
+);
+fs.copyFileSync(
+  path.join(opts.directory, "shields.json"),
+  path.join(opts.outdir, "shields.json")
+);
+for (const file of appFiles) {
+  if (fs.existsSync(path.join(opts.directory, file))) {
+    fs.copyFileSync(
+      path.join(opts.directory, file),
+      path.join(opts.outdir, file)
+    );
+  }
+}
+writeFile(
+  "index.html",
+  '<!DOCTYPE html>\n<meta http-equiv="refresh" content="0; url=bare_map.html?style=style.json" />\n'
+);
+
+console.log(`Offline map written to ${opts.outdir}/index.html`);
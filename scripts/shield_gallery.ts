@@ -0,0 +1,218 @@
+import * as fs from "node:fs";
+import * as path from "node:path";
+
+import { Command, type OptionValues } from "commander";
+import { registerFont } from "canvas";
+// @ts-ignore - resemblejs is a CommonJS module
+import resemble from "resemblejs";
+
+import { createRenderer, renderShield } from "./headless_shields.js";
+import {
+  galleryCases,
+  galleryFileName,
+  galleryReport,
+  listGalleryFiles,
+  type GalleryCase,
+  type GalleryResult,
+} from "./shield_regression.js";
+
+/**
+ * Renders every distinct shield design for a set of representative routes and
+ * compares the images against the baselines committed to the repository,
+ * producing an HTML report of the shields that changed. Run `npm run sprites`
+ * first.
+ */
+
+/**
+ * Compares two PNG images.
+ *
+ * @returns The percentage of pixels that differ, with 100 for images of
+ *   different sizes, and an image highlighting the differences.
+ */
+function compareImages(
+  baseline: Buffer,
+  current: Buffer
+): Promise<{ misMatchPercentage: number; diff: Buffer }> {
+  return new Promise((resolve) => {
+    resemble(baseline)
+      .compareTo(current)
+      .onComplete((data) => {
+        resolve({
+          misMatchPercentage: data.isSameDimensions
+            ? Number(data.misMatchPercentage)
+            : 100,
+          diff: data.getBuffer(),
+        });
+      });
+  });
+}
+
+/**
+ * Compares freshly rendered shields against their baseline images, writing an
+ * image of the differences into `diffDir` for each changed shield.
+ *
+ * @param threshold Largest percentage of differing pixels that still counts
+ *   as unchanged, to tolerate antialiasing differences between platforms.
+ */
+async function compareGallery(
+  cases: GalleryCase[],
+  baselineDir: string,
+  currentDir: string,
+  diffDir: string,
+  threshold = 0
+): Promise<GalleryResult[]> {
+  const results: GalleryResult[] = [];
+  const rendered = new Set<string>();
+
+  for (const galleryCase of cases) {
+    const file = galleryFileName(galleryCase);
+    const currentPath = path.join(currentDir, file);
+    if (!fs.existsSync(currentPath)) {
+      // The route has no shield; a leftover baseline is reported as removed.
+      continue;
+    }
+    rendered.add(file);
+
+    const baselinePath = path.join(baselineDir, file);
+    if (!fs.existsSync(baselinePath)) {
+      results.push({ file, status: "added", galleryCase });
+      continue;
+    }
+    const { misMatchPercentage, diff } = await compareImages(
+      fs.readFileSync(baselinePath),
+      fs.readFileSync(currentPath)
+    );
+    if (misMatchPercentage > threshold) {
+      const diffPath = path.join(diffDir, file);
+      fs.mkdirSync(path.dirname(diffPath), { recursive: true });
+      fs.writeFileSync(diffPath, diff);
+      results.push({
+        file,
+        status: "changed",
+        galleryCase,
+        misMatchPercentage,
+      });
+    } else {
+      results.push({
+        file,
+        status: "unchanged",
+        galleryCase,
+        misMatchPercentage,
+      });
+    }
+  }
+
+  for (const file of listGalleryFiles(baselineDir)) {
+    if (!rendered.has(file)) {
+      results.push({ file, status: "removed" });
+    }
+  }
+  return results;
+}
+
+const program = new Command();
+program
+  .option(
+    "-b, --baseline <dir>",
+    "directory of baseline images",
+    "test/shield_gallery/baseline"
+  )
+  .option(
+    "-o, --outdir <dir>",
+    "directory to write the rendered shields and report to",
+    "dist/shield-gallery"
+  )
+  .option("-u, --update", "replace the baseline images with the rendered ones")
+  .option(
+    "-t, --threshold <percent>",
+    "percentage of differing pixels to tolerate in each shield",
+    "0"
+  )
+  .option(
+    "--sprites <path>",
+    "sprite sheet, without extension",
+    "dist/sprites/sprite"
+  )
+  .option("-r, --pixel-ratio <ratio>", "pixel ratio (1 or 2)", "1")
+  .option("--font <file>", "font file to draw shield text with");
+program.parse(process.argv);
+
+const opts: OptionValues = program.opts();
+if (opts.font) {
+  registerFont(opts.font, { family: "Noto Sans Condensed" });
+}
+
+const renderer = await createRenderer(opts, "png");
+const cases = galleryCases(renderer.getShieldDefinitions());
+
+const currentDir = path.join(opts.outdir, "current");
+const diffDir = path.join(opts.outdir, "diff");
+fs.rmSync(opts.outdir, { recursive: true, force: true });
+
+let count = 0;
+for (const galleryCase of cases) {
+  const image = renderShield(
+    renderer,
+    galleryCase.network,
+    galleryCase.ref,
+    galleryCase.name
+  );
+  if (!image) {
+    continue;
+  }
+  const file = path.join(currentDir, galleryFileName(galleryCase));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, image);
+  count++;
+}
+console.log(`Rendered ${count} shields to ${currentDir}`);
+
+if (opts.update) {
+  fs.rmSync(opts.baseline, { recursive: true, force: true });
+  fs.cpSync(currentDir, opts.baseline, { recursive: true });
+  console.log(`Updated the baseline images in ${opts.baseline}`);
+  process.exit(0);
+}
+
+if (!fs.existsSync(opts.baseline)) {
+  // Without baselines, every shield would be reported as added.
+  console.error(
+    `No baseline images in ${opts.baseline}. To make the shields ` +
+      `rendered to ${currentDir} the baseline, run:\n\n` +
+      "  npm run shield_gallery -- --update\n"
+  );
+  process.exit(1);
+}
+
+const results = await compareGallery(
+  cases,
+  opts.baseline,
+  currentDir,
+  diffDir,
+  parseFloat(opts.threshold)
+);
+
+const reportPath = path.join(opts.outdir, "index.html");
+const relativeURL = (dir: string) =>
+  path.relative(opts.outdir, dir).split(path.sep).join(path.posix.sep);
+fs.writeFileSync(
+  reportPath,
+  galleryReport(results, {
+    baseline: relativeURL(opts.baseline),
+    current: relativeURL(currentDir),
+    diff: relativeURL(diffDir),
+  })
+);
+
+const differences = results.filter((r) => r.status !== "unchanged");
+for (const status of ["changed", "added", "removed"]) {
+  const n = differences.filter((r) => r.status === status).length;
+  if (n) {
+    console.log(`${n} shield${n === 1 ? "" : "s"} ${status}`);
+  }
+}
+if (differences.length) {
+  console.error(`Shields differ from the baseline; see ${reportPath}`);
+  process.exit(1);
+}
+console.log(`All ${results.length} shields match the baseline`);
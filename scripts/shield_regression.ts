@@ -0,0 +1,233 @@
+import * as fs from "node:fs";
+import * as path from "node:path";
+
+import type {
+  ShieldDefinition,
+  ShieldDefinitions,
+} from "@americana/maplibre-shield-generator";
+
+/**
+ * Refs from 1 to 7 characters long, mixing digits, letters, spaces and
+ * punctuation as they appear on real routes.
+ */
+export const sampleRefs = [
+  "1",
+  "95",
+  "281",
+  "H201",
+  "A 562",
+  "1138-2",
+  "GUA 10D",
+];
+
+/** A route whose shield is compared against a baseline image */
+export interface GalleryCase {
+  /** Network that the route is rendered as */
+  network: string;
+  /** Every network sharing the same shield definition, including `network` */
+  networks: string[];
+  ref: string;
+  name: string;
+}
+
+export type GalleryStatus = "unchanged" | "changed" | "added" | "removed";
+
+/** Outcome of comparing one shield against its baseline image */
+export interface GalleryResult {
+  /** Image path relative to the baseline and output directories */
+  file: string;
+  status: GalleryStatus;
+  /** Shield rendered to the file, unless it was removed */
+  galleryCase?: GalleryCase;
+  /** Percentage of pixels that differ from the baseline */
+  misMatchPercentage?: number;
+}
+
+function routeCases(
+  shieldDef: ShieldDefinition
+): { ref: string; name: string }[] {
+  const cases = shieldDef.notext
+    ? [{ ref: "", name: "" }]
+    : sampleRefs.map((ref) => ({ ref, name: "" }));
+  if (shieldDef.noref && !shieldDef.notext) {
+    cases.push({ ref: "", name: "" });
+  }
+  const defaultRef = shieldDef.notext ? "" : sampleRefs[1];
+  for (const ref of Object.keys(shieldDef.overrideByRef ?? {})) {
+    cases.push({ ref, name: "" });
+  }
+  for (const name of Object.keys(shieldDef.overrideByName ?? {})) {
+    cases.push({ ref: defaultRef, name });
+  }
+  for (const name of Object.keys(shieldDef.refsByName ?? {})) {
+    cases.push({ ref: "", name });
+  }
+  return cases;
+}
+
+/**
+ * Lists the routes to render for every distinct shield design: refs of each
+ * length and every ref and name with an override. Networks with identical
+ * definitions are rendered once, under the alphabetically first network.
+ *
+ * @param shieldDefs Shield definitions with banner maps already expanded, as
+ *   returned by a shield renderer.
+ */
+export function galleryCases(shieldDefs: ShieldDefinitions): GalleryCase[] {
+  const networksByDefinition = new Map<string, string[]>();
+  for (const [network, shieldDef] of Object.entries(shieldDefs)) {
+    if (!shieldDef) {
+      continue;
+    }
+    const key = JSON.stringify(shieldDef);
+    networksByDefinition.set(key, [
+      ...(networksByDefinition.get(key) ?? []),
+      network,
+    ]);
+  }
+
+  const cases: GalleryCase[] = [];
+  for (const networks of networksByDefinition.values()) {
+    networks.sort();
+    const network = networks[0];
+    for (const { ref, name } of routeCases(shieldDefs[network])) {
+      cases.push({ network, networks, ref, name });
+    }
+  }
+  return cases.sort((a, b) =>
+    galleryFileName(a).localeCompare(galleryFileName(b))
+  );
+}
+
+/**
+ * Returns the path of a route's shield image, relative to the gallery
+ * directory. Each network gets a directory of its own.
+ */
+export function galleryFileName({ network, ref, name }: GalleryCase): string {
+  const parts = [
+    ref ? `ref-${encodeURIComponent(ref)}` : "noref",
+    ...(name ? [`name-${encodeURIComponent(name)}`] : []),
+  ];
+  return path.posix.join(encodeURIComponent(network), `${parts.join("_")}.png`);
+}
+
+/** Lists the PNG files in a gallery directory, relative to that directory. */
+export function listGalleryFiles(dir: string): string[] {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dir, { recursive: true, encoding: "utf8" })
+    .filter((file) => file.endsWith(".png"))
+    .map((file) => file.split(path.sep).join(path.posix.sep))
+    .sort();
+}
+
+function escapeHTML(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function imageCell(dir: string | undefined, file: string): string {
+  if (!dir) {
+    return "<td></td>";
+  }
+  const src = escapeHTML(
+    path.posix.join(dir, file.split("/").map(encodeURIComponent).join("/"))
+  );
+  return `<td><img src="${src}"></td>`;
+}
+
+function describeFile(file: string): string {
+  return file
+    .replace(/\.png$/, "")
+    .split("/")
+    .map((part) => decodeURIComponent(part))
+    .join(" ");
+}
+
+/**
+ * Returns an HTML page listing the shields that differ from their baselines,
+ * side by side with the baseline image and the differences.
+ *
+ * @param dirs URLs of the image directories relative to the report.
+ */
+export function galleryReport(
+  results: GalleryResult[],
+  dirs: { baseline: string; current: string; diff: string }
+): string {
+  const differences = results.filter((r) => r.status !== "unchanged");
+  const rows = differences.map((result) => {
+    const c = result.galleryCase;
+    const route = c
+      ? [
+          `<code>${escapeHTML(c.network)}</code>`,
+          c.ref && `ref=${escapeHTML(c.ref)}`,
+          c.name && `name=${escapeHTML(c.name)}`,
+        ]
+          .filter(Boolean)
+          .join("<br>")
+      : escapeHTML(describeFile(result.file));
+    const alsoUsedBy =
+      c && c.networks.length > 1
+        ? `<br><small>also ${c.networks.length - 1} other network${
+            c.networks.length === 2 ? "" : "s"
+          }</small>`
+        : "";
+    const mismatch =
+      result.misMatchPercentage === undefined
+        ? ""
+        : ` (${result.misMatchPercentage.toFixed(2)}%)`;
+    return [
+      `<tr class="${result.status}">`,
+      `<td>${route}${alsoUsedBy}</td>`,
+      `<td>${result.status}${mismatch}</td>`,
+      imageCell(
+        result.status === "added" ? undefined : dirs.baseline,
+        result.file
+      ),
+      imageCell(
+        result.status === "removed" ? undefined : dirs.current,
+        result.file
+      ),
+      imageCell(
+        result.status === "changed" ? dirs.diff : undefined,
+        result.file
+      ),
+      "</tr>",
+    ].join("");
+  });
+
+  const summary = `${differences.length} of ${results.length} shields differ from the baseline.`;
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>Shield gallery changes</title>
+    <style>
+      body { font-family: sans-serif; }
+      td { padding: 4px 8px; vertical-align: middle; }
+      tr.changed { background: #fff3cd; }
+      tr.added { background: #d1e7dd; }
+      tr.removed { background: #f8d7da; }
+    </style>
+  </head>
+  <body>
+    <h1>Shield gallery changes</h1>
+    <p>${summary}</p>
+    <table>
+      <thead>
+        <tr><th>Route</th><th>Status</th><th>Baseline</th><th>Current</th><th>Difference</th></tr>
+      </thead>
+      <tbody>
+        ${rows.join("\n        ")}
+      </tbody>
+    </table>
+  </body>
+</html>
+`;
+}
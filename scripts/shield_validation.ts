@@ -0,0 +1,280 @@
+import { Ajv, type ErrorObject } from "ajv";
+import rgba from "color-rgba";
+import {
+  hasDrawFunction,
+  hasTextLayoutFunction,
+  type ShieldDefinition,
+  type ShieldSpecification,
+} from "@americana/maplibre-shield-generator";
+
+/** A mistake in a shield specification */
+export interface ShieldProblem {
+  /** JSON Pointer to the offending value */
+  path: string;
+  message: string;
+}
+
+const maxBannerLength = 4;
+
+const colorProperties = [
+  "textColor",
+  "textHaloColor",
+  "bannerTextColor",
+  "bannerTextHaloColor",
+  "colorLighten",
+  "colorDarken",
+];
+
+/** Escapes a property name for use in a JSON Pointer */
+function pointerSegment(key: string): string {
+  return key.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function describeSchemaError(error: ErrorObject): string {
+  if (error.keyword === "additionalProperties") {
+    return `unknown property "${error.params.additionalProperty}"`;
+  }
+  return error.message ?? error.keyword;
+}
+
+/**
+ * Merges alternative object schemas into a single object schema.
+ *
+ * A shield definition has either a sprite blank or a shape blank, which the
+ * schema generator expresses as two alternatives that repeat every other
+ * property. Validating against the alternatives would report each mistake
+ * once per alternative, so `shieldDefinitionProblems` checks the choice
+ * instead.
+ */
+function mergeAlternatives(schema: any): any {
+  const definitions = Object.fromEntries(
+    Object.entries(schema.definitions ?? {}).map(
+      ([name, def]: [string, any]) => {
+        if (!def.anyOf?.every((alternative) => alternative.properties)) {
+          return [name, def];
+        }
+        const { anyOf, ...rest } = def;
+        const required = anyOf[0].required?.filter((property) =>
+          anyOf.every((alternative) => alternative.required?.includes(property))
+        );
+        return [
+          name,
+          {
+            ...rest,
+            type: "object",
+            additionalProperties: false,
+            properties: Object.assign(
+              {},
+              ...anyOf.map((alternative) => alternative.properties)
+            ),
+            ...(required?.length ? { required } : {}),
+          },
+        ];
+      }
+    )
+  );
+  return { ...schema, definitions };
+}
+
+/** Checks the specification against the JSON Schema generated from its types */
+export function schemaProblems(spec: unknown, schema: object): ShieldProblem[] {
+  const validate = new Ajv({ allErrors: true }).compile(
+    mergeAlternatives(schema)
+  );
+  if (validate(spec)) {
+    return [];
+  }
+  // Drop the uninformative error that accompanies a value that matches none of
+  // its alternative types.
+  const errors = validate.errors.filter((e) => e.keyword !== "anyOf");
+  const problems = new Map<string, ShieldProblem>();
+  for (const error of errors.length ? errors : validate.errors) {
+    const problem = {
+      path: error.instancePath || "/",
+      message: describeSchemaError(error),
+    };
+    problems.set(`${problem.path}\n${problem.message}`, problem);
+  }
+  return [...problems.values()];
+}
+
+function isColor(color: unknown): boolean {
+  return typeof color === "string" && rgba(color)?.length === 4;
+}
+
+function bannerProblems(banner: string, path: string): ShieldProblem[] {
+  if (!banner.trim()) {
+    return [{ path, message: "empty banner" }];
+  }
+  if (banner.length > maxBannerLength) {
+    return [
+      {
+        path,
+        message: `banner "${banner}" is longer than ${maxBannerLength} characters`,
+      },
+    ];
+  }
+  return [];
+}
+
+function shieldDefinitionProblems(
+  shieldDef: ShieldDefinition,
+  path: string,
+  spriteIDs: Set<string>
+): ShieldProblem[] {
+  const problems: ShieldProblem[] = [];
+
+  for (const property of colorProperties) {
+    if (property in shieldDef && !isColor(shieldDef[property])) {
+      problems.push({
+        path: `${path}/${property}`,
+        message: `invalid color ${JSON.stringify(shieldDef[property])}`,
+      });
+    }
+  }
+
+  if ("spriteBlank" in shieldDef && "shapeBlank" in shieldDef) {
+    problems.push({
+      path,
+      message: "has both a spriteBlank and a shapeBlank",
+    });
+  }
+
+  const spriteBlanks = [shieldDef.spriteBlank ?? []].flat();
+  spriteBlanks.forEach((spriteBlank, i) => {
+    const spritePath = Array.isArray(shieldDef.spriteBlank)
+      ? `${path}/spriteBlank/${i}`
+      : `${path}/spriteBlank`;
+    if (!spriteIDs.has(spriteBlank)) {
+      problems.push({
+        path: spritePath,
+        message: `no sprite named "${spriteBlank}"`,
+      });
+    }
+  });
+
+  const shapeBlank = shieldDef.shapeBlank;
+  if (shapeBlank) {
+    if (!hasDrawFunction(shapeBlank.drawFunc)) {
+      problems.push({
+        path: `${path}/shapeBlank/drawFunc`,
+        message: `unknown draw function "${shapeBlank.drawFunc}"`,
+      });
+    }
+    for (const property of ["fillColor", "strokeColor"]) {
+      if (!isColor(shapeBlank.params?.[property])) {
+        problems.push({
+          path: `${path}/shapeBlank/params/${property}`,
+          message: `invalid color ${JSON.stringify(
+            shapeBlank.params?.[property]
+          )}`,
+        });
+      }
+    }
+  }
+
+  const constraintFunc = shieldDef.textLayout?.constraintFunc;
+  if (constraintFunc && !hasTextLayoutFunction(constraintFunc)) {
+    problems.push({
+      path: `${path}/textLayout/constraintFunc`,
+      message: `unknown text layout function "${constraintFunc}"`,
+    });
+  }
+
+  (shieldDef.banners ?? []).forEach((banner, i) => {
+    problems.push(...bannerProblems(banner, `${path}/banners/${i}`));
+  });
+
+  for (const overrides of ["overrideByRef", "overrideByName"]) {
+    for (const [key, override] of Object.entries(shieldDef[overrides] ?? {})) {
+      problems.push(
+        ...shieldDefinitionProblems(
+          override as ShieldDefinition,
+          `${path}/${overrides}/${pointerSegment(key)}`,
+          spriteIDs
+        )
+      );
+    }
+  }
+  if (shieldDef.noref) {
+    problems.push(
+      ...shieldDefinitionProblems(shieldDef.noref, `${path}/noref`, spriteIDs)
+    );
+  }
+
+  return problems;
+}
+
+/**
+ * Checks each network's shield definition for references to draw functions
+ * and sprites that don't exist, invalid colors and conflicting banner maps.
+ *
+ * @param spec Shield specification as written to shields.json.
+ * @param spriteIDs Names of the sprites available to shield blanks.
+ */
+export function definitionProblems(
+  spec: ShieldSpecification,
+  spriteIDs: Set<string>
+): ShieldProblem[] {
+  const problems: ShieldProblem[] = [];
+  const bannerMapOwners = new Map<string, string>();
+
+  for (const [network, shieldDef] of Object.entries(spec.networks)) {
+    const path = `/networks/${pointerSegment(network)}`;
+    problems.push(...shieldDefinitionProblems(shieldDef, path, spriteIDs));
+
+    for (const [key, banners] of Object.entries(shieldDef.bannerMap ?? {})) {
+      const bannerPath = `${path}/bannerMap/${pointerSegment(key)}`;
+      // Shield renderers add each key as a network in its own right, so only
+      // the last of several differing definitions takes effect.
+      const owner = bannerMapOwners.get(key);
+      if (key in spec.networks) {
+        problems.push({
+          path: bannerPath,
+          message: `replaces the definition of network "${key}"`,
+        });
+      } else if (
+        owner &&
+        JSON.stringify(spec.networks[owner]) !== JSON.stringify(shieldDef)
+      ) {
+        problems.push({
+          path: bannerPath,
+          message: `also defined differently in the banner map of "${owner}"`,
+        });
+      }
+      bannerMapOwners.set(key, network);
+
+      banners.forEach((banner, i) => {
+        problems.push(...bannerProblems(banner, `${bannerPath}/${i}`));
+      });
+    }
+  }
+
+  for (const property of ["bannerTextColor", "bannerTextHaloColor"]) {
+    if (!isColor(spec.options?.[property])) {
+      problems.push({
+        path: `/options/${property}`,
+        message: `invalid color ${JSON.stringify(spec.options?.[property])}`,
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Checks a shield specification against the JSON Schema and against the draw
+ * functions and sprites available to shield renderers.
+ */
+export function validateShields(
+  spec: ShieldSpecification,
+  schema: object,
+  spriteIDs: Set<string>
+): ShieldProblem[] {
+  const problems = schemaProblems(spec, schema);
+  // The remaining checks assume a structurally valid specification.
+  if (problems.length) {
+    return problems;
+  }
+  return definitionProblems(spec, spriteIDs);
+}
@@ -0,0 +1,124 @@
+import * as fs from "node:fs";
+import { createServer } from "node:http";
+
+import { Command } from "commander";
+import { registerFont } from "canvas";
+import type { ShieldImageFormat } from "@americana/maplibre-shield-generator/node";
+
+import { createRenderer, renderShield } from "./headless_shields.js";
+
+const contentTypes: { [format in ShieldImageFormat]: string } = {
+  png: "image/png",
+  svg: "image/svg+xml",
+};
+
+function checkFormat(format: string): ShieldImageFormat {
+  if (!(format in contentTypes)) {
+    console.error(`Unsupported image format: ${format}`);
+    process.exit(1);
+  }
+  return format as ShieldImageFormat;
+}
+
+const program = new Command();
+program
+  .description("Render route shields without a browser")
+  .option(
+    "-s, --shields <file>",
+    "ShieldJSON file (default: Americana shields)"
+  )
+  .option(
+    "--sprites <path>",
+    "sprite sheet, without extension",
+    "dist/sprites/sprite"
+  )
+  .option("-r, --pixel-ratio <ratio>", "pixel ratio (1 or 2)", "1")
+  .option("--font <file>", "font file to draw shield text with")
+  .hook("preAction", (thisCommand) => {
+    const font = thisCommand.opts().font;
+    if (font) {
+      registerFont(font, { family: "Noto Sans Condensed" });
+    }
+  });
+
+program
+  .command("render")
+  .description("render the shield for a single route")
+  .argument("<network>", "network=* value, such as US:I")
+  .argument("[ref]", "ref=* value, such as 95", "")
+  .argument("[name]", "name=* value", "")
+  .option("-f, --format <format>", "png or svg", "png")
+  .option("-o, --outfile <file>", "output file", "-")
+  .action(async (network: string, ref: string, name: string, cmdOpts) => {
+    const opts = { ...program.opts(), ...cmdOpts };
+    const renderer = await createRenderer(opts, checkFormat(opts.format));
+    const image = renderShield(renderer, network, ref, name);
+    if (!image) {
+      console.error(`No shield for ${JSON.stringify({ network, ref, name })}`);
+      process.exit(1);
+    }
+    if (opts.outfile === "-") {
+      process.stdout.write(image);
+    } else {
+      fs.writeFileSync(opts.outfile, image);
+    }
+  });
+
+program
+  .command("serve")
+  .description("serve shields at /shield/{network}/{ref}.{png,svg}?name={name}")
+  .option("-p, --port <port>", "port to listen on", "1777")
+  .action(async (cmdOpts) => {
+    const opts = { ...program.opts(), ...cmdOpts };
+    const renderers = {
+      png: await createRenderer(opts, "png"),
+      svg: await createRenderer(opts, "svg"),
+    };
+
+    const server = createServer((req, res) => {
+      let url: URL;
+      let network: string;
+      let ref: string;
+      let format: ShieldImageFormat;
+      try {
+        url = new URL(req.url, `http://${req.headers.host}`);
+        const match = url.pathname.match(/^\/shield\/([^/]+)\/([^/]*)\.(\w+)$/);
+        if (req.method !== "GET" || !match || !(match[3] in renderers)) {
+          res.writeHead(404).end();
+          return;
+        }
+        network = decodeURIComponent(match[1]);
+        ref = decodeURIComponent(match[2]);
+        format = match[3] as ShieldImageFormat;
+      } catch (err) {
+        // A malformed URL or percent-encoding must not bring down the server.
+        res.writeHead(400).end();
+        return;
+      }
+      const name = url.searchParams.get("name") ?? "";
+
+      let image: Buffer | null;
+      try {
+        image = renderShield(renderers[format], network, ref, name);
+      } catch (err) {
+        console.error(`Exception while rendering ${url.pathname}:\n`, err);
+        res.writeHead(500).end();
+        return;
+      }
+      if (!image) {
+        res.writeHead(404).end();
+        return;
+      }
+      res
+        .writeHead(200, {
+          "Content-Type": contentTypes[format],
+          "Cache-Control": "public, max-age=86400",
+        })
+        .end(image);
+    });
+    server.listen(parseInt(opts.port), () =>
+      console.log(`Serving shields on http://localhost:${opts.port}/shield/`)
+    );
+  });
+
+await program.parseAsync(process.argv);
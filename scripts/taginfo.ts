@@ -2,20 +2,16 @@
 
 import * as fs from "fs";
 import * as ShieldDef from "../src/js/shield_defs.js";
+import * as CyclingLayers from "../src/layer/cycling.js";
+import * as HikingLayers from "../src/layer/hiking.js";
+import * as TransitLayers from "../src/layer/transit.js";
 import namer from "color-namer";
 import { mkdir } from "node:fs/promises";
 import {
   ShieldRenderer,
   InMemorySpriteRepository,
-} from "@americana/maplibre-shield-generator";
-/**
- * TODO - BUG
- * Exporting HeadlessGraphicsFactory in shieldlib's index.ts causes an unexplained error in node-canvas
- * where it thinks it's running in a browser and attempts to create a browser canvas, and fails. The same
- * behavior occurs in skia-canvas. This hack works well enough for the taginfo script, but ideally the shield
- * library should be capable of generating shields outside the browser.
- */
-import { HeadlessGraphicsFactory } from "@americana/maplibre-shield-generator/src/headless_graphics";
+  HeadlessGraphicsFactory,
+} from "@americana/maplibre-shield-generator/node";
 import {
   routeParser,
   shieldPredicate,
@@ -82,6 +78,11 @@ function addNetworkTags(project: ProjectDescription): void {
   // Convert each shield's rendering metadata to an entry that taginfo understands.
   let tags = Object.entries(shieldSpec.networks)
     .filter((entry) => !entry[0].match(/^omt-/))
+    // Bicycle and hiking route markers and transit line bullets are keyed by
+    // pseudo-networks, not network=* values.
+    .filter((entry) => !entry[0].startsWith(CyclingLayers.networkPrefix))
+    .filter((entry) => !entry[0].startsWith(HikingLayers.networkPrefix))
+    .filter((entry) => !entry[0].startsWith(TransitLayers.networkPrefix))
     .map((entry) => {
       let network = entry[0],
         shieldDef = entry[1];
@@ -0,0 +1,227 @@
+import { open, type FileHandle } from "node:fs/promises";
+import { gunzipSync } from "node:zlib";
+
+import { PMTiles, type RangeResponse, type Source } from "pmtiles";
+import type {
+  SourceSpecification,
+  StyleSpecification,
+  VectorSourceSpecification,
+} from "@maplibre/maplibre-gl-style-spec";
+
+/** West, south, east and north edges in degrees */
+export type BBox = [number, number, number, number];
+
+/** A local file of vector tiles, such as a PMTiles or MBTiles archive */
+export interface TileArchive {
+  minZoom: number;
+  maxZoom: number;
+  attribution?: string;
+  /** Returns the uncompressed tile, or undefined if the archive lacks it */
+  getTile(z: number, x: number, y: number): Promise<Uint8Array | undefined>;
+  close(): Promise<void>;
+}
+
+/** Reads a PMTiles archive from the local filesystem */
+class FileHandleSource implements Source {
+  path: string;
+  handle: FileHandle;
+
+  constructor(path: string, handle: FileHandle) {
+    this.path = path;
+    this.handle = handle;
+  }
+
+  getKey(): string {
+    return this.path;
+  }
+
+  async getBytes(offset: number, length: number): Promise<RangeResponse> {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await this.handle.read(buffer, 0, length, offset);
+    const data = buffer.buffer.slice(
+      buffer.byteOffset,
+      buffer.byteOffset + bytesRead
+    ) as ArrayBuffer;
+    return { data };
+  }
+}
+
+/** Decompresses a tile if it is gzipped, as MBTiles tiles usually are */
+export function gunzipTile(data: Uint8Array): Uint8Array {
+  if (data[0] === 0x1f && data[1] === 0x8b) {
+    return gunzipSync(data);
+  }
+  return data;
+}
+
+export async function openPMTiles(path: string): Promise<TileArchive> {
+  const handle = await open(path, "r");
+  const pmtiles = new PMTiles(new FileHandleSource(path, handle));
+  const header = await pmtiles.getHeader();
+  const metadata = (await pmtiles.getMetadata()) as { attribution?: string };
+  return {
+    minZoom: header.minZoom,
+    maxZoom: header.maxZoom,
+    attribution: metadata?.attribution,
+    async getTile(z, x, y) {
+      const tile = await pmtiles.getZxy(z, x, y);
+      return tile && gunzipTile(new Uint8Array(tile.data));
+    },
+    close: () => handle.close(),
+  };
+}
+
+/**
+ * Opens an MBTiles archive. Requires the SQLite module that is built into
+ * Node.js 22.13 and above.
+ */
+export async function openMBTiles(path: string): Promise<TileArchive> {
+  const { DatabaseSync } = await import("node:sqlite");
+  const db = new DatabaseSync(path, { readOnly: true });
+  const metadata = Object.fromEntries(
+    db
+      .prepare("SELECT name, value FROM metadata")
+      .all()
+      .map((row) => [row.name, row.value])
+  );
+  const tileQuery = db.prepare(
+    "SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?"
+  );
+  return {
+    minZoom: parseInt(metadata.minzoom ?? "0"),
+    maxZoom: parseInt(metadata.maxzoom ?? "14"),
+    attribution: metadata.attribution,
+    async getTile(z, x, y) {
+      // MBTiles rows count up from the south, TMS-style.
+      const row = tileQuery.get(z, x, (1 << z) - 1 - y);
+      return row && gunzipTile(row.tile_data as Uint8Array);
+    },
+    close: async () => db.close(),
+  };
+}
+
+/** Opens a PMTiles or MBTiles archive based on its file extension */
+export function openTileArchive(path: string): Promise<TileArchive> {
+  if (path.endsWith(".pmtiles")) {
+    return openPMTiles(path);
+  }
+  if (path.endsWith(".mbtiles")) {
+    return openMBTiles(path);
+  }
+  throw new Error(`Unrecognized tile archive format: ${path}`);
+}
+
+/** Parses a bounding box in the form `west,south,east,north` */
+export function parseBBox(value: string): BBox {
+  const bbox = value.split(",").map(Number);
+  if (
+    bbox.length !== 4 ||
+    bbox.some(isNaN) ||
+    bbox[0] >= bbox[2] ||
+    bbox[1] >= bbox[3]
+  ) {
+    throw new Error(`Invalid bounding box: ${value}`);
+  }
+  return bbox as BBox;
+}
+
+function clampTile(n: number, z: number): number {
+  return Math.min(Math.max(Math.floor(n), 0), (1 << z) - 1);
+}
+
+export function lonToTileX(lon: number, z: number): number {
+  return clampTile(((lon + 180) / 360) * (1 << z), z);
+}
+
+export function latToTileY(lat: number, z: number): number {
+  const rad = (lat * Math.PI) / 180;
+  const mercatorY = Math.log(Math.tan(rad) + 1 / Math.cos(rad));
+  return clampTile(((1 - mercatorY / Math.PI) / 2) * (1 << z), z);
+}
+
+/** Yields the z/x/y coordinates of every tile that intersects the bounding box */
+export function* tilesInBBox(
+  [west, south, east, north]: BBox,
+  minZoom: number,
+  maxZoom: number
+): Generator<[number, number, number]> {
+  for (let z = minZoom; z <= maxZoom; z++) {
+    for (let x = lonToTileX(west, z); x <= lonToTileX(east, z); x++) {
+      for (let y = latToTileY(north, z); y <= latToTileY(south, z); y++) {
+        yield [z, x, y];
+      }
+    }
+  }
+}
+
+/** Returns the font stacks that the style's layers label with */
+export function fontStacks(style: StyleSpecification): string[] {
+  const stacks = new Set<string>();
+  for (const layer of style.layers) {
+    const textFont = layer.type === "symbol" && layer.layout?.["text-font"];
+    if (
+      Array.isArray(textFont) &&
+      textFont.every((font) => typeof font === "string")
+    ) {
+      stacks.add(textFont.join(","));
+    }
+  }
+  return [...stacks];
+}
+
+/** Whether a source loads its data from another host */
+function isRemoteSource(source: SourceSpecification): boolean {
+  const urls = [
+    "url" in source && source.url,
+    "data" in source && typeof source.data === "string" && source.data,
+    ...("tiles" in source ? source.tiles ?? [] : []),
+  ];
+  return urls.some((url) => typeof url === "string" && /^\w+:/.test(url));
+}
+
+/**
+ * Rewrites a style to load tiles, sprites and glyphs from paths relative to
+ * the style, and to open centered on the bounding box. Any other source that
+ * loads from another host, such as the elevation tiles behind hillshading, is
+ * left out along with its layers, since it would not work offline.
+ */
+export function bundleStyle(
+  style: StyleSpecification,
+  bbox: BBox,
+  minZoom: number,
+  maxZoom: number,
+  attribution?: string
+): StyleSpecification {
+  const openmaptiles: VectorSourceSpecification = {
+    type: "vector",
+    tiles: ["tiles/{z}/{x}/{y}.pbf"],
+    bounds: bbox,
+    minzoom: minZoom,
+    maxzoom: maxZoom,
+  };
+  if (attribution) {
+    openmaptiles.attribution = attribution;
+  }
+  const sources = Object.fromEntries(
+    Object.entries(style.sources).filter(
+      ([id, source]) => id === "openmaptiles" || !isRemoteSource(source)
+    )
+  );
+  const layers = style.layers.filter(
+    (layer) => !("source" in layer) || layer.source in sources
+  );
+  const [west, south, east, north] = bbox;
+  const zoom = Math.floor(Math.log2(360 / (east - west)));
+  return {
+    ...style,
+    center: [(west + east) / 2, (south + north) / 2],
+    zoom: Math.min(Math.max(zoom, minZoom), maxZoom),
+    sprite: "sprites/sprite",
+    glyphs: "fonts/{fontstack}/{range}.pbf",
+    sources: {
+      ...sources,
+      openmaptiles,
+    },
+    layers,
+  };
+}
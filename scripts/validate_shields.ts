@@ -0,0 +1,68 @@
+import * as fs from "node:fs";
+import * as path from "node:path";
+
+import { Command, type OptionValues } from "commander";
+
+import * as ShieldDef from "../src/js/shield_defs.js";
+import { validateShields } from "./shield_validation.js";
+
+/**
+ * Checks the shield definitions against the JSON Schema generated from the
+ * shield library's types, the registered draw functions and the sprites in
+ * the icon directory. Run `npm run build:shieldlib` first.
+ */
+
+const program = new Command();
+program
+  .option(
+    "-i, --input <file>",
+    "shields.json to validate instead of the shield definitions in src/js/shield_defs.js"
+  )
+  .option(
+    "-s, --schema <file>",
+    "JSON Schema of the shield specification",
+    "shieldlib/dist/shields.schema.json"
+  )
+  .option("--icons <dir>", "directory of sprite SVGs", "icons");
+program.parse(process.argv);
+
+const opts: OptionValues = program.opts();
+
+if (!fs.existsSync(opts.schema)) {
+  console.error(
+    `Missing ${opts.schema}. Run \`npm run build:shieldlib\` first.`
+  );
+  process.exit(1);
+}
+const schema = JSON.parse(fs.readFileSync(opts.schema, "utf8"));
+
+// Round-trip through JSON so that the definitions look as they would in
+// shields.json.
+const spec = JSON.parse(
+  opts.input
+    ? fs.readFileSync(opts.input, "utf8")
+    : JSON.stringify(ShieldDef.loadShields())
+);
+
+const spriteIDs = new Set(
+  fs
+    .readdirSync(opts.icons)
+    .filter((file) => file.endsWith(".svg"))
+    .map((file) => path.basename(file, ".svg"))
+);
+
+const problems = validateShields(spec, schema, spriteIDs);
+for (const problem of problems) {
+  console.error(`${problem.path}: ${problem.message}`);
+}
+if (problems.length) {
+  console.error(
+    `Found ${problems.length} problem${
+      problems.length === 1 ? "" : "s"
+    } in the shield definitions`
+  );
+  process.exit(1);
+}
+console.log(
+  `All ${Object.keys(spec.networks).length} shield definitions are valid`
+);
@@ -19,11 +19,20 @@ const buildWith = async (key, buildOptions) => {
       ...buildOptions?.define,
     },
   };
-  return (
-    esbuild[key](options)
-      // esbuild will pretty-print its own error messages;
-      // suppress node.js from printing the exception.
-      .catch(() => process.exit(1))
+  // The Node.js entry point draws with node-canvas, which must not be bundled.
+  const nodeOptions = {
+    ...options,
+    entryPoints: ["src/node.ts"],
+    platform: "node",
+    external: ["canvas"],
+  };
+  return Promise.all(
+    [options, nodeOptions].map((o) =>
+      esbuild[key](o)
+        // esbuild will pretty-print its own error messages;
+        // suppress node.js from printing the exception.
+        .catch(() => process.exit(1))
+    )
   );
 };
 
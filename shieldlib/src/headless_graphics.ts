@@ -1,10 +1,15 @@
 import type { Bounds, GraphicsFactory } from "./types";
 import { createCanvas } from "canvas";
 
+/** Type of node-canvas surface to draw shields on. Omit for a raster (PNG) surface. */
+export type HeadlessCanvasType = "pdf" | "svg";
+
 export class HeadlessGraphicsFactory implements GraphicsFactory {
-  private _type: "pdf" | "svg";
-  constructor(type: "pdf" | "svg") {
+  private _type: HeadlessCanvasType;
+  private _pixelRatio: number;
+  constructor(type?: HeadlessCanvasType, pixelRatio: number = 1) {
     this._type = type;
+    this._pixelRatio = pixelRatio;
   }
   createGraphics(bounds: Bounds): CanvasRenderingContext2D {
     let canvas = createCanvas(bounds.width, bounds.height, this._type);
@@ -14,6 +19,6 @@ export class HeadlessGraphicsFactory implements GraphicsFactory {
     return ctx as any as CanvasRenderingContext2D;
   }
   pixelRatio(): number {
-    return 1;
+    return this._pixelRatio;
   }
 }
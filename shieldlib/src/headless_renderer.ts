@@ -0,0 +1,80 @@
+import type { Canvas } from "canvas";
+import type {
+  RouteParser,
+  ShieldSpecification,
+  SpriteRepository,
+} from "./types";
+import { ShieldRenderer, InMemorySpriteRepository } from "./shield_renderer";
+import { HeadlessGraphicsFactory } from "./headless_graphics";
+
+/** Image formats that a headless shield renderer can produce */
+export type ShieldImageFormat = "png" | "svg";
+
+/** Options for rendering shields outside the browser */
+export interface HeadlessShieldOptions {
+  /** Image format to encode shields in. Defaults to PNG. */
+  format?: ShieldImageFormat;
+  /** Pixel ratio to draw shields at. Defaults to 1. */
+  pixelRatio?: number;
+  /** Repository of shield blanks, such as a loaded `SpriteSheetRepository` */
+  spriteRepo?: SpriteRepository;
+}
+
+/**
+ * A shield renderer that draws shields to in-memory images in Node.js, without
+ * a browser or a map.
+ *
+ * @example
+ *
+ * const sprites = await new SpriteSheetRepository().loadSpriteSheet(
+ *   "dist/sprites/sprite"
+ * );
+ * const shieldRenderer = new HeadlessShieldRenderer(shields, routeParser, {
+ *   format: "png",
+ *   spriteRepo: sprites,
+ * });
+ * fs.writeFileSync("i-95.png", shieldRenderer.renderToBuffer("US:I", "95"));
+ */
+export class HeadlessShieldRenderer extends ShieldRenderer {
+  private _format: ShieldImageFormat;
+
+  constructor(
+    shieldSpec: ShieldSpecification,
+    routeParser: RouteParser,
+    options: HeadlessShieldOptions = {}
+  ) {
+    super(shieldSpec, routeParser);
+    this._format = options.format ?? "png";
+    this.graphicsFactory(
+      new HeadlessGraphicsFactory(
+        this._format === "svg" ? "svg" : undefined,
+        options.pixelRatio ?? 1
+      )
+    );
+    this.renderOnRepository(
+      options.spriteRepo ?? new InMemorySpriteRepository()
+    );
+  }
+
+  /** The image format that this renderer produces */
+  public get format(): ShieldImageFormat {
+    return this._format;
+  }
+
+  /**
+   * Render the shield for a route as an encoded image.
+   *
+   * @returns PNG or SVG image data, or null if the route has no shield
+   */
+  public renderToBuffer(
+    network: string,
+    ref: string = "",
+    name: string = ""
+  ): Buffer | null {
+    const ctx = this.getGraphicForRoute(network, ref, name);
+    if (ctx == null) {
+      return null;
+    }
+    return (ctx.canvas as unknown as Canvas).toBuffer();
+  }
+}
@@ -0,0 +1,71 @@
+import { readFile } from "node:fs/promises";
+import type { StyleImage } from "maplibre-gl";
+import { createCanvas, loadImage } from "canvas";
+import { InMemorySpriteRepository } from "./shield_renderer";
+
+/** Position of a single image within a sprite sheet, as listed in its JSON index */
+interface SpriteIndexEntry {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  pixelRatio?: number;
+}
+
+/**
+ * An in-memory sprite repository that can be populated from a MapLibre sprite
+ * sheet on disk, so that shields built from raster shield blanks can be drawn
+ * outside the browser.
+ *
+ * @example
+ *
+ * const sprites = await new SpriteSheetRepository().loadSpriteSheet(
+ *   "dist/sprites/sprite",
+ *   2
+ * );
+ */
+export class SpriteSheetRepository extends InMemorySpriteRepository {
+  /**
+   * Load every image in a sprite sheet into this repository.
+   *
+   * @param spritePath - Path to the sprite sheet, without the pixel ratio suffix or file extension
+   * @param pixelRatio - Pixel ratio of the sprite sheet to load (1 or 2)
+   * @returns this repository, for chaining
+   */
+  public async loadSpriteSheet(
+    spritePath: string,
+    pixelRatio: number = 1
+  ): Promise<SpriteSheetRepository> {
+    const suffix = pixelRatio > 1 ? `@${pixelRatio}x` : "";
+    const index: { [spriteID: string]: SpriteIndexEntry } = JSON.parse(
+      await readFile(`${spritePath}${suffix}.json`, "utf8")
+    );
+    const sheet = await loadImage(await readFile(`${spritePath}${suffix}.png`));
+
+    const canvas = createCanvas(sheet.width, sheet.height);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(sheet, 0, 0);
+
+    for (const [spriteID, entry] of Object.entries(index)) {
+      const imgData = ctx.getImageData(
+        entry.x,
+        entry.y,
+        entry.width,
+        entry.height
+      );
+      // Mimic the shape of a style image so that shield blanks can be read
+      // the same way as from a MapLibre map.
+      this.sprites[spriteID] = {
+        data: {
+          width: entry.width,
+          height: entry.height,
+          data: imgData.data,
+        },
+        pixelRatio: entry.pixelRatio ?? pixelRatio,
+        sdf: false,
+        version: 0,
+      } as unknown as StyleImage;
+    }
+    return this;
+  }
+}
@@ -10,4 +10,7 @@ export {
 } from "./shield_renderer";
 
 export { getDOMPixelRatio } from "./document_graphics";
+export { hasDrawFunction } from "./shield_canvas_draw";
+export { hasTextLayoutFunction } from "./shield_text";
+export { parseOsmcSymbol } from "./waymark";
 export * from "./shield_helper";
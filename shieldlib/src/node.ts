@@ -0,0 +1,19 @@
+/**
+ * Entry point for rendering shields in Node.js.
+ *
+ * This entry point depends on node-canvas, so it is bundled separately from the
+ * browser entry point in index.ts. Bundling node-canvas for the browser makes
+ * it try to create a browser canvas instead.
+ */
+export * from "./index";
+
+export {
+  HeadlessGraphicsFactory,
+  type HeadlessCanvasType,
+} from "./headless_graphics";
+export { SpriteSheetRepository } from "./headless_sprites";
+export {
+  HeadlessShieldRenderer,
+  type HeadlessShieldOptions,
+  type ShieldImageFormat,
+} from "./headless_renderer";
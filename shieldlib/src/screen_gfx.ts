@@ -19,6 +19,20 @@ export function blendedColorVal(sourceVal, lightenVal, darkenVal) {
   );
 }
 
+/**
+ * Returns "black" or "white", whichever contrasts more with the given color,
+ * or undefined if the color is not valid.
+ */
+export function contrastingTextColor(color: string): string | undefined {
+  let [r, g, b] = rgba(color ?? "");
+  if (r === undefined) {
+    return undefined;
+  }
+  // Relative luminance, per ITU-R BT.709
+  let luminance = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+  return luminance > 0.5 ? "black" : "white";
+}
+
 export function copyPixel(source, dest, sourceOffset, destOffset) {
   //Red
   dest[destOffset] = source[sourceOffset];
@@ -3,17 +3,22 @@ import * as ShieldDraw from "./shield_canvas_draw";
 import * as Gfx from "./screen_gfx";
 import { drawBanners, drawBannerHalos, getBannerCount } from "./shield_banner";
 import { ShieldRenderingContext } from "./shield_renderer";
+import { generateWaymarkCtx, parseOsmcSymbol } from "./waymark";
 import type {
   Dimension,
+  OsmcSymbol,
   RouteDefinition,
   ShieldDefinition,
   ShieldDefinitions,
+  ShieldStackDefinition,
+  ShieldStackDirection,
 } from "./types";
 import type { TextPlacement } from "./shield_text";
 import type { StyleImage } from "maplibre-gl";
 
 const narrowCharacters = /[1IJijl .-]/g;
 const maxRefLength = 7;
+const defaultStackSpacing = 2;
 
 function compoundShieldSize(
   r: ShieldRenderingContext,
@@ -183,6 +188,20 @@ export function missingIconLoader(
   storeSprite(r, spriteID, ctx, update);
 }
 
+export function missingStackLoader(
+  r: ShieldRenderingContext,
+  stack: ShieldStackDefinition,
+  spriteID: string,
+  update: boolean
+): void {
+  let ctx = generateShieldStackCtx(r, stack);
+  if (ctx == null) {
+    console.warn("Didn't produce a shield stack for", JSON.stringify(stack));
+    ctx = r.gfxFactory.createGraphics({ width: 1, height: 1 });
+  }
+  storeSprite(r, spriteID, ctx, update);
+}
+
 function storeSprite(
   r: ShieldRenderingContext,
   id: string,
@@ -249,14 +268,14 @@ function getShieldDef(
     shieldDef = {
       ...shieldDef,
       ...shieldDef.overrideByRef[ref],
-    };
+    } as ShieldDefinition;
   }
 
   if (shieldDef.overrideByName) {
     shieldDef = {
       ...shieldDef,
       ...shieldDef.overrideByName[routeDef.name || ""],
-    };
+    } as ShieldDefinition;
   }
 
   //Special case where there's a defined fallback shield when no ref is tagged
@@ -311,6 +330,35 @@ export function romanizeRef(ref: string): string {
   return roman + ref.slice(number.toString().length);
 }
 
+/**
+ * Returns a copy of a drawn shield definition in the route's color, if the
+ * definition calls for it and the route has a valid color.
+ */
+export function applyRouteColor(
+  shieldDef: ShieldDefinition,
+  routeDef: RouteDefinition
+): ShieldDefinition {
+  if (!shieldDef.colorFromRoute || !shieldDef.shapeBlank) {
+    return shieldDef;
+  }
+  let textColor = Gfx.contrastingTextColor(routeDef.color);
+  if (!textColor) {
+    return shieldDef;
+  }
+  return {
+    ...shieldDef,
+    textColor,
+    shapeBlank: {
+      ...shieldDef.shapeBlank,
+      params: {
+        ...shieldDef.shapeBlank.params,
+        fillColor: routeDef.color,
+        strokeColor: routeDef.color,
+      },
+    },
+  } as ShieldDefinition;
+}
+
 function getDrawnShieldBounds(
   r: ShieldRenderingContext,
   shieldDef: ShieldDefinition,
@@ -344,16 +392,37 @@ function bannerAreaHeight(
   );
 }
 
+/**
+ * Returns the waymark to draw for a route, if its network calls for waymarks
+ * and the route has a valid osmc:symbol=* value.
+ */
+function getWaymark(
+  shields: ShieldDefinitions,
+  routeDef: RouteDefinition
+): OsmcSymbol | undefined {
+  if (!shields?.[routeDef.network]?.waymark) {
+    return undefined;
+  }
+  return parseOsmcSymbol(routeDef.color);
+}
+
 export function generateShieldCtx(
   r: ShieldRenderingContext,
   routeDef: RouteDefinition
 ): CanvasRenderingContext2D {
+  let waymark = getWaymark(r.shieldDef, routeDef);
+  if (waymark) {
+    return generateWaymarkCtx(r, waymark);
+  }
+
   let shieldDef: ShieldDefinition = getShieldDef(r.shieldDef, routeDef);
 
   if (shieldDef == null) {
     return null;
   }
 
+  shieldDef = applyRouteColor(shieldDef, routeDef);
+
   routeDef.ref = refForDefs(routeDef, shieldDef);
 
   //Determine overall shield+banner dimensions
@@ -427,3 +496,71 @@ export function generateShieldCtx(
 
   return ctx;
 }
+
+/**
+ * Lays out shields of the given sizes one after another, leaving the same
+ * spacing between each pair. In a horizontal stack, the shields sit on a
+ * common baseline so that taller shields and banners extend upward. In a
+ * vertical stack, the shields are centered on a common axis.
+ *
+ * @param sizes - dimensions of each shield, including banners
+ * @param direction - direction in which to stack the shields
+ * @param spacing - space between shields, in scaled pixels
+ * @returns dimensions of the stack and the top-left corner of each shield
+ */
+export function layoutShieldStack(
+  sizes: Dimension[],
+  direction: ShieldStackDirection,
+  spacing: number
+): { bounds: Dimension; positions: { x: number; y: number }[] } {
+  const gaps = spacing * Math.max(sizes.length - 1, 0);
+  const widths = sizes.map((size) => size.width);
+  const heights = sizes.map((size) => size.height);
+  const sum = (values: number[]) => values.reduce((a, b) => a + b, 0);
+
+  const horizontal = direction !== "vertical";
+  const bounds = horizontal
+    ? { width: sum(widths) + gaps, height: Math.max(...heights) }
+    : { width: Math.max(...widths), height: sum(heights) + gaps };
+
+  let offset = 0;
+  const positions = sizes.map((size) => {
+    let position = horizontal
+      ? { x: offset, y: bounds.height - size.height }
+      : { x: Math.round((bounds.width - size.width) / 2), y: offset };
+    offset += (horizontal ? size.width : size.height) + spacing;
+    return position;
+  });
+
+  return { bounds, positions };
+}
+
+/**
+ * Draws the shields of concurrent routes, each with its own banners, into a
+ * single graphic.
+ *
+ * @returns the graphic, or null if none of the routes has a shield
+ */
+export function generateShieldStackCtx(
+  r: ShieldRenderingContext,
+  stack: ShieldStackDefinition
+): CanvasRenderingContext2D {
+  const shields = stack.routes
+    .map((routeDef) => generateShieldCtx(r, { ...routeDef }))
+    .filter((ctx) => ctx != null);
+  if (shields.length === 0) {
+    return null;
+  }
+
+  const { bounds, positions } = layoutShieldStack(
+    shields.map((shield) => shield.canvas),
+    stack.direction,
+    r.px(r.options.stackSpacing ?? defaultStackSpacing)
+  );
+
+  const ctx = r.gfxFactory.createGraphics(bounds);
+  shields.forEach((shield, i) =>
+    ctx.drawImage(shield.canvas, positions[i].x, positions[i].y)
+  );
+  return ctx;
+}
@@ -795,6 +795,11 @@ export function registerDrawFunction(
   }
 }
 
+/** Whether a draw function has been registered under the given name */
+export function hasDrawFunction(name: string): boolean {
+  return name in drawFunctions;
+}
+
 //Built-in draw functions (standard shapes)
 registerDrawFunction("diamond", diamond);
 registerDrawFunction("ellipse", ellipse);
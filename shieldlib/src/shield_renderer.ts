@@ -15,13 +15,17 @@ import type {
   ShieldDefinitions,
   ShieldOptions,
   ShieldSpecification,
+  ShieldStackDefinition,
+  ShieldStackDirection,
   SpriteRepository,
   StringPredicate,
 } from "./types";
 import {
   storeNoShield,
   missingIconLoader,
+  missingStackLoader,
   generateShieldCtx,
+  generateShieldStackCtx,
 } from "./shield.js";
 import { DOMGraphicsFactory } from "./document_graphics";
 
@@ -73,7 +77,7 @@ class MaplibreGLSpriteRepository implements SpriteRepository {
   ): void {
     if (update && this.map.listImages().includes(spriteID)) {
       this.map.removeImage(spriteID);
-      this.map.addImage(spriteID, image);
+      this.map.addImage(spriteID, image, options);
     } else {
       this.map.addImage(spriteID, image, options);
     }
@@ -89,7 +93,10 @@ export class AbstractShieldRenderer {
   private _map: MapLibre;
   private _fontsLoaded: boolean = false;
   /** Cache images that are loaded before fonts so they can be re-rendered later */
-  private _preFontImageCache: Map<string, RouteDefinition> = new Map();
+  private _preFontImageCache: Map<
+    string,
+    RouteDefinition | ShieldStackDefinition
+  > = new Map();
 
   /** @hidden */
   private _renderContext: ShieldRenderingContext;
@@ -148,14 +155,60 @@ export class AbstractShieldRenderer {
     console.log("Re-processing shields with loaded fonts");
 
     // Loop through each previously-loaded shield and re-render it
-    for (let [id, routeDef] of this._preFontImageCache.entries()) {
-      missingIconLoader(this._renderContext, routeDef, id, true);
+    for (let [id, def] of this._preFontImageCache.entries()) {
+      if ("routes" in def) {
+        missingStackLoader(this._renderContext, def, id, true);
+      } else {
+        missingIconLoader(this._renderContext, def, id, true);
+      }
     }
 
     this._preFontImageCache.clear();
     this._map.redraw();
   }
 
+  /**
+   * Re-render every shield that has already been drawn on the map, for
+   * example after changing colors in the shield definitions.
+   */
+  public reloadShields(): void {
+    if (!this._map) {
+      return;
+    }
+    for (const id of this._map.listImages()) {
+      if (!this._shieldPredicate(id)) {
+        continue;
+      }
+      const stack = this.parseStack(id);
+      if (stack) {
+        missingStackLoader(this._renderContext, stack, id, true);
+        continue;
+      }
+      const routeDef: RouteDefinition = this._routeParser.parse(id);
+      if (routeDef && this._networkPredicate(routeDef.network)) {
+        missingIconLoader(this._renderContext, routeDef, id, true);
+      }
+    }
+    this._map.redraw();
+  }
+
+  /**
+   * Unpack a stack of concurrent routes from a sprite ID, leaving out routes
+   * in networks that this renderer doesn't handle
+   */
+  private parseStack(id: string): ShieldStackDefinition | undefined {
+    const stack = this._routeParser.parseStack?.(id);
+    if (!stack) {
+      return undefined;
+    }
+    return {
+      ...stack,
+      routes: stack.routes.filter((routeDef) =>
+        this._networkPredicate(routeDef.network)
+      ),
+    };
+  }
+
   /** Get the shield definitions */
   public getShieldDefinitions(): ShieldDefinitions {
     return this._renderContext.shieldDef;
@@ -239,6 +292,17 @@ export class AbstractShieldRenderer {
         if (!this._shieldPredicate(e.id)) {
           return;
         }
+        const stack = this.parseStack(e.id);
+        if (stack) {
+          if (
+            !this._fontsLoaded &&
+            stack.routes.some((routeDef) => routeDef.ref)
+          ) {
+            this._preFontImageCache.set(e.id, stack);
+          }
+          missingStackLoader(this._renderContext, stack, e.id, false);
+          return;
+        }
         let routeDef: RouteDefinition = this._routeParser.parse(e.id);
         if (!this._networkPredicate(routeDef.network)) {
           storeNoShield(this._renderContext, e.id);
@@ -265,6 +329,14 @@ export class AbstractShieldRenderer {
     });
   }
 
+  /** Get a single graphic containing the shields of concurrent routes */
+  public getGraphicForRoutes(
+    routes: RouteDefinition[],
+    direction: ShieldStackDirection = "horizontal"
+  ) {
+    return generateShieldStackCtx(this._renderContext, { direction, routes });
+  }
+
   /** Get a blank route shield sprite in the default size */
   public emptySprite(): CanvasRenderingContext2D {
     return this._renderContext.emptySprite();
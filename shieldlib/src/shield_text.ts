@@ -383,6 +383,11 @@ function registerDrawTextFunction(name: string, fxn: TextLayoutScaler): void {
   drawTextFunctions[name] = fxn;
 }
 
+/** Whether a text layout function has been registered under the given name */
+export function hasTextLayoutFunction(name: string): boolean {
+  return name in drawTextFunctions;
+}
+
 //Built-in draw functions (standard shapes)
 registerDrawTextFunction("diamond", diamondTextConstraint);
 registerDrawTextFunction("ellipse", ellipseTextConstraint);
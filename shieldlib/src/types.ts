@@ -12,6 +12,19 @@ export interface RouteDefinition {
   ref?: string;
   /** If set, only match routes with this name value */
   name?: string;
+  /** Color of the route, or its osmc:symbol=* value if it has a waymark */
+  color?: string;
+}
+
+/** Direction in which the shields of concurrent routes are stacked */
+export type ShieldStackDirection = "horizontal" | "vertical";
+
+/** A set of concurrent routes whose shields are drawn together in one image */
+export interface ShieldStackDefinition {
+  /** Direction in which to stack the shields */
+  direction: ShieldStackDirection;
+  /** Routes in the order in which their shields are drawn */
+  routes: RouteDefinition[];
 }
 
 /** Enforce a requirement that one field OR another field must be specified, but not both */
@@ -44,23 +57,33 @@ export interface ShieldDefinitionBase {
   /** Maximum size of shield text */
   maxFontSize?: number;
   /** ref values that can be mapped from names */
-  refsByName?: Map<string, string>;
+  refsByName?: { [name: string]: string };
   /** hard-code the shield text to this value */
   ref?: string;
   /** Transpose numbering system, for example "roman" for Roman numerals */
   numberingSystem?: string;
   /** Reflect this shield vertically */
-  verticalReflect: boolean;
+  verticalReflect?: boolean;
   /** Perform a color lighten operation with this color */
-  colorLighten: string;
+  colorLighten?: string;
   /** Perform a color darken operation with this color */
-  colorDarken: string;
+  colorDarken?: string;
   /** Provide a different shield style for specific name values */
-  overrideByName: Map<string, ShieldDefinition>;
+  overrideByName?: { [name: string]: ShieldDefinition };
   /** Provide a different shield style for specific ref values */
-  overrideByRef: Map<string, ShieldDefinition>;
+  overrideByRef?: { [ref: string]: ShieldDefinition };
   /** Provide a different shield style when there's no ref value */
-  noref: ShieldDefinition;
+  noref?: ShieldDefinition;
+  /**
+   * Fill and outline a drawn shield with the route's color, with text in black
+   * or white, whichever contrasts more, if the route has a valid color
+   */
+  colorFromRoute?: boolean;
+  /**
+   * Draw a waymark from the route's osmc:symbol=* value in place of the
+   * shield, if the route has a valid value
+   */
+  waymark?: boolean;
 }
 
 /**
@@ -81,8 +104,8 @@ export interface ShieldDefinitionBase {
  *     };
  */
 export type ShieldDefinition = Exclusive<
-  { spriteBlank: string[] },
-  { shapeBlank: ShapeDefinition }
+  { spriteBlank?: string | string[] },
+  { shapeBlank?: ShapeDefinition }
 > &
   ShieldDefinitionBase;
 
@@ -94,6 +117,28 @@ export interface ShapeDefinition {
   params: ShapeBlankParams;
 }
 
+/** A part of a waymark: its color and, optionally, its shape */
+export interface WaymarkPart {
+  /** Color name as allowed in osmc:symbol=*, or a hex color */
+  color: string;
+  /** Shape as named in osmc:symbol=*, such as "bar" or "circle" */
+  shape?: string;
+}
+
+/** A waymark as described by an osmc:symbol=* value */
+export interface OsmcSymbol {
+  /** Color of the route's line */
+  wayColor?: string;
+  /** Background of the waymark */
+  background: WaymarkPart;
+  /** Up to two shapes drawn atop the background */
+  foreground: WaymarkPart[];
+  /** Text drawn atop the shapes */
+  text?: string;
+  /** Color of the text */
+  textColor?: string;
+}
+
 /** Rectangular padding values */
 export interface BoxPadding {
   /** Minimum padding to the left of the text */
@@ -154,6 +199,11 @@ export type StringPredicate = (spriteID: string) => boolean;
 export interface RouteParser {
   parse(spriteID: string): RouteDefinition;
   format(network: string, ref: string, name: string): string;
+  /**
+   * Unpacks a stack of concurrent routes from a sprite image string, or
+   * returns undefined if the string represents a single route.
+   */
+  parseStack?(spriteID: string): ShieldStackDefinition | undefined;
 }
 
 /** Retrieve a sprite graphic based on an ID */
@@ -176,9 +226,7 @@ export type SpriteRepository = SpriteProducer & SpriteConsumer;
 
 /** Map of shield definitions that associates a network name to its rendering */
 export interface ShieldDefinitions {
-  shield: {
-    [key: string]: ShieldDefinition;
-  };
+  [network: string]: ShieldDefinition;
 }
 
 /** Additional debugging-only override options */
@@ -204,6 +252,8 @@ export interface ShieldOptions {
   shieldFont: string;
   /** Default shield size in pixels at 1x */
   shieldSize: number;
+  /** Space between stacked shields in pixels at 1x */
+  stackSpacing?: number;
 }
 
 /**
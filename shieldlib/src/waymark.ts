@@ -0,0 +1,278 @@
+/**
+ * Waymarks drawn from the osmc:symbol=* tag of a hiking route
+ *
+ * The tag describes the blaze painted along a trail as a colon-separated list
+ * of the way color, background, one or two foreground shapes, and optional
+ * text and text color, for example `red:white:red_bar:1:black`.
+ * https://wiki.openstreetmap.org/wiki/Key:osmc:symbol
+ */
+
+import * as Gfx from "./screen_gfx";
+import { ShieldRenderingContext } from "./shield_renderer";
+import type { OsmcSymbol, WaymarkPart } from "./types";
+
+/** Colors that the tag allows, as drawn on the map */
+const waymarkColors: { [color: string]: string } = {
+  black: "#000000",
+  blue: "#2355c8",
+  brown: "#8b4513",
+  gray: "#808080",
+  green: "#1f8a3b",
+  orange: "#f28c28",
+  purple: "#7b3294",
+  red: "#d7191c",
+  white: "#ffffff",
+  yellow: "#ffd700",
+};
+
+const hexColor = /^#([0-9a-f]{3}){1,2}$/i;
+
+const backgroundShapes = ["circle", "frame", "round"];
+
+/** Foreground shapes, each drawn into a square box */
+const foregroundShapes: {
+  [shape: string]: (
+    ctx: CanvasRenderingContext2D,
+    x: number,
+    y: number,
+    size: number
+  ) => void;
+} = {
+  bar: (ctx, x, y, size) => ctx.fillRect(x, y + size / 3, size, size / 3),
+  stripe: (ctx, x, y, size) => ctx.fillRect(x + size / 3, y, size / 3, size),
+  lower: (ctx, x, y, size) => ctx.fillRect(x, y + size / 2, size, size / 2),
+  left: (ctx, x, y, size) => ctx.fillRect(x, y, size / 2, size),
+  right: (ctx, x, y, size) => ctx.fillRect(x + size / 2, y, size / 2, size),
+  rectangle: (ctx, x, y, size) =>
+    ctx.fillRect(x + size / 4, y + size / 4, size / 2, size / 2),
+  cross: (ctx, x, y, size) => {
+    ctx.fillRect(x, y + size * 0.4, size, size * 0.2);
+    ctx.fillRect(x + size * 0.4, y, size * 0.2, size);
+  },
+  x: (ctx, x, y, size) => {
+    strokeLine(ctx, x, y, x + size, y + size, size / 6);
+    strokeLine(ctx, x + size, y, x, y + size, size / 6);
+  },
+  slash: (ctx, x, y, size) =>
+    strokeLine(ctx, x + size, y, x, y + size, size / 5),
+  backslash: (ctx, x, y, size) =>
+    strokeLine(ctx, x, y, x + size, y + size, size / 5),
+  corner: (ctx, x, y, size) =>
+    fillPolygon(ctx, [
+      [x, y],
+      [x + size, y],
+      [x, y + size],
+    ]),
+  diamond: (ctx, x, y, size) =>
+    fillPolygon(ctx, [
+      [x + size / 2, y + size / 6],
+      [x + (size * 5) / 6, y + size / 2],
+      [x + size / 2, y + (size * 5) / 6],
+      [x + size / 6, y + size / 2],
+    ]),
+  triangle: (ctx, x, y, size) =>
+    fillPolygon(ctx, [
+      [x + size / 2, y + size / 6],
+      [x + (size * 5) / 6, y + (size * 5) / 6],
+      [x + size / 6, y + (size * 5) / 6],
+    ]),
+  triangle_turned: (ctx, x, y, size) =>
+    fillPolygon(ctx, [
+      [x + size / 6, y + size / 6],
+      [x + (size * 5) / 6, y + size / 6],
+      [x + size / 2, y + (size * 5) / 6],
+    ]),
+  dot: (ctx, x, y, size) => {
+    ctx.beginPath();
+    ctx.arc(x + size / 2, y + size / 2, size / 4, 0, 2 * Math.PI);
+    ctx.fill();
+  },
+  circle: (ctx, x, y, size) => {
+    ctx.beginPath();
+    ctx.arc(x + size / 2, y + size / 2, size / 3, 0, 2 * Math.PI);
+    ctx.lineWidth = size / 8;
+    ctx.stroke();
+  },
+};
+
+function strokeLine(
+  ctx: CanvasRenderingContext2D,
+  x0: number,
+  y0: number,
+  x1: number,
+  y1: number,
+  width: number
+): void {
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y1);
+  ctx.lineWidth = width;
+  ctx.stroke();
+}
+
+function fillPolygon(ctx: CanvasRenderingContext2D, points: number[][]): void {
+  ctx.beginPath();
+  points.forEach(([x, y]) => ctx.lineTo(x, y));
+  ctx.closePath();
+  ctx.fill();
+}
+
+/** Whether a color name or hex value can be drawn on a waymark */
+function isWaymarkColor(color: string): boolean {
+  return color in waymarkColors || hexColor.test(color);
+}
+
+function cssColor(color: string): string {
+  return waymarkColors[color] ?? color;
+}
+
+function parseBackground(value: string): WaymarkPart | undefined {
+  let [color, shape] = value.split(/_(.*)/);
+  if (!isWaymarkColor(color)) {
+    return undefined;
+  }
+  if (shape === undefined) {
+    return { color };
+  }
+  return backgroundShapes.includes(shape) ? { color, shape } : undefined;
+}
+
+function parseForeground(value: string): WaymarkPart | undefined {
+  let [color, shape] = value.split(/_(.*)/);
+  if (isWaymarkColor(color) && shape in foregroundShapes) {
+    return { color, shape };
+  }
+  return undefined;
+}
+
+/**
+ * Unpacks the value of an osmc:symbol=* tag. A bare color, as in colour=*, is
+ * treated as a bar of that color on a white background.
+ *
+ * @param value - the tag value
+ * @returns the waymark, or undefined if the value does not describe a
+ *  background that can be drawn
+ */
+export function parseOsmcSymbol(value: string): OsmcSymbol | undefined {
+  if (!value) {
+    return undefined;
+  }
+  // The text is case-sensitive, unlike the rest of the value.
+  let originalFields = value.trim().split(":");
+  let fields = originalFields.map((field) => field.toLowerCase());
+  if (fields.length === 1) {
+    let color = fields[0];
+    return isWaymarkColor(color)
+      ? {
+          wayColor: color,
+          background: { color: "white" },
+          foreground: [{ color, shape: "bar" }],
+        }
+      : undefined;
+  }
+
+  let text: string;
+  let textColor: string;
+  if (fields.length >= 5) {
+    text = originalFields[fields.length - 2];
+    textColor = fields[fields.length - 1];
+    fields = fields.slice(0, -2);
+  }
+
+  let [wayColor, background, ...foregrounds] = fields;
+  let symbol: OsmcSymbol = {
+    background: parseBackground(background),
+    foreground: foregrounds
+      .slice(0, 2)
+      .map(parseForeground)
+      .filter((part) => part),
+  };
+  if (!symbol.background) {
+    return undefined;
+  }
+  if (isWaymarkColor(wayColor)) {
+    symbol.wayColor = wayColor;
+  }
+  if (text) {
+    symbol.text = text;
+    symbol.textColor = isWaymarkColor(textColor) ? textColor : "black";
+  }
+  return symbol;
+}
+
+/**
+ * Draws a waymark as a square graphic the size of a shield.
+ *
+ * @param r - rendering context
+ * @param symbol - the waymark, as returned by `parseOsmcSymbol`
+ * @returns the graphic
+ */
+export function generateWaymarkCtx(
+  r: ShieldRenderingContext,
+  symbol: OsmcSymbol
+): CanvasRenderingContext2D {
+  let size = r.shieldSize();
+  let ctx = r.gfxFactory.createGraphics({ width: size, height: size });
+  let outlineWidth = r.px(1);
+  let inset = outlineWidth / 2;
+  let { color, shape } = symbol.background;
+
+  let round = shape === "circle" || shape === "round";
+  let tracePath = () => {
+    ctx.beginPath();
+    if (round) {
+      ctx.arc(size / 2, size / 2, size / 2 - inset, 0, 2 * Math.PI);
+    } else {
+      ctx.rect(inset, inset, size - outlineWidth, size - outlineWidth);
+    }
+  };
+
+  // Background, leaving a box for the foreground
+  tracePath();
+  let framed = shape === "frame" || shape === "circle";
+  ctx.fillStyle = cssColor(framed ? "white" : color);
+  ctx.fill();
+  ctx.save();
+  ctx.clip();
+
+  let box = outlineWidth;
+  if (framed) {
+    let frameWidth = size / 8;
+    ctx.lineWidth = frameWidth * 2;
+    ctx.strokeStyle = cssColor(color);
+    ctx.stroke();
+    box += frameWidth;
+  }
+  if (round) {
+    // Inscribe the foreground box in the circle
+    box = size / 2 - (size / 2 - box) * Math.SQRT1_2;
+  }
+  let boxSize = size - 2 * box;
+
+  for (let part of symbol.foreground) {
+    ctx.fillStyle = ctx.strokeStyle = cssColor(part.color);
+    foregroundShapes[part.shape](ctx, box, box, boxSize);
+  }
+  ctx.restore();
+
+  tracePath();
+  ctx.lineWidth = outlineWidth;
+  ctx.strokeStyle = "black";
+  ctx.stroke();
+
+  if (symbol.text) {
+    let fontSize = boxSize * 0.8;
+    ctx.font = Gfx.shieldFont(fontSize, r.options.shieldFont);
+    let textWidth = ctx.measureText(symbol.text).width;
+    if (textWidth > boxSize) {
+      fontSize *= boxSize / textWidth;
+      ctx.font = Gfx.shieldFont(fontSize, r.options.shieldFont);
+    }
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = cssColor(symbol.textColor);
+    ctx.fillText(symbol.text, size / 2, size / 2);
+  }
+
+  return ctx;
+}
@@ -0,0 +1,64 @@
+"use strict";
+
+import { expect } from "chai";
+import { HeadlessShieldRenderer } from "../../src/headless_renderer";
+import { roundedRectShield } from "../../src/shield_helper";
+import type {
+  RouteParser,
+  ShieldDefinitions,
+  ShieldSpecification,
+} from "../../src/types";
+
+const routeParser: RouteParser = {
+  parse: (id: string) => {
+    let [, network, ref, name] = id.split("\n");
+    return { network, ref, name };
+  },
+  format: (network: string, ref: string, name: string) =>
+    `shield\n${network}\n${ref}\n${name}`,
+};
+
+function shieldSpec(): ShieldSpecification {
+  return {
+    networks: {
+      "US:XX": roundedRectShield("white", "black", "black", undefined, 2),
+    } as unknown as ShieldDefinitions,
+    options: {
+      bannerHeight: 9,
+      bannerPadding: 1,
+      bannerTextColor: "black",
+      bannerTextHaloColor: "white",
+      shieldFont: "sans-serif",
+      shieldSize: 20,
+    },
+  };
+}
+
+describe("headless_renderer", function () {
+  describe("#renderToBuffer", function () {
+    it("encodes a PNG", function () {
+      let renderer = new HeadlessShieldRenderer(shieldSpec(), routeParser);
+      let image = renderer.renderToBuffer("US:XX", "12");
+      expect(image.subarray(1, 4).toString("ascii")).to.equal("PNG");
+    });
+    it("encodes an SVG", function () {
+      let renderer = new HeadlessShieldRenderer(shieldSpec(), routeParser, {
+        format: "svg",
+      });
+      let image = renderer.renderToBuffer("US:XX", "12");
+      expect(image.toString("utf8")).to.include("<svg");
+    });
+    it("scales to the pixel ratio", function () {
+      let renderer = new HeadlessShieldRenderer(shieldSpec(), routeParser, {
+        pixelRatio: 2,
+      });
+      expect(
+        renderer.getGraphicForRoute("US:XX", "12", "").canvas.height
+      ).to.equal(40);
+    });
+    it("returns null for a route without a shield", function () {
+      let renderer = new HeadlessShieldRenderer(shieldSpec(), routeParser);
+      expect(renderer.renderToBuffer("US:XX", "")).to.be.null;
+    });
+  });
+});
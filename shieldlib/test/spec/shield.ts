@@ -1,7 +1,11 @@
 "use strict";
 
 import { expect } from "chai";
-import { romanizeRef } from "../../src/shield";
+import {
+  applyRouteColor,
+  layoutShieldStack,
+  romanizeRef,
+} from "../../src/shield";
 
 describe("shield", function () {
   describe("#romanizeRef", function () {
@@ -42,4 +46,70 @@ describe("shield", function () {
       expect(romanizeRef("2I")).to.be.eql("III");
     });
   });
+
+  describe("#layoutShieldStack", function () {
+    const sizes = [
+      { width: 20, height: 20 },
+      { width: 30, height: 30 },
+    ];
+    it("aligns a horizontal stack on the bottom", function () {
+      expect(layoutShieldStack(sizes, "horizontal", 2)).to.be.eql({
+        bounds: { width: 52, height: 30 },
+        positions: [
+          { x: 0, y: 10 },
+          { x: 22, y: 0 },
+        ],
+      });
+    });
+    it("centers a vertical stack", function () {
+      expect(layoutShieldStack(sizes, "vertical", 2)).to.be.eql({
+        bounds: { width: 30, height: 52 },
+        positions: [
+          { x: 5, y: 0 },
+          { x: 0, y: 22 },
+        ],
+      });
+    });
+  });
+
+  describe("#applyRouteColor", function () {
+    const shieldDef = {
+      colorFromRoute: true,
+      textColor: "black",
+      shapeBlank: {
+        drawFunc: "ellipse",
+        params: { fillColor: "white", strokeColor: "black" },
+      },
+    };
+    it("fills the shape with the route's color", function () {
+      expect(
+        applyRouteColor(shieldDef, { network: "n", color: "#ee352e" })
+      ).to.be.eql({
+        colorFromRoute: true,
+        textColor: "white",
+        shapeBlank: {
+          drawFunc: "ellipse",
+          params: { fillColor: "#ee352e", strokeColor: "#ee352e" },
+        },
+      });
+    });
+    it("contrasts the text with the route's color", function () {
+      expect(
+        applyRouteColor(shieldDef, { network: "n", color: "yellow" }).textColor
+      ).to.be.eql("black");
+      expect(
+        applyRouteColor(shieldDef, { network: "n", color: "navy" }).textColor
+      ).to.be.eql("white");
+    });
+    it("keeps the definition's colors without a valid route color", function () {
+      expect(applyRouteColor(shieldDef, { network: "n" })).to.equal(shieldDef);
+      expect(
+        applyRouteColor(shieldDef, { network: "n", color: "nonsense" })
+      ).to.equal(shieldDef);
+      let plainDef = { ...shieldDef, colorFromRoute: false };
+      expect(
+        applyRouteColor(plainDef, { network: "n", color: "red" })
+      ).to.equal(plainDef);
+    });
+  });
 });
@@ -0,0 +1,73 @@
+"use strict";
+
+import { expect } from "chai";
+import { parseOsmcSymbol } from "../../src/waymark";
+
+describe("waymark", function () {
+  describe("#parseOsmcSymbol", function () {
+    it("parses a background and foreground", function () {
+      expect(parseOsmcSymbol("red:white:red_bar")).to.be.eql({
+        wayColor: "red",
+        background: { color: "white" },
+        foreground: [{ color: "red", shape: "bar" }],
+      });
+    });
+    it("parses a shaped background", function () {
+      expect(parseOsmcSymbol("blue:blue_round")).to.be.eql({
+        wayColor: "blue",
+        background: { color: "blue", shape: "round" },
+        foreground: [],
+      });
+      expect(parseOsmcSymbol("green:green_frame").background).to.be.eql({
+        color: "green",
+        shape: "frame",
+      });
+    });
+    it("parses two foregrounds", function () {
+      expect(
+        parseOsmcSymbol("yellow:white:yellow_lower:black_dot").foreground
+      ).to.be.eql([
+        { color: "yellow", shape: "lower" },
+        { color: "black", shape: "dot" },
+      ]);
+    });
+    it("parses text", function () {
+      expect(parseOsmcSymbol("red:white:red_bar:Ab:black")).to.be.eql({
+        wayColor: "red",
+        background: { color: "white" },
+        foreground: [{ color: "red", shape: "bar" }],
+        text: "Ab",
+        textColor: "black",
+      });
+      expect(parseOsmcSymbol("blue:white::7:blue")).to.be.eql({
+        wayColor: "blue",
+        background: { color: "white" },
+        foreground: [],
+        text: "7",
+        textColor: "blue",
+      });
+    });
+    it("treats a bare color as a bar", function () {
+      expect(parseOsmcSymbol("Orange")).to.be.eql({
+        wayColor: "orange",
+        background: { color: "white" },
+        foreground: [{ color: "orange", shape: "bar" }],
+      });
+      expect(parseOsmcSymbol("#0a0").foreground).to.be.eql([
+        { color: "#0a0", shape: "bar" },
+      ]);
+    });
+    it("skips unknown foreground shapes", function () {
+      expect(
+        parseOsmcSymbol("red:white:red_wolfshook:red_dot").foreground
+      ).to.be.eql([{ color: "red", shape: "dot" }]);
+    });
+    it("rejects values without a valid background", function () {
+      expect(parseOsmcSymbol(undefined)).to.be.undefined;
+      expect(parseOsmcSymbol("")).to.be.undefined;
+      expect(parseOsmcSymbol("chartreuse")).to.be.undefined;
+      expect(parseOsmcSymbol("red:pink:red_bar")).to.be.undefined;
+      expect(parseOsmcSymbol("red:white_hexagon")).to.be.undefined;
+    });
+  });
+});
@@ -6,10 +6,26 @@ import { LanguageControl } from "./js/language_control.js";
 
 import * as maplibregl from "maplibre-gl";
 import "maplibre-gl/dist/maplibre-gl.css";
-import * as search from "./search.js";
+import { SearchControl } from "./search.js";
+import { createGeocoder } from "./geocoder/index.js";
 
 import LegendControl from "./js/legend_control.js";
-import { HillshadeControl } from "./js/hillshade_control.js";
+import { HillshadeControl, getTerrainModes } from "./js/hillshade_control.js";
+import {
+  OverlayControl,
+  getOverlays,
+  overlayModes,
+} from "./js/overlay_control.js";
+import { ThemeControl } from "./js/theme_control.js";
+import { GlobeControl } from "./js/globe_control.js";
+import { MeasureControl } from "./js/measure_control.js";
+import { PrintControl } from "./js/print_control.js";
+import { RoutePopup } from "./js/route_popup.js";
+import { InspectorPopup } from "./js/inspector_popup.js";
+import { AddressPopup } from "./js/address_popup.js";
+import { parseRouteParameter } from "./js/route_highlight.js";
+import { parseSelectionParameter } from "./js/search_selection.js";
+import { restorePreferences } from "./js/preferences.js";
 import * as LegendConfig from "./js/legend_config.js";
 import SampleControl from "openmapsamples-maplibre/OpenMapSamplesControl.js";
 import { default as OpenMapTilesSamples } from "openmapsamples/samples/OpenMapTiles/index.js";
@@ -25,9 +41,14 @@ function upgradeLegacyHash() {
   window.location.hash = hash;
 }
 upgradeLegacyHash();
+restorePreferences();
 
 loadRTLPlugin();
 
+const initialTheme = new URLSearchParams(window.location.hash.substr(1)).get(
+  "theme"
+);
+
 export const map = createMap(
   window,
   (shields) => shieldDefLoad(shields),
@@ -35,7 +56,7 @@ export const map = createMap(
     container: "map", // container id
     hash: "map",
     antialias: true,
-    style: buildStyle(),
+    style: buildStyle(initialTheme),
     center: [-94, 40.5],
     zoom: 4,
     attributionControl: false,
@@ -51,12 +72,18 @@ OpenMapTilesSamples.forEach((sample, i) => {
 });
 
 let legendControl;
+let searchControl;
 
 function shieldDefLoad(shields) {
-  legendControl = new LegendControl(shields);
+  legendControl = new LegendControl(shields, map.shieldRenderer);
   legendControl.sections = LegendConfig.sections;
   map.addControl(legendControl, "bottom-left");
   map.addControl(sampleControl, "bottom-left");
+  new RoutePopup(map.shieldRenderer, legendControl).addTo(map);
+
+  const geocoder = createGeocoder(config.GEOCODER);
+  new InspectorPopup(geocoder).addTo(map);
+  new AddressPopup().addTo(map);
 
   if (window.top === window.self) {
     // if not embedded in an iframe, autofocus canvas to enable keyboard shortcuts
@@ -67,10 +94,15 @@ function shieldDefLoad(shields) {
   map.addControl(new maplibregl.AttributionControl(attributionConfig));
   map.addControl(languageControl, "bottom-right");
 
-  map.addControl(new search.PhotonSearchControl(), "top-left");
+  searchControl = new SearchControl({ geocoder });
+  map.addControl(searchControl, "top-left");
   map.addControl(new maplibregl.NavigationControl(), "top-left");
-  map.addControl(new maplibregl.GlobeControl(), "top-left");
+  map.addControl(new GlobeControl(), "top-left");
   map.addControl(new HillshadeControl(), "top-left");
+  map.addControl(new OverlayControl(), "top-left");
+  map.addControl(new ThemeControl(), "top-left");
+  map.addControl(new MeasureControl(), "top-left");
+  map.addControl(new PrintControl(legendControl), "top-left");
 
   window.addEventListener("languagechange", (event) => {
     map.localize();
@@ -109,8 +141,36 @@ function hashChanged(oldURL, newURL) {
     map.setProjection({ type: newParams.get("projection") || "mercator" });
   }
 
-  if (oldParams.has("terrain") !== newParams.has("terrain")) {
-    map.shadesHills = newParams.has("terrain");
+  const oldTerrain = getTerrainModes(oldParams);
+  const newTerrain = getTerrainModes(newParams);
+  if (oldTerrain.has("hillshade") !== newTerrain.has("hillshade")) {
+    map.shadesHills = newTerrain.has("hillshade");
+  }
+  if (oldTerrain.has("contours") !== newTerrain.has("contours")) {
+    map.showsContours = newTerrain.has("contours");
+  }
+  if (oldTerrain.has("tint") !== newTerrain.has("tint")) {
+    map.tintsElevation = newTerrain.has("tint");
+  }
+
+  const oldOverlays = getOverlays(oldParams);
+  const newOverlays = getOverlays(newParams);
+  for (const { mode, property } of overlayModes) {
+    if (oldOverlays.has(mode) !== newOverlays.has(mode)) {
+      map[property] = newOverlays.has(mode);
+    }
+  }
+
+  if ((oldParams.get("route") || null) !== (newParams.get("route") || null)) {
+    map.highlightedRoute = parseRouteParameter(newParams.get("route"));
+  }
+
+  if ((oldParams.get("marker") || null) !== (newParams.get("marker") || null)) {
+    searchControl.selection = parseSelectionParameter(newParams.get("marker"));
+  }
+
+  if ((oldParams.get("theme") || null) !== (newParams.get("theme") || null)) {
+    map.theme = newParams.get("theme") || "light";
   }
 }
 
@@ -0,0 +1,204 @@
+"use strict";
+
+/*
+  Embeddable map
+
+  Another site can show the Americana style on its own pages by importing this
+  module from a deployment of the Americana build:
+
+    import { createAmericanaMap } from "https://example.com/americana_map.js";
+    const map = createAmericanaMap("map", { center: [-84.5, 39.1], zoom: 12 });
+
+  The map loads its sprites and shields from the same directory as this
+  module, unless the `baseURL` option says otherwise. It does not touch the
+  page's URL hash or the global scope unless asked to, so a page can have more
+  than one map.
+*/
+
+import config from "./config.js";
+
+import * as maplibregl from "maplibre-gl";
+import "maplibre-gl/dist/maplibre-gl.css";
+
+import { SearchControl } from "./search.js";
+import { createGeocoder } from "./geocoder/index.js";
+import LegendControl from "./js/legend_control.js";
+import { LanguageControl } from "./js/language_control.js";
+import { HillshadeControl } from "./js/hillshade_control.js";
+import { OverlayControl } from "./js/overlay_control.js";
+import { getConcurrentRoutes } from "./js/route_popup.js";
+import { connectMessageBridge } from "./js/message_bridge.js";
+import * as LegendConfig from "./js/legend_config.js";
+import * as HighwayShieldLayers from "./layer/highway_shield.js";
+import * as PoiLayers from "./layer/poi.js";
+
+import {
+  buildMap,
+  buildStyle,
+  loadRTLPlugin,
+  renderImagesOnMap,
+} from "./js/map_builder.js";
+import { debugOptions } from "./debug_config.js";
+
+export { buildStyle, renderImagesOnMap };
+export { handleMessage, overlayProperties } from "./js/message_bridge.js";
+
+const defaultBaseURL = new URL(".", import.meta.url).href;
+
+/**
+ * Controls that are added to the map unless the options say otherwise.
+ */
+const defaultControls = {
+  navigation: true,
+  attribution: true,
+  legend: false,
+  language: false,
+  search: false,
+  hillshade: false,
+  overlay: false,
+};
+
+/**
+ * Adds the optional controls once the shield definitions load.
+ */
+function addControls(map, controls, shields, hash) {
+  if (controls.search) {
+    const geocoder = createGeocoder(config.GEOCODER);
+    map.addControl(new SearchControl({ geocoder, hash }), "top-left");
+  }
+  if (controls.navigation) {
+    map.addControl(new maplibregl.NavigationControl(), "top-left");
+  }
+  if (controls.hillshade) {
+    map.addControl(new HillshadeControl({ hash }), "top-left");
+  }
+  if (controls.overlay) {
+    map.addControl(new OverlayControl({ hash }), "top-left");
+  }
+  if (controls.legend) {
+    // The legend is built from templates that only the Americana pages have.
+    if (document.getElementById("legend")) {
+      let legendControl = new LegendControl(shields, map.shieldRenderer);
+      legendControl.sections = LegendConfig.sections;
+      map.addControl(legendControl, "bottom-left");
+    } else {
+      console.warn("The legend requires the templates in index.html.");
+    }
+  }
+  if (controls.attribution) {
+    map.addControl(
+      new maplibregl.AttributionControl({
+        customAttribution: config.ATTRIBUTION_TEXT ?? "",
+      })
+    );
+  }
+  if (controls.language) {
+    map.addControl(new LanguageControl(), "bottom-right");
+  }
+}
+
+/**
+ * Fires "americana.shieldclick" and "americana.poiclick" events when the user
+ * clicks a route shield or point of interest, so that the embedding page need
+ * not know the style's layer IDs.
+ */
+function fireClickEvents(map) {
+  map.on("click", HighwayShieldLayers.shield.id, (event) => {
+    let routes = getConcurrentRoutes(event.features);
+    if (routes.length) {
+      map.fire("americana.shieldclick", { routes, lngLat: event.lngLat });
+    }
+  });
+  map.on("click", [PoiLayers.poi.id, PoiLayers.iconlessPoi.id], (event) => {
+    map.fire("americana.poiclick", {
+      feature: event.features[0],
+      lngLat: event.lngLat,
+    });
+  });
+}
+
+/**
+ * Creates a map in the Americana style.
+ *
+ * @param {string | HTMLElement} container - The element to show the map in,
+ *  or its ID.
+ * @param {object} options
+ * @param {number[]} options.center - Initial longitude and latitude.
+ * @param {number} options.zoom - Initial zoom level.
+ * @param {string} options.theme - Name of the theme, such as "light" or
+ *  "dark".
+ * @param {string[]} options.locales - Locales to label the map in, defaulting
+ *  to the user's language preferences.
+ * @param {string} options.style - URL of a prebuilt style, such as one packaged
+ *  by scripts/offline_bundle.ts, instead of building the style. Relative URLs
+ *  in the style are resolved against its location.
+ * @param {string} options.baseURL - URL of the directory containing the
+ *  sprites and shield definitions.
+ * @param {boolean} options.hash - Whether to keep the map's location and the
+ *  controls' state in the page's URL hash.
+ * @param {object} options.controls - Which controls to add, any of
+ *  `navigation`, `attribution`, `legend`, `language`, `search`, `hillshade`
+ *  and `overlay`. Only the navigation and attribution controls are added by
+ *  default.
+ * @param {string} options.messageOrigin - Origin of a page that embeds the map
+ *  in an iframe and controls it by posting messages, or "*" to accept
+ *  messages from any page. By default, the map ignores messages.
+ * @param {object} options.mapOptions - Other options to pass to MapLibre.
+ * @returns {MapView} The map.
+ */
+export function createAmericanaMap(
+  container,
+  {
+    center = [-94, 40.5],
+    zoom = 4,
+    theme,
+    locales,
+    style,
+    baseURL = defaultBaseURL,
+    hash = false,
+    controls = {},
+    messageOrigin,
+    mapOptions = {},
+  } = {}
+) {
+  loadRTLPlugin();
+  controls = { ...defaultControls, ...controls };
+  baseURL = baseURL.replace(/\/*$/, "/");
+
+  let map = buildMap(
+    (shields) => addControls(map, controls, shields, hash),
+    {
+      container,
+      hash: hash && "map",
+      antialias: true,
+      ...(style
+        ? {
+            style,
+            transformRequest: (url) => ({ url: new URL(url, style).href }),
+          }
+        : {
+            style: buildStyle(theme, locales, baseURL),
+            center,
+            zoom,
+          }),
+      fadeDuration: 0,
+      attributionControl: false,
+      experimentalZoomLevelsToOverscale: 0,
+      ...mapOptions,
+    },
+    debugOptions,
+    {
+      shieldsURL: new URL("shields.json", baseURL).href,
+      locales,
+    }
+  );
+  if (theme) {
+    map.theme = theme;
+  }
+
+  fireClickEvents(map);
+  if (messageOrigin) {
+    connectMessageBridge(map, { origin: messageOrigin });
+  }
+  return map;
+}
@@ -1,38 +1,33 @@
 "use strict";
 
-import "maplibre-gl/dist/maplibre-gl.css";
+import { createAmericanaMap } from "./americana_map.js";
 
-import { createMap, loadRTLPlugin, buildStyle } from "./js/map_builder.js";
-import { debugOptions } from "./debug_config.js";
+// A prebuilt style, such as one packaged by scripts/offline_bundle.ts, whose
+// relative URLs are resolved against the style's own location.
+const searchParams = new URLSearchParams(window.location.search);
+const styleParam = searchParams.get("style");
+const styleURL = styleParam && new URL(styleParam, window.location.href).href;
 
-loadRTLPlugin();
+const embedded = window.top !== window.self;
 
-export const map = createMap(
-  window,
-  (shields) => shieldDefLoad(),
-  {
-    container: "map", // container id
-    hash: "map",
-    antialias: true,
-    style: buildStyle(),
-    center: [-94, 40.5],
-    zoom: 4,
-    fadeDuration: 0,
-    attributionControl: false,
-    experimentalZoomLevelsToOverscale: 0,
-  },
-  debugOptions
-);
+export const map = (window["map"] = createAmericanaMap("map", {
+  style: styleURL,
+  hash: true,
+  controls: { navigation: false, attribution: false },
+  // An embedding page can control the map only if it names its own origin, or
+  // "*" to opt into exchanging messages with any page.
+  messageOrigin: (embedded && searchParams.get("origin")) || undefined,
+}));
 
-function shieldDefLoad() {
-  if (window.top === window.self) {
+map.once("load", () => {
+  if (!embedded) {
     // if not embedded in an iframe, autofocus canvas to enable keyboard shortcuts
     map.getCanvas().focus();
   }
+});
 
-  if (window.LIVE_RELOAD) {
-    new EventSource("/esbuild").addEventListener("change", () =>
-      location.reload()
-    );
-  }
+if (window.LIVE_RELOAD) {
+  new EventSource("/esbuild").addEventListener("change", () =>
+    location.reload()
+  );
 }
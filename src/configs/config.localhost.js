@@ -1,10 +1,33 @@
 "use strict";
 
 /*
-  Locally-run openmaptiles build
+  Locally-run openmaptiles build. This can also be a PMTiles archive, such as
+  "pmtiles://http://localhost:8080/planet.pmtiles".
 */
 const OPENMAPTILES_URL = "http://localhost:8080/data/v3.json";
 
+/*
+Uncomment the following line here and in the export block if the tiles follow
+the Shortbread schema instead of the OpenMapTiles schema
+*/
+//const TILE_SCHEMA = "shortbread";
+
+/*
+Uncomment the following line here and in the export block to draw all the
+concurrent routes along a road as a single image, stacking the shields
+"horizontal"ly or "vertical"ly, instead of one image per route.
+*/
+//const SHIELD_STACK = "horizontal";
+
+/*
+Uncomment the following line here and in the export block to look up places
+with another geocoder than the public Photon instance. The type is "photon",
+"nominatim" or "local"; a local geocoder searches a GeoJSON file of places in
+the browser, such as the control city data, for use without a network
+connection.
+*/
+//const GEOCODER = { type: "nominatim", url: "http://localhost:8088/search" };
+
 /*
 The following two variables override the color of the bounding box and halo of
 shield text, respectively. Useful while testing shield design changes.
@@ -17,4 +40,7 @@ export default {
   OPENMAPTILES_URL,
   SHIELD_TEXT_BBOX_COLOR,
   SHIELD_TEXT_HALO_COLOR_OVERRIDE,
+  // TILE_SCHEMA,
+  // SHIELD_STACK,
+  // GEOCODER,
 };
@@ -4,6 +4,52 @@ export const backgroundFillTranslucent = `hsla(60, 39%, 95%, 0.8)`;
 export const hillshadeShadow = "hsla(30, 14%, 63%, 1)";
 export const hillshadeHighlight = "hsla(30, 44%, 99%, 1)";
 
+export const contourLine = "hsla(30, 30%, 45%, 0.35)";
+export const contourIndexLine = "hsla(30, 30%, 40%, 0.6)";
+export const contourLabel = "hsl(30, 30%, 35%)";
+
+//Hypsometric tint colors keyed by elevation in meters
+export const hypsometricTint = {
+  0: "hsl(100, 30%, 78%)",
+  300: "hsl(75, 30%, 80%)",
+  1000: "hsl(50, 35%, 77%)",
+  2000: "hsl(30, 30%, 70%)",
+  3000: "hsl(20, 15%, 66%)",
+  4500: "hsl(0, 0%, 96%)",
+};
+
+export const routeHighlight = "hsla(330, 100%, 45%, 0.8)";
+export const routeHighlightDim = "hsla(60, 39%, 95%, 0.6)";
+
+export const cycleway = "hsl(195, 75%, 38%)";
+//Bicycle route colors keyed by the scope of the route's network
+export const cycleRoute = {
+  icn: "hsl(350, 75%, 40%)",
+  ncn: "hsl(350, 75%, 40%)",
+  rcn: "hsl(25, 90%, 42%)",
+  lcn: "hsl(265, 50%, 48%)",
+};
+//Transit lines that lack a colour=* tag
+export const transitLine = "hsl(220, 15%, 35%)";
+export const transitLineCasing = "hsl(0, 0%, 100%)";
+export const transitStationFill = "hsl(0, 0%, 100%)";
+export const transitStationStroke = "hsl(220, 15%, 20%)";
+export const transitLabel = "hsl(220, 30%, 25%)";
+//Hiking route colors keyed by the scope of the route's network
+export const hikingRoute = {
+  iwn: "hsl(130, 60%, 30%)",
+  nwn: "hsl(130, 60%, 30%)",
+  rwn: "hsl(35, 75%, 38%)",
+  lwn: "hsl(300, 45%, 42%)",
+};
+
+export const measurementLine = "hsl(211, 100%, 40%)";
+export const measurementFill = "hsla(211, 100%, 50%, 0.15)";
+export const measurementVertexStroke = "white";
+
+export const searchSelectionLine = "hsl(322, 81%, 43%)";
+export const searchSelectionFill = "hsla(322, 81%, 43%, 0.1)";
+
 export const waterFill = "hsl(201, 100%, 87%)";
 export const waterFillTranslucent = "hsla(201, 100%, 87%, 0.5)";
 export const waterIntermittentFill = "hsla(201, 60%, 87%, 0.3)";
@@ -18,6 +64,15 @@ export const hueBorderCasing = 281;
 export const border = "hsl(0, 0%, 61%)";
 export const borderCasing = `hsl(${hueBorderCasing}, 35%, 86%)`;
 
+//Landcover colors
+export const landcoverWood = "hsl(105, 30%, 81%)";
+export const landcoverGrass = "hsl(85, 38%, 86%)";
+export const landcoverFarmland = "hsl(50, 42%, 89%)";
+export const landcoverWetland = "hsl(170, 28%, 86%)";
+export const landcoverSand = "hsl(45, 65%, 86%)";
+export const landcoverRock = "hsl(30, 8%, 84%)";
+export const landcoverIce = "hsl(195, 60%, 97%)";
+
 //Greenspace colors
 export const parkFill = "hsl(110, 41%, 75%)";
 export const cemeteryFill = "hsl(85, 18%, 65%)";
@@ -43,6 +98,9 @@ export const airportLabel = "hsl(250, 71%, 29%)";
 
 export const urbanSubAreaLabel = "hsl(211, 43%, 28%)";
 
+export const housenumberLabel = "hsl(0, 0%, 40%)";
+export const buildingLabel = "hsl(0, 0%, 30%)";
+
 //TODO - rename this variable to "palette"
 export const palette = {
   black: "black",
@@ -0,0 +1,58 @@
+"use strict";
+
+/*
+Geocoders
+
+The search control looks up places using a geocoder, which the GEOCODER
+variable of config.js selects. A geocoder is an object with a `search` method
+that takes a query and these options:
+
+- center: The map's center, toward which results are biased.
+- bounds: The map's west, south, east and north bounds.
+- zoom: The map's zoom level, which determines how strongly results are biased
+  toward the map's center or bounds.
+- kind: "place", "road" or "poi" to include only results of that kind.
+- limit: The maximum number of results, overriding the geocoder's `limit`
+  option.
+- signal: An AbortSignal that cancels the search.
+
+The method resolves to an array of results, each with these properties:
+
+- name: The name of the place.
+- category: A short description of the kind of place.
+- kind: Whether the place is a "place", "road" or "poi".
+- description: The address or location of the place.
+- center: The place's longitude and latitude.
+- bbox: The place's west, south, east and north bounds, if it is not a point.
+
+A geocoder also has a `reverse` method that takes a location, as a MapLibre
+LngLat, and the `zoom` and `signal` options. It resolves to the result at or
+nearest to the location, if any.
+*/
+
+import { LocalGeocoder } from "./local.js";
+import { NominatimGeocoder } from "./nominatim.js";
+import { PhotonGeocoder } from "./photon.js";
+
+export { LocalGeocoder, NominatimGeocoder, PhotonGeocoder };
+
+export const geocoders = {
+  local: LocalGeocoder,
+  nominatim: NominatimGeocoder,
+  photon: PhotonGeocoder,
+};
+
+/**
+ * Returns a geocoder configured by the given options.
+ *
+ * @param {object} options - The geocoder's `type`, which is "photon",
+ *  "nominatim" or "local", along with options for that kind of geocoder, such
+ *  as its `url`. Defaults to the public Photon instance.
+ */
+export function createGeocoder(options = { type: "photon" }) {
+  let Geocoder = geocoders[options.type];
+  if (!Geocoder) {
+    throw new Error(`Unknown geocoder: ${options.type}`);
+  }
+  return new Geocoder(options);
+}
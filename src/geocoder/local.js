@@ -0,0 +1,211 @@
+"use strict";
+
+/*
+In-browser geocoder
+
+Searches a GeoJSON file of places, such as the control city data, without a
+network connection to a geocoding service. Places match if their names, in any
+language, start with the query or contain words starting with each word of the
+query. Exact matches come first, then the places nearest to the map's center,
+then the places listed earliest in the file.
+*/
+
+import { collapseArray, getFeatureBounds } from "../js/util.js";
+
+/**
+ * Returns the given text in lowercase without diacritics.
+ */
+function normalize(text) {
+  return text.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase().trim();
+}
+
+function words(text) {
+  return text.split(/[^\p{L}\p{N}]+/u).filter((w) => w);
+}
+
+/**
+ * Returns whether a GeoJSON feature is a "place", "road" or "poi", assuming
+ * that features without tags suggesting otherwise are places.
+ */
+function featureKind(p) {
+  if (p.highway) {
+    return "road";
+  }
+  if (p.class || p.amenity || p.shop || p.tourism) {
+    return "poi";
+  }
+  return "place";
+}
+
+/**
+ * Converts a GeoJSON feature to a search result.
+ */
+export function localResult(feature) {
+  let p = feature.properties;
+  let bounds =
+    feature.geometry.type === "Point" ? undefined : getFeatureBounds([feature]);
+  let bbox = bounds?.flat();
+  return {
+    name: p.name,
+    category: (p.place ?? p.class ?? p.type ?? "place").replaceAll("_", " "),
+    kind: featureKind(p),
+    description: collapseArray([p.state, p.country], ", "),
+    center: bbox
+      ? [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2]
+      : feature.geometry.coordinates,
+    bbox,
+  };
+}
+
+/**
+ * Builds a search index of the named features in a GeoJSON feature
+ * collection.
+ *
+ * @param {object} collection - A GeoJSON feature collection.
+ * @returns {object[]} Index entries in the order of the features.
+ */
+export function buildPlaceIndex(collection) {
+  return collection.features
+    .filter((feature) => feature.properties?.name && feature.geometry)
+    .map((feature) => {
+      let names = Object.entries(feature.properties)
+        .filter(([key]) => key === "name" || key.startsWith("name:"))
+        .map(([, value]) => normalize(String(value)));
+      return {
+        names: [...new Set(names)],
+        result: localResult(feature),
+      };
+    });
+}
+
+/**
+ * Returns how well a place's names match a query, from 0 for an exact match to
+ * 2 for a match of each word, or nothing if they do not match.
+ */
+function matchScore(names, query, queryWords) {
+  let best;
+  for (let name of names) {
+    let score;
+    if (name === query) {
+      score = 0;
+    } else if (name.startsWith(query)) {
+      score = 1;
+    } else {
+      let nameWords = words(name);
+      if (queryWords.every((qw) => nameWords.some((w) => w.startsWith(qw)))) {
+        score = 2;
+      }
+    }
+    if (score !== undefined && (best === undefined || score < best)) {
+      best = score;
+    }
+  }
+  return best;
+}
+
+function squaredDistance([lon1, lat1], center) {
+  let dLon = (lon1 - center.lng) * Math.cos((center.lat * Math.PI) / 180);
+  let dLat = lat1 - center.lat;
+  return dLon * dLon + dLat * dLat;
+}
+
+/**
+ * Searches a place index.
+ *
+ * @param {object[]} index - An index built by `buildPlaceIndex`.
+ * @param {string} query - The search query.
+ * @param {object} options
+ * @param {object} options.center - The map's center, to which nearer places
+ *  are preferred.
+ * @param {string} options.kind - The kind of results to include, if not all.
+ * @param {number} options.limit - Maximum number of results.
+ * @returns {object[]} Search results.
+ */
+export function searchPlaceIndex(
+  index,
+  query,
+  { center, kind, limit = 3 } = {}
+) {
+  let normalized = normalize(query);
+  let queryWords = words(normalized);
+  if (!queryWords.length) {
+    return [];
+  }
+  let matches = [];
+  index.forEach((entry, order) => {
+    if (kind && entry.result.kind !== kind) {
+      return;
+    }
+    let score = matchScore(entry.names, normalized, queryWords);
+    if (score === undefined) {
+      return;
+    }
+    let distance = center ? squaredDistance(entry.result.center, center) : 0;
+    matches.push({ score, distance, order, result: entry.result });
+  });
+  return matches
+    .sort(
+      (a, b) =>
+        a.score - b.score || a.distance - b.distance || a.order - b.order
+    )
+    .slice(0, limit)
+    .map((match) => match.result);
+}
+
+/**
+ * Returns the place in a place index nearest to the given location.
+ *
+ * @param {object[]} index - An index built by `buildPlaceIndex`.
+ * @param {object} lngLat - The location.
+ * @returns {object | undefined} A search result, or nothing if the index is
+ *  empty.
+ */
+export function nearestPlace(index, lngLat) {
+  let nearest;
+  let nearestDistance = Infinity;
+  for (let entry of index) {
+    let distance = squaredDistance(entry.result.center, lngLat);
+    if (distance < nearestDistance) {
+      nearest = entry.result;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+export class LocalGeocoder {
+  /**
+   * @param {object} options
+   * @param {string} options.url - URL of a GeoJSON file of places.
+   * @param {number} options.limit - Maximum number of results.
+   */
+  constructor({ url = "controlcities.geojson", limit = 3 } = {}) {
+    this.url = url;
+    this.limit = limit;
+  }
+
+  _loadIndex() {
+    this._index ??= fetch(this.url)
+      .then((response) => response.json())
+      .then(buildPlaceIndex)
+      .catch((e) => {
+        // Try loading the places again next time.
+        this._index = undefined;
+        throw e;
+      });
+    return this._index;
+  }
+
+  async search(query, { center, kind, limit } = {}) {
+    let index = await this._loadIndex();
+    return searchPlaceIndex(index, query, {
+      center,
+      kind,
+      limit: limit ?? this.limit,
+    });
+  }
+
+  async reverse(lngLat) {
+    return nearestPlace(await this._loadIndex(), lngLat);
+  }
+}
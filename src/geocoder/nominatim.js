@@ -0,0 +1,128 @@
+"use strict";
+
+/*
+Nominatim geocoder
+https://nominatim.org/release-docs/latest/api/Search/
+*/
+
+import { collapseArray } from "../js/util.js";
+
+/**
+ * Returns whether a Nominatim result is a "place", "road" or "poi".
+ */
+function resultKind(category) {
+  switch (category) {
+    case "place":
+    case "boundary":
+      return "place";
+    case "highway":
+      return "road";
+    default:
+      return "poi";
+  }
+}
+
+// Data layers that contain the results of each kind
+const kindLayers = {
+  place: "address",
+  road: "address",
+  poi: "poi",
+};
+
+/**
+ * Converts a place in a Nominatim `jsonv2` response to a search result.
+ */
+export function nominatimResult(place) {
+  let a = place.address ?? {};
+  let addr = collapseArray([a.house_number, a.road], " ");
+  let name = place.name || addr || place.display_name.split(",")[0];
+  if (name === addr) {
+    addr = undefined;
+  }
+
+  let description = collapseArray(
+    [
+      addr,
+      a.city ?? a.town ?? a.village ?? a.hamlet,
+      a.county,
+      a.state,
+      a.country,
+    ],
+    ", "
+  );
+
+  // Nominatim bounding boxes list the latitudes before the longitudes.
+  let [south, north, west, east] = place.boundingbox?.map(parseFloat) ?? [];
+  return {
+    name,
+    category: (
+      (place.type === "yes" ? place.category : place.type) ?? "place"
+    ).replaceAll("_", " "),
+    kind: resultKind(place.category),
+    description,
+    center: [parseFloat(place.lon), parseFloat(place.lat)],
+    bbox: place.boundingbox && [west, south, east, north],
+  };
+}
+
+export class NominatimGeocoder {
+  /**
+   * @param {object} options
+   * @param {string} options.url - URL of the Nominatim search endpoint.
+   * @param {string} options.reverseURL - URL of the Nominatim reverse
+   *  endpoint. Defaults to the `reverse` endpoint beside the search endpoint.
+   * @param {number} options.limit - Maximum number of results.
+   */
+  constructor({
+    url = "https://nominatim.openstreetmap.org/search",
+    reverseURL,
+    limit = 3,
+  } = {}) {
+    this.url = url;
+    this.reverseURL = reverseURL ?? url.replace(/search(\.php)?$/, "reverse");
+    this.limit = limit;
+  }
+
+  async reverse(lngLat, { zoom, signal } = {}) {
+    let searchQuery = new URL(this.reverseURL, window.location.href);
+    searchQuery.searchParams.set("format", "jsonv2");
+    searchQuery.searchParams.set("addressdetails", 1);
+    searchQuery.searchParams.set("lat", lngLat.lat);
+    searchQuery.searchParams.set("lon", lngLat.lng);
+    if (zoom !== undefined) {
+      // Nominatim's zoom levels stop at buildings.
+      searchQuery.searchParams.set("zoom", Math.min(Math.round(zoom), 18));
+    }
+
+    const response = await fetch(searchQuery, { signal });
+    const data = await response.json();
+    return data.error ? undefined : nominatimResult(data);
+  }
+
+  async search(query, { bounds, zoom, kind, limit, signal } = {}) {
+    limit ??= this.limit;
+    let searchQuery = new URL(this.url, window.location.href);
+    searchQuery.searchParams.set("format", "jsonv2");
+    searchQuery.searchParams.set("addressdetails", 1);
+    // The address layer mixes places with roads, so ask for extra results to
+    // make up for the ones of the other kind.
+    searchQuery.searchParams.set("limit", kind ? limit * 3 : limit);
+    if (kindLayers[kind]) {
+      searchQuery.searchParams.set("layer", kindLayers[kind]);
+    }
+
+    //High zoom: prefer results in view
+    if (bounds && zoom > 5) {
+      searchQuery.searchParams.set("viewbox", bounds.join(","));
+    }
+
+    searchQuery.searchParams.set("q", query);
+
+    const response = await fetch(searchQuery, { signal });
+    const data = await response.json();
+    return data
+      .map(nominatimResult)
+      .filter((result) => !kind || result.kind === kind)
+      .slice(0, limit);
+  }
+}
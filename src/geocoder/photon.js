@@ -0,0 +1,167 @@
+"use strict";
+
+/*
+Photon geocoder
+https://github.com/komoot/photon
+*/
+
+import { collapseArray } from "../js/util.js";
+
+//Re-map silly results from photon
+function mapResultToDescription(type, key, value) {
+  switch (type) {
+    case "house":
+      switch (key) {
+        case "highway":
+          switch (value) {
+            case "bus_stop":
+              return value;
+            default:
+              return "road";
+          }
+        case "aeroway":
+          switch (value) {
+            case "aerodrome":
+              return "airport";
+            default:
+              return value;
+          }
+        case "railway":
+          return `train ${value}`;
+        case "man_made":
+        case "tourism":
+        case "amenity":
+        case "leisure":
+          return value;
+        case "office":
+        default:
+          return key;
+      }
+    case "district":
+    case "locality":
+      switch (key) {
+        case "landuse":
+          return `${value} area`;
+        default:
+          return value;
+      }
+    case "tunnel":
+      return key;
+  }
+  return type;
+}
+
+/**
+ * Returns whether a Photon result is a "place", "road" or "poi".
+ */
+function resultKind(key) {
+  switch (key) {
+    case "place":
+    case "boundary":
+      return "place";
+    case "highway":
+      return "road";
+    default:
+      return "poi";
+  }
+}
+
+// Tag filters that narrow down the results of each kind on the server
+const kindTagFilters = {
+  place: ["place"],
+  road: ["highway"],
+  poi: ["!place", "!boundary", "!highway"],
+};
+
+/**
+ * Converts a feature in a Photon response to a search result.
+ */
+export function photonResult(feature) {
+  let p = feature.properties;
+  let category = mapResultToDescription(
+    p.type,
+    p.osm_key,
+    p.osm_value
+  ).replaceAll("_", " ");
+
+  let addr = collapseArray([p.housenumber, p.street], " ");
+  let name = p.name;
+
+  if (name == undefined) {
+    name = addr;
+    addr = undefined;
+  }
+
+  let description = collapseArray(
+    [addr, p.city, p.county, p.state, p.country],
+    ", "
+  );
+
+  // Photon extents run from the northwest corner to the southeast corner.
+  let extent = p.extent;
+  return {
+    name,
+    category,
+    kind: resultKind(p.osm_key),
+    description,
+    center: feature.geometry.coordinates,
+    bbox: extent && [extent[0], extent[3], extent[2], extent[1]],
+  };
+}
+
+export class PhotonGeocoder {
+  /**
+   * @param {object} options
+   * @param {string} options.url - URL of the Photon API endpoint.
+   * @param {string} options.reverseURL - URL of the Photon reverse geocoding
+   *  endpoint. Defaults to the `reverse` endpoint beside the API endpoint.
+   * @param {number} options.limit - Maximum number of results.
+   */
+  constructor({
+    url = "https://photon.komoot.io/api/",
+    reverseURL,
+    limit = 3,
+  } = {}) {
+    this.url = url;
+    this.reverseURL = reverseURL ?? url.replace(/api\/?$/, "reverse");
+    this.limit = limit;
+  }
+
+  async reverse(lngLat, { signal } = {}) {
+    let searchQuery = new URL(this.reverseURL, window.location.href);
+    searchQuery.searchParams.set("lat", lngLat.lat);
+    searchQuery.searchParams.set("lon", lngLat.lng);
+    searchQuery.searchParams.set("limit", 1);
+
+    const response = await fetch(searchQuery, { signal });
+    const data = await response.json();
+    return data.features.map(photonResult)[0];
+  }
+
+  async search(query, { center, zoom, kind, limit, signal } = {}) {
+    limit ??= this.limit;
+    let searchQuery = new URL(this.url, window.location.href);
+    searchQuery.searchParams.set("limit", limit);
+
+    //Low zoom: generate "generic" search results
+    //High zoom: generate location-specific search results, biased more
+    //strongly toward the center the more the map is zoomed in
+    if (center && zoom > 5) {
+      searchQuery.searchParams.set("lat", center.lat);
+      searchQuery.searchParams.set("lon", center.lng);
+      searchQuery.searchParams.set("zoom", Math.round(zoom));
+    }
+
+    for (let tag of kindTagFilters[kind] ?? []) {
+      searchQuery.searchParams.append("osm_tag", tag);
+    }
+
+    searchQuery.searchParams.set("q", query);
+
+    const response = await fetch(searchQuery, { signal });
+    const data = await response.json();
+    return data.features
+      .map(photonResult)
+      .filter((result) => !kind || result.kind === kind);
+  }
+}
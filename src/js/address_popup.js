@@ -0,0 +1,202 @@
+"use strict";
+
+import * as maplibregl from "maplibre-gl";
+
+import { building } from "../layer/building.js";
+import { housenumber } from "../layer/housenumber.js";
+import { shield } from "../layer/highway_shield.js";
+import { poi, iconlessPoi } from "../layer/poi.js";
+import { label as roadLabel } from "../layer/transportation_label.js";
+import { getLocalizedName } from "./inspector_popup.js";
+import { getClosestPointOnSegment } from "./measurement.js";
+
+// Distance from the clicked point within which addresses are found, in pixels
+const searchRadius = 60;
+
+// Layers whose own click actions take precedence over the building's
+const clickableLayers = [shield.id, poi.id, iconlessPoi.id];
+
+/**
+ * Returns the screen distance from a point to the nearest point on any of the
+ * given lines.
+ */
+function getDistanceToLines(point, lines) {
+  let distance = Infinity;
+  for (let line of lines) {
+    if (line.length === 1) {
+      distance = Math.min(
+        distance,
+        Math.hypot(line[0].x - point.x, line[0].y - point.y)
+      );
+    }
+    for (let i = 1; i < line.length; i++) {
+      let closest = getClosestPointOnSegment(point, line[i - 1], line[i]);
+      distance = Math.min(
+        distance,
+        Math.hypot(closest.x - point.x, closest.y - point.y)
+      );
+    }
+  }
+  return distance;
+}
+
+/**
+ * Returns the address nearest to a point, in screen coordinates.
+ *
+ * @param point The point to find an address for.
+ * @param housenumbers House numbers as objects with the `housenumber` and its
+ *  `point`.
+ * @param streets Streets as objects with the `name` and the `lines` along the
+ *  street, each an array of points.
+ * @returns An object with the nearest `housenumber` and `street`, either of
+ *  which may be missing, or nothing if there is neither.
+ */
+export function getNearestAddress(point, housenumbers, streets) {
+  let nearestHousenumber;
+  let housenumberDistance = Infinity;
+  for (let candidate of housenumbers) {
+    let distance = Math.hypot(
+      candidate.point.x - point.x,
+      candidate.point.y - point.y
+    );
+    if (distance < housenumberDistance) {
+      nearestHousenumber = candidate;
+      housenumberDistance = distance;
+    }
+  }
+
+  // The street is the one nearest to the house number, which may be closer to
+  // the building's frontage than the clicked point.
+  let origin = nearestHousenumber?.point ?? point;
+  let nearestStreet;
+  let streetDistance = Infinity;
+  for (let candidate of streets) {
+    let distance = getDistanceToLines(origin, candidate.lines);
+    if (distance < streetDistance) {
+      nearestStreet = candidate;
+      streetDistance = distance;
+    }
+  }
+
+  if (!nearestHousenumber && !nearestStreet) {
+    return;
+  }
+  return {
+    housenumber: nearestHousenumber?.housenumber,
+    street: nearestStreet?.name,
+  };
+}
+
+/**
+ * Returns the lines of a rendered feature's geometry as arrays of points in
+ * screen coordinates.
+ */
+function projectLines(map, geometry) {
+  let { type, coordinates } = geometry;
+  let paths =
+    type === "MultiLineString"
+      ? coordinates
+      : type === "LineString"
+      ? [coordinates]
+      : [];
+  return paths.map((path) => path.map((c) => map.project(c)));
+}
+
+/**
+ * A popup that tells the user the address of the building they click on,
+ * according to the house numbers and street names drawn around it.
+ */
+export class AddressPopup {
+  _onClick = (event) => {
+    if (this._suspended) return;
+    let overlapping = this._map.queryRenderedFeatures(event.point, {
+      layers: clickableLayers.filter((id) => this._map.getLayer(id)),
+    });
+    if (overlapping.length) return;
+    this.open(event.lngLat, event.point);
+  };
+
+  _onMeasureStart = () => {
+    this._suspended = true;
+    this.close();
+  };
+
+  _onMeasureEnd = () => {
+    this._suspended = false;
+  };
+
+  _onLanguageChange = () => this.close();
+
+  /**
+   * Starts listening for clicks on buildings on the given map.
+   */
+  addTo(map) {
+    this._map = map;
+    this._popup = new maplibregl.Popup({ closeOnMove: true });
+
+    map.on("click", building.id, this._onClick);
+    map.on("americana.measurestart", this._onMeasureStart);
+    map.on("americana.measureend", this._onMeasureEnd);
+    map.on("americana.languagechange", this._onLanguageChange);
+    return this;
+  }
+
+  /**
+   * Stops listening for clicks on buildings.
+   */
+  remove() {
+    this.close();
+    this._map.off("click", building.id, this._onClick);
+    this._map.off("americana.measurestart", this._onMeasureStart);
+    this._map.off("americana.measureend", this._onMeasureEnd);
+    this._map.off("americana.languagechange", this._onLanguageChange);
+    this._map = undefined;
+  }
+
+  /**
+   * Opens the popup at the given location.
+   *
+   * @param lngLat The clicked location.
+   * @param point The location in screen coordinates.
+   */
+  open(lngLat, point) {
+    let map = this._map;
+    let features = map.queryRenderedFeatures(
+      [
+        [point.x - searchRadius, point.y - searchRadius],
+        [point.x + searchRadius, point.y + searchRadius],
+      ],
+      { layers: [housenumber.id, roadLabel.id] }
+    );
+    let housenumbers = features
+      .filter((f) => f.layer.id === housenumber.id)
+      .filter((f) => f.geometry.type === "Point")
+      .map((f) => ({
+        housenumber: f.properties.housenumber,
+        point: map.project(f.geometry.coordinates),
+      }));
+    let streets = features
+      .filter((f) => f.layer.id === roadLabel.id)
+      .map((f) => ({
+        name: getLocalizedName(f.properties, map.locales),
+        lines: projectLines(map, f.geometry),
+      }))
+      .filter((street) => street.name);
+    let address = getNearestAddress(point, housenumbers, streets);
+
+    let template = document
+      .getElementById("address-popup")
+      .content.cloneNode(true);
+    template.querySelector(".address-line").textContent = address
+      ? [address.housenumber, address.street].filter((t) => t).join(" ")
+      : "No address nearby";
+    this._popup.setDOMContent(template).setLngLat(lngLat).addTo(map);
+  }
+
+  /**
+   * Closes the popup.
+   */
+  close() {
+    this._popup?.remove();
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Contour lines generated in the browser from the elevation tiles
+ */
+import mlcontour from "maplibre-contour";
+import type {
+  LayerSpecification,
+  StyleSpecification,
+  VectorSourceSpecification,
+} from "@maplibre/maplibre-gl-style-spec";
+
+import { contourLayers } from "../layer/contour.js";
+import { hillshading } from "../layer/hillshade.js";
+import { demMaxZoom, demTileURL } from "./style.js";
+import * as Theme from "./theme.js";
+
+const feetPerMeter = 3.28084;
+
+/** Contour sources, keyed by whether they are spaced in feet */
+const contourSources = {
+  metric: {
+    id: "contours",
+    customary: false,
+    options: {
+      elevationKey: "ele",
+      // Zoom level: [minor interval, index interval]
+      thresholds: {
+        11: [100, 500],
+        12: [50, 250],
+        14: [20, 100],
+        15: [10, 50],
+      },
+    },
+  },
+  customary: {
+    id: "contours_ft",
+    customary: true,
+    options: {
+      elevationKey: "ele_ft",
+      multiplier: feetPerMeter,
+      thresholds: {
+        11: [250, 1250],
+        12: [200, 1000],
+        14: [40, 200],
+        15: [20, 100],
+      },
+    },
+  },
+};
+
+let demSource: InstanceType<typeof mlcontour.DemSource>;
+
+/**
+ * Returns the source of elevation tiles that contours are generated from,
+ * shared by all the contour sources.
+ */
+export function getDemSource(): InstanceType<typeof mlcontour.DemSource> {
+  demSource ??= new mlcontour.DemSource({
+    url: demTileURL,
+    encoding: "terrarium",
+    maxzoom: demMaxZoom,
+    worker: true,
+  });
+  return demSource;
+}
+
+function getContourLayers(customary: boolean): LayerSpecification[] {
+  const { id } = customary ? contourSources.customary : contourSources.metric;
+  return contourLayers(id, customary);
+}
+
+/**
+ * Returns the IDs of the layers that draw contours in feet or meters.
+ */
+export function getContourLayerIDs(customary: boolean): string[] {
+  return getContourLayers(customary).map((layer) => layer.id);
+}
+
+/**
+ * Returns the ID of the layer that labels index contours in feet or meters.
+ */
+export function getContourLabelLayerID(customary: boolean): string {
+  return getContourLayers(customary).find((layer) => layer.type === "symbol")
+    .id;
+}
+
+/**
+ * Adds the contour sources to the style, along with hidden contour layers
+ * above the hillshading.
+ *
+ * @param palette Palette of the style's theme.
+ */
+export function addContours(
+  style: StyleSpecification,
+  palette: object
+): StyleSpecification {
+  const sources: { [id: string]: VectorSourceSpecification } = {};
+  const layers: LayerSpecification[] = [];
+  for (const { id, customary, options } of Object.values(contourSources)) {
+    sources[id] = {
+      type: "vector",
+      tiles: [
+        getDemSource().contourProtocolUrl({
+          ...options,
+          levelKey: "level",
+          contourLayer: "contours",
+        }),
+      ],
+      maxzoom: 15,
+    };
+    layers.push(...contourLayers(id, customary));
+  }
+
+  const index = style.layers.findIndex((layer) => layer.id === hillshading.id);
+  style.sources = { ...style.sources, ...sources };
+  style.layers.splice(index + 1, 0, ...Theme.applyPalette(layers, palette));
+  return style;
+}
@@ -0,0 +1,48 @@
+"use strict";
+
+import * as maplibregl from "maplibre-gl";
+
+import { setPreference } from "./preferences.js";
+
+/**
+ * Writes the given projection to the URL hash and saves it as a preference.
+ *
+ * @param {string} type - The projection type, such as "globe" or "mercator".
+ */
+function setProjection(type) {
+  let hash = window.location.hash.substr(1); // omit #
+  let searchParams = new URLSearchParams(hash);
+  // The map is in the Mercator projection unless the hash says otherwise.
+  let value = type === "mercator" ? null : type;
+  if ((searchParams.get("projection") || null) === value) {
+    return;
+  }
+  if (value) {
+    searchParams.set("projection", value);
+  } else {
+    searchParams.delete("projection");
+  }
+  setPreference("projection", value);
+  window.location.hash = `#${searchParams}`;
+}
+
+/**
+ * A button that toggles the globe projection, keeping the projection in the
+ * `projection` hash parameter.
+ */
+export class GlobeControl extends maplibregl.GlobeControl {
+  _onProjectionChange = () => {
+    setProjection(this._map.getProjection()?.type ?? "mercator");
+  };
+
+  onAdd(map) {
+    let container = super.onAdd(map);
+    map.on("projectiontransition", this._onProjectionChange);
+    return container;
+  }
+
+  onRemove() {
+    this._map.off("projectiontransition", this._onProjectionChange);
+    super.onRemove();
+  }
+}
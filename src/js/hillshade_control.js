@@ -1,17 +1,96 @@
+import { setPreference } from "./preferences.js";
+
+/**
+ * Ways of depicting terrain, each toggled by its own button and listed in the
+ * `terrain` hash parameter.
+ */
+const terrainModes = [
+  {
+    mode: "hillshade",
+    property: "shadesHills",
+    className: "maplibregl-ctrl-terrain",
+    description: "terrain",
+  },
+  {
+    mode: "contours",
+    property: "showsContours",
+    className: "maplibregl-ctrl-contours",
+    description: "contour lines",
+  },
+  {
+    mode: "tint",
+    property: "tintsElevation",
+    className: "maplibregl-ctrl-tint",
+    description: "elevation tint",
+  },
+];
+
+/**
+ * Returns the terrain modes listed in the given hash parameters.
+ *
+ * @param {URLSearchParams} params - Parameters in the URL hash.
+ * @returns {Set<string>} Any of "hillshade", "contours" and "tint".
+ */
+export function getTerrainModes(params) {
+  if (!params.has("terrain")) {
+    return new Set();
+  }
+  // A bare terrain parameter predates the other modes and means hillshading.
+  let value = params.get("terrain");
+  return new Set(value ? value.split(",") : ["hillshade"]);
+}
+
+function setTerrainModes(modes) {
+  let hash = window.location.hash.substr(1); // omit #
+  let searchParams = new URLSearchParams(hash);
+  if (modes.size) {
+    searchParams.set("terrain", [...modes].join(","));
+  } else {
+    searchParams.delete("terrain");
+  }
+  setPreference("terrain", searchParams.get("terrain"));
+  window.location.hash = `#${searchParams}`;
+}
+
 export class HillshadeControl {
-  _updateButton() {
-    if (this._map.shadesHills) {
-      this._button.classList.add("maplibregl-ctrl-terrain-enabled");
-      this._button.title = "Disable terrain";
-    } else {
-      this._button.classList.remove("maplibregl-ctrl-terrain-enabled");
-      this._button.title = "Enable terrain";
+  /**
+   * @param {object} options
+   * @param {boolean} options.hash - Whether to record the terrain modes in the
+   *  URL hash and the user's preferences.
+   */
+  constructor({ hash = true } = {}) {
+    this._hash = hash;
+  }
+
+  _updateButtons() {
+    for (let { property, className, description } of terrainModes) {
+      let button = this._buttons[property];
+      if (this._map[property]) {
+        button.classList.add(`${className}-enabled`);
+        button.title = `Disable ${description}`;
+      } else {
+        button.classList.remove(`${className}-enabled`);
+        button.title = `Enable ${description}`;
+      }
     }
   }
 
-  _onClick = () => {
-    this._map.shadesHills = !this._map.shadesHills;
-    this._updateButton();
+  _onTerrainChange = () => this._updateButtons();
+
+  _onClick = ({ mode, property }) => {
+    let modes = new Set(
+      terrainModes.filter((m) => this._map[m.property]).map((m) => m.mode)
+    );
+    let enabled = !modes.has(mode);
+    if (enabled) {
+      modes.add(mode);
+    } else {
+      modes.delete(mode);
+    }
+    this._map[property] = enabled;
+    if (this._hash) {
+      setTerrainModes(modes);
+    }
   };
 
   onAdd(map) {
@@ -20,23 +99,28 @@ export class HillshadeControl {
     this._container = document.createElement("div");
     this._container.className = "maplibregl-ctrl maplibregl-ctrl-group";
 
-    this._button = document.createElement("button");
-    this._button.className = "maplibregl-ctrl-terrain";
-    this._map.on("americana.terrain", () => this._updateButton());
-    this._button.addEventListener("click", this._onClick);
-    this._container.append(this._button);
+    this._buttons = {};
+    for (let terrainMode of terrainModes) {
+      const { property, className } = terrainMode;
+      const button = document.createElement("button");
+      button.className = className;
+      button.addEventListener("click", () => this._onClick(terrainMode));
+      this._container.append(button);
+      this._buttons[property] = button;
 
-    const span = document.createElement("span");
-    span.className = "maplibregl-ctrl-icon";
-    span.setAttribute("aria-hidden", "true");
-    this._button.append(span);
+      const span = document.createElement("span");
+      span.className = "maplibregl-ctrl-icon";
+      span.setAttribute("aria-hidden", "true");
+      button.append(span);
+    }
+    this._map.on("americana.terrain", this._onTerrainChange);
 
     return this._container;
   }
 
   onRemove() {
     this._container.remove();
-    this._map.off("americana.terrain");
+    this._map.off("americana.terrain", this._onTerrainChange);
     this._map = undefined;
   }
 }
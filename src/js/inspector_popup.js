@@ -0,0 +1,257 @@
+"use strict";
+
+import { getLocales } from "@americana/diplomat";
+
+import * as maplibregl from "maplibre-gl";
+
+const maxPopupWidth = 25; /* em */
+
+// Distance from the clicked point within which features are listed, in pixels
+const queryRadius = 3;
+
+// Lowest zoom level at which the OpenStreetMap editors show features
+const minEditZoom = 16;
+
+function sexagesimal(value, positive, negative, withSeconds) {
+  let hemisphere = value < 0 ? negative : positive;
+  let degrees = Math.abs(value);
+  let wholeDegrees = Math.floor(degrees);
+  let minutes = (degrees - wholeDegrees) * 60;
+  if (!withSeconds) {
+    return `${wholeDegrees}° ${minutes.toFixed(3)}′ ${hemisphere}`;
+  }
+  let wholeMinutes = Math.floor(minutes);
+  let seconds = ((minutes - wholeMinutes) * 60).toFixed(1);
+  return `${wholeDegrees}° ${wholeMinutes}′ ${seconds}″ ${hemisphere}`;
+}
+
+/**
+ * Returns the given location written out in several common formats.
+ *
+ * @param lngLat The location.
+ * @returns An array of objects with the `format` and the location as `text`.
+ */
+export function formatCoordinates(lngLat) {
+  let { lng, lat } = lngLat;
+  return [
+    {
+      format: "Decimal degrees",
+      text: `${lat.toFixed(5)}, ${lng.toFixed(5)}`,
+    },
+    {
+      format: "Degrees, minutes, seconds",
+      text: [
+        sexagesimal(lat, "N", "S", true),
+        sexagesimal(lng, "E", "W", true),
+      ].join(", "),
+    },
+    {
+      format: "Degrees, decimal minutes",
+      text: [sexagesimal(lat, "N", "S"), sexagesimal(lng, "E", "W")].join(", "),
+    },
+  ];
+}
+
+/**
+ * Returns a feature's name in the first of the given locales that it has a
+ * name in, or its name in the local language.
+ */
+export function getLocalizedName(properties, locales) {
+  for (let locale of locales) {
+    let language = locale.split("-")[0];
+    let name = properties[`name:${locale}`] ?? properties[`name:${language}`];
+    if (name) return name;
+  }
+  return properties.name;
+}
+
+/**
+ * Summarizes the given rendered features by layer, in the order the features
+ * appear on the map, omitting duplicates from adjacent tiles.
+ *
+ * @param features Features returned by `queryRenderedFeatures`.
+ * @param locales Locales to name the features in.
+ * @returns An array of objects with the `layer` ID and `features`, each with
+ *  the feature's `class`, `subclass` and `name`.
+ */
+export function groupFeaturesByLayer(features, locales) {
+  let groups = new Map();
+  for (let feature of features) {
+    let layer = feature.layer.id;
+    let summary = {
+      class: feature.properties.class,
+      subclass: feature.properties.subclass,
+      name: getLocalizedName(feature.properties, locales),
+    };
+    let key = JSON.stringify(summary);
+    if (!groups.has(layer)) {
+      groups.set(layer, new Map());
+    }
+    groups.get(layer).set(key, summary);
+  }
+  return [...groups].map(([layer, summaries]) => ({
+    layer,
+    features: [...summaries.values()],
+  }));
+}
+
+/**
+ * Returns the URL of the OpenStreetMap editor at the given location.
+ */
+export function getEditURL(lngLat, zoom) {
+  let editZoom = Math.max(Math.round(zoom), minEditZoom);
+  let lat = lngLat.lat.toFixed(5);
+  let lng = lngLat.lng.toFixed(5);
+  return `https://www.openstreetmap.org/edit#map=${editZoom}/${lat}/${lng}`;
+}
+
+/**
+ * A popup that describes what is at the location the user right-clicks: the
+ * features drawn there, its coordinates and its address.
+ */
+export class InspectorPopup {
+  /**
+   * @param geocoder The geocoder that looks up the address, as returned by
+   *  `createGeocoder`.
+   */
+  constructor(geocoder) {
+    this._geocoder = geocoder;
+  }
+
+  _onContextMenu = (event) => {
+    event.preventDefault();
+    this.open(event.lngLat, event.point);
+  };
+
+  _onLanguageChange = () => this.close();
+
+  /**
+   * Starts listening for right-clicks on the given map.
+   */
+  addTo(map) {
+    this._map = map;
+    this._popup = new maplibregl.Popup({
+      closeOnMove: true,
+      maxWidth: `${maxPopupWidth}em`,
+    });
+    this._popup.on("close", () => this._lastReverseRequest?.abort());
+
+    map.on("contextmenu", this._onContextMenu);
+    map.on("americana.languagechange", this._onLanguageChange);
+    return this;
+  }
+
+  /**
+   * Stops listening for right-clicks.
+   */
+  remove() {
+    this.close();
+    this._map.off("contextmenu", this._onContextMenu);
+    this._map.off("americana.languagechange", this._onLanguageChange);
+    this._map = undefined;
+  }
+
+  /**
+   * Opens the popup at the given location.
+   *
+   * @param lngLat The location to describe.
+   * @param point The location in screen coordinates.
+   */
+  open(lngLat, point) {
+    let template = document
+      .getElementById("inspector-popup")
+      .content.cloneNode(true);
+
+    let coordinates = template.querySelector(".inspector-coordinates");
+    for (let { format, text } of formatCoordinates(lngLat)) {
+      let row = coordinates.insertRow();
+      row.title = format;
+      row.insertCell().textContent = text;
+    }
+
+    let features = this._map.queryRenderedFeatures([
+      [point.x - queryRadius, point.y - queryRadius],
+      [point.x + queryRadius, point.y + queryRadius],
+    ]);
+    let layers = template.querySelector(".inspector-layers");
+    for (let group of groupFeaturesByLayer(features, getLocales())) {
+      layers.append(this.getLayerSection(group));
+    }
+
+    template.querySelector(".inspector-edit").href = getEditURL(
+      lngLat,
+      this._map.getZoom()
+    );
+
+    let address = template.querySelector(".inspector-address");
+    this._popup.setDOMContent(template).setLngLat(lngLat).addTo(this._map);
+    this.completeAddress(address, lngLat);
+  }
+
+  /**
+   * Closes the popup.
+   */
+  close() {
+    this._popup?.remove();
+  }
+
+  /**
+   * Returns an element listing the features in one layer.
+   */
+  getLayerSection({ layer, features }) {
+    let section = document.createElement("div");
+    section.className = "inspector-layer";
+
+    let heading = document.createElement("code");
+    heading.textContent = layer;
+    section.append(heading);
+
+    let list = document.createElement("ul");
+    for (let feature of features) {
+      let item = document.createElement("li");
+      let tags = [feature.class, feature.subclass].filter((t) => t);
+      if (tags.length) {
+        let code = document.createElement("code");
+        code.textContent = tags.join("/");
+        item.append(code, " ");
+      }
+      if (feature.name) {
+        item.append(feature.name);
+      }
+      if (item.childNodes.length) {
+        list.append(item);
+      }
+    }
+    if (list.childNodes.length) {
+      section.append(list);
+    }
+    return section;
+  }
+
+  /**
+   * Fills in the given element with the address at the given location.
+   */
+  async completeAddress(element, lngLat) {
+    this._lastReverseRequest?.abort();
+    const controller = new AbortController();
+    this._lastReverseRequest = controller;
+
+    element.textContent = "Looking up address…";
+    try {
+      let result = await this._geocoder.reverse(lngLat, {
+        zoom: this._map.getZoom(),
+        signal: controller.signal,
+      });
+      if (controller.signal.aborted) return;
+      element.textContent = result
+        ? [result.name, result.description].filter((t) => t).join(", ")
+        : "No address found";
+    } catch (e) {
+      if (e instanceof DOMException) {
+        //Aborted because the popup closed or moved
+        return;
+      }
+      element.textContent = "Address lookup failed";
+    }
+  }
+}
@@ -3,6 +3,8 @@
 import Tokenfield from "tokenfield";
 import { getLocales } from "@americana/diplomat";
 
+import { setPreference } from "./preferences.js";
+
 const initialLocales = getLocales();
 const languageNames = new Intl.DisplayNames(initialLocales, {
   type: "language",
@@ -141,6 +143,7 @@ function setLanguages(langCodes) {
   let hash = window.location.hash.substr(1); // omit #
   let searchParams = new URLSearchParams(hash);
   searchParams.set("language", langQuery);
+  setPreference("language", langQuery);
   window.location.hash = `#${searchParams}`;
 }
 
@@ -162,19 +165,23 @@ export class LanguageControl {
     this._overflowLabel.className = "language-overflow";
     this._label.appendChild(this._overflowLabel);
 
+    // A page that embeds the map without the language dialog only gets the
+    // label.
     const dialog = (this._dialog = document.getElementById("language-dialog"));
-    // FIXME: Replace with Command Invokers API once Firefox ESR supports it.
-    const dialogDone = document.getElementById("language-dialog-done");
-    dialogDone.addEventListener("click", () => {
-      dialog.close();
-    });
-    this._dialog.addEventListener("close", this.dialogDidClose);
+    if (dialog) {
+      // FIXME: Replace with Command Invokers API once Firefox ESR supports it.
+      const dialogDone = document.getElementById("language-dialog-done");
+      dialogDone.addEventListener("click", () => {
+        dialog.close();
+      });
+      this._dialog.addEventListener("close", this.dialogDidClose);
 
-    this._opener = document.createElement("button");
-    this._opener.className = "language-dialog-opener";
-    this._opener.textContent = "Change";
-    this._opener.addEventListener("click", this.openDialog);
-    this._container.appendChild(this._opener);
+      this._opener = document.createElement("button");
+      this._opener.className = "language-dialog-opener";
+      this._opener.textContent = "Change";
+      this._opener.addEventListener("click", this.openDialog);
+      this._container.appendChild(this._opener);
+    }
 
     this._map.once("load", (event) => this.displayLocales());
     this._map.on("americana.languagechange", (event) => this.displayLocales());
@@ -186,9 +193,9 @@ export class LanguageControl {
     this._container.parentNode.removeChild(this._container);
     this._map.off("americana.languagechange");
     delete this._map;
-    this._opener.removeEventListener("click", this.openDialog);
+    this._opener?.removeEventListener("click", this.openDialog);
     delete this._opener;
-    this._dialog.removeEventListener("close", this.dialogDidClose);
+    this._dialog?.removeEventListener("close", this.dialogDidClose);
     delete this._dialog;
   }
 
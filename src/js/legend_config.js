@@ -1,16 +1,22 @@
 "use strict";
 
 import * as PlaceLayers from "../layer/place.js";
+import * as LandcoverLayers from "../layer/landcover.js";
 import * as LanduseLayers from "../layer/landuse.js";
 import * as BoundaryLayers from "../layer/boundary.js";
 import * as RoadLayers from "../layer/road.js";
 import * as ConstructionLayers from "../layer/construction.js";
+import * as CyclingLayers from "../layer/cycling.js";
+import * as HikingLayers from "../layer/hiking.js";
+import * as TransitLayers from "../layer/transit.js";
 import * as HighwayExitLayers from "../layer/highway_exit.js";
+import * as RouteHighlightLayers from "../layer/route_highlight.js";
 import * as RailLayers from "../layer/rail.js";
 import * as AerowayLayers from "../layer/aeroway.js";
 import * as POILayers from "../layer/poi.js";
 import * as ParkLayers from "../layer/park.js";
 import * as BuildingLayers from "../layer/building.js";
+import * as HousenumberLayers from "../layer/housenumber.js";
 import * as WaterLayers from "../layer/water.js";
 import * as FerryLayers from "../layer/ferry.js";
 import * as AerialwayLayers from "../layer/aerialway.js";
@@ -32,6 +38,7 @@ export const sections = [
       ...RoadLayers.legendEntries,
       ...ConstructionLayers.legendEntries,
       ...HighwayExitLayers.legendEntries,
+      ...RouteHighlightLayers.legendEntries,
     ],
   },
   {
@@ -39,6 +46,19 @@ export const sections = [
     name: "Route markers",
     source: "Wikidata",
   },
+  {
+    name: "Cycling",
+    entries: CyclingLayers.legendEntries,
+  },
+  {
+    name: "Hiking",
+    entries: HikingLayers.legendEntries,
+  },
+  {
+    id: "transit",
+    name: "Transit",
+    entries: TransitLayers.legendEntries,
+  },
   {
     name: "Railroads",
     entries: RailLayers.legendEntries,
@@ -57,7 +77,10 @@ export const sections = [
   },
   {
     name: "Structures",
-    entries: BuildingLayers.legendEntries,
+    entries: [
+      ...BuildingLayers.legendEntries,
+      ...HousenumberLayers.legendEntries,
+    ],
   },
   {
     name: "Land use",
@@ -67,6 +90,10 @@ export const sections = [
       ...AboriginalLayers.legendEntries,
     ],
   },
+  {
+    name: "Land cover",
+    entries: LandcoverLayers.legendEntries,
+  },
   {
     name: "Water",
     entries: [...WaterLayers.legendEntries, ...FerryLayers.legendEntries],
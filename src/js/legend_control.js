@@ -3,7 +3,14 @@
 import { getDOMPixelRatio } from "@americana/maplibre-shield-generator";
 import { getLocales } from "@americana/diplomat";
 
+import * as Color from "../constants/color.js";
 import * as HighwayShieldLayers from "../layer/highway_shield.js";
+import * as TransitLayers from "../layer/transit.js";
+import {
+  clearPreferences,
+  getPreference,
+  setPreference,
+} from "./preferences.js";
 
 import * as maplibregl from "maplibre-gl";
 
@@ -21,8 +28,9 @@ function toSentenceCase(lowerCase, locale) {
 }
 
 export default class LegendControl {
-  constructor(shieldDefs) {
+  constructor(shieldDefs, shieldRenderer) {
     this._shieldDefs = shieldDefs;
+    this._shieldRenderer = shieldRenderer;
   }
 
   onAdd(map) {
@@ -118,6 +126,11 @@ export default class LegendControl {
       this.getNetworkMetadataQuery()
     )}`;
 
+    let transitSection = this.sections.find((s) => s.id === "transit");
+    if (transitSection) {
+      transitSection.rows = this.getTransitLineRows();
+    }
+
     for (let data of this.sections) {
       let section = this.getSection(data);
       if (!section) continue;
@@ -139,9 +152,81 @@ export default class LegendControl {
       }
     }
 
+    template
+      .querySelector(".legend-reset-preferences")
+      .addEventListener("click", () => {
+        this.close();
+        clearPreferences();
+      });
+
     return template;
   }
 
+  /**
+   * Returns the sections of the legend that apply to the current viewport as
+   * plain data, for drawing the legend outside of the popup, as in a printout.
+   * Route markers are omitted because they are only available as DOM elements.
+   *
+   * @returns An array of sections, each with a `name` and `entries` that each
+   *  have a `description` and the CSS `color` that illustrates the entry, if
+   *  any.
+   */
+  getPrintSections() {
+    return this.sections
+      .filter((data) => data.entries)
+      .map((data) => ({
+        name: data.name,
+        entries: [
+          ...data.entries
+            .map((e) => this.getMatchedEntry(e))
+            .filter((m) => m)
+            .map((m) => ({
+              description: m.description,
+              color: this.getEntryColor(m),
+            })),
+          ...(data.id === "transit" ? this.getTransitLines() : []),
+        ],
+      }))
+      .filter((section) => section.entries.length);
+  }
+
+  /**
+   * Returns the CSS color that best represents the given matched entry.
+   */
+  getEntryColor(entry) {
+    let paint;
+    if (entry.lines) {
+      // The last line is the topmost, as opposed to any casing.
+      paint = entry.lines.at(-1).layer.paint;
+    } else {
+      paint = (entry.fill ?? entry.feature).layer.paint;
+    }
+    let color =
+      paint?.["line-color"] ??
+      paint?.["fill-color"] ??
+      paint?.["fill-extrusion-color"] ??
+      paint?.["icon-color"] ??
+      paint?.["text-color"];
+    return color && String(color);
+  }
+
+  /**
+   * Remembers whether the user has collapsed the legend section with the
+   * given key, so that it stays collapsed the next time the legend opens.
+   */
+  setSectionCollapsed(key, collapsed) {
+    let collapsedKeys = new Set(getPreference("collapsedLegendSections"));
+    if (collapsed) {
+      collapsedKeys.add(key);
+    } else {
+      collapsedKeys.delete(key);
+    }
+    setPreference(
+      "collapsedLegendSections",
+      collapsedKeys.size ? [...collapsedKeys] : undefined
+    );
+  }
+
   /**
    * Returns the section representing the given data.
    */
@@ -151,12 +236,16 @@ export default class LegendControl {
       .content.cloneNode(true);
     template.querySelector("summary").textContent = data.name;
 
-    let rows = data.rows;
-    if (!rows && data.entries) {
+    // Rows that illustrate entries come before any rows supplied outright.
+    let rows = data.rows ?? [];
+    if (data.entries) {
       let entries = data.entries
         .map((e) => this.getMatchedEntry(e))
         .filter((m) => m);
-      rows = entries.map((e) => this.getRowForEntry(e)).filter((r) => r);
+      rows = [
+        ...entries.map((e) => this.getRowForEntry(e)).filter((r) => r),
+        ...rows,
+      ];
     }
     if (!rows.length) return;
 
@@ -164,7 +253,15 @@ export default class LegendControl {
     if (!data.source) {
       template.querySelector("tfoot").remove();
     }
-    return template.querySelector(".legend-section");
+
+    let section = template.querySelector(".legend-section");
+    let key = data.id ?? data.name;
+    let collapsedKeys = getPreference("collapsedLegendSections") ?? [];
+    section.open = !collapsedKeys.includes(key);
+    section.addEventListener("toggle", () =>
+      this.setSectionCollapsed(key, !section.open)
+    );
+    return section;
   }
 
   /**
@@ -450,6 +547,38 @@ export default class LegendControl {
     }
   }
 
+  /**
+   * Returns the transit lines that are visible in the current viewport, each
+   * with a `description` and the CSS `color` that it is drawn in.
+   */
+  getTransitLines() {
+    let features = this._map.queryRenderedFeatures({
+      layers: [TransitLayers.line.id],
+    });
+    return TransitLayers.getTransitLines(features).map((line) => ({
+      description: line.name ?? line.ref,
+      color: line.color ?? Color.transitLine,
+    }));
+  }
+
+  /**
+   * Returns table rows illustrating the transit lines in the current viewport.
+   */
+  getTransitLineRows() {
+    return this.getTransitLines().map((line) => {
+      let template = document
+        .getElementById("legend-row-line")
+        .content.cloneNode(true);
+      let row = template.querySelector("tr");
+      // Depict the line as if it were a feature in a line layer.
+      this.populateLineCell(row.querySelector(".line"), [
+        { layer: { paint: { "line-color": line.color, "line-width": 4 } } },
+      ]);
+      row.querySelector(".description").textContent = line.description;
+      return row;
+    });
+  }
+
   /**
    * Returns table rows illustrating route shields.
    */
@@ -464,7 +593,7 @@ export default class LegendControl {
     let images = shieldFeatures
       .flatMap((f) => f.layer.layout["text-field"].sections)
       .filter((s) => s.image && s.image)
-      .map((s) => HighwayShieldLayers.parseImageName(s.image.name));
+      .flatMap((s) => HighwayShieldLayers.parseImageNames(s.image.name));
 
     // Unique the images by network.
     let imagesByNetwork = {};
@@ -613,10 +742,7 @@ export default class LegendControl {
    * @returns An HTML table row representing the route shield, or nothing if the style does not render the given network.
    */
   getShieldRow(network, names, binding) {
-    let images = names
-      .map((n) => this._map.style.getImage(n))
-      .map((i) => this.getImageFromStyle(i))
-      .filter((i) => i);
+    let images = names.map((n) => this.getShieldImage(n)).filter((i) => i);
     if (!images.length) return;
 
     let template = document
@@ -637,6 +763,35 @@ export default class LegendControl {
     return row;
   }
 
+  /**
+   * Returns an HTML image element displaying the shield with the given image
+   * name.
+   *
+   * @param imageName A style image name in the format parsed by `parseImageName`, or the name of a sprite.
+   * @returns An HTML image element, or nothing if the network has no shield.
+   */
+  getShieldImage(imageName) {
+    let styleImage = this._map.style.getImage(imageName);
+    if (styleImage) {
+      return this.getImageFromStyle(styleImage);
+    }
+
+    // When shields are stacked, the style has no image of the individual
+    // shield, so draw it separately.
+    let route = HighwayShieldLayers.parseImageName(imageName);
+    let ctx = this._shieldRenderer?.getGraphicForRoute(
+      route.network,
+      route.ref,
+      route.name
+    );
+    if (!ctx) return;
+
+    let img = new Image(ctx.canvas.width / PXR, ctx.canvas.height / PXR);
+    img.src = ctx.canvas.toDataURL("image/png");
+    img.className = "shield";
+    return img;
+  }
+
   /**
    * Inserts a human-readable description in the given table row.
    */
@@ -798,6 +953,22 @@ export default class LegendControl {
     return this._ukNetworkMetadata;
   }
 
+  /**
+   * Returns Wikidata metadata about the given `network=*` value, querying
+   * Wikidata if necessary.
+   *
+   * @param network The `network=*` value of a route.
+   * @returns A Wikidata binding, or nothing if Wikidata has no matching network.
+   */
+  async getNetworkBinding(network) {
+    let networkMetadata = await this.getNetworkMetadata();
+    if (networkMetadata?.[network]) return networkMetadata[network];
+    if (network.startsWith("omt-gb-")) {
+      let ukNetworkMetadata = await this.getUKNetworkMetadata();
+      return ukNetworkMetadata?.[network];
+    }
+  }
+
   purgeNetworkMetadata() {
     delete this._networkMetadata;
     delete this._ukNetworkMetadata;
@@ -2,6 +2,8 @@
  * Functions for assembling user-facing map components
  */
 import {
+  AbstractShieldRenderer,
+  GraphicsFactory,
   ShieldDefinitions,
   URLShieldRenderer,
 } from "@americana/maplibre-shield-generator";
@@ -13,8 +15,12 @@ import {
   routeParser,
 } from "../js/shield_format.js";
 
+import * as HighwayShieldLayers from "../layer/highway_shield.js";
 import * as Poi from "../js/poi.js";
 import * as Style from "./style.js";
+import * as Contours from "./contours.js";
+import * as TileSchema from "../schema/index.js";
+import * as Theme from "./theme.js";
 import maplibregl, {
   type MapOptions,
   type StyleSpecification,
@@ -22,23 +28,50 @@ import maplibregl, {
 import { MapView } from "./map_view.js";
 import type { DebugOptions } from "@americana/maplibre-shield-generator/src/types.js";
 import { getGlobalStateForLocalization, getLocales } from "@americana/diplomat";
+import { Protocol } from "pmtiles";
 
-export function buildStyle(): StyleSpecification {
+/**
+ * Returns the URL of the directory containing the current page.
+ */
+function getPageBaseURL(): string {
   var getUrl = window.location;
-  var baseUrl = (
-    getUrl.protocol +
-    "//" +
-    getUrl.host +
-    removeAfterLastSlash(getUrl.pathname)
-  )
-    //Trim trailing slashes from URL
-    .replace(/\/+$/, "");
-  return Style.build(
+  return (
+    getUrl.protocol + "//" + getUrl.host + removeAfterLastSlash(getUrl.pathname)
+  );
+}
+
+/**
+ * Builds the style.
+ *
+ * @param theme Name of the theme, defaulting to the light theme.
+ * @param locales Locales to label the map in, defaulting to the user's.
+ * @param baseUrl URL of the directory containing the sprites and control city
+ *   data, defaulting to the current page's directory.
+ */
+export function buildStyle(
+  theme?: string,
+  locales: string[] = getLocales(),
+  baseUrl: string = getPageBaseURL()
+): StyleSpecification {
+  //Trim trailing slashes from URL
+  baseUrl = baseUrl.replace(/\/+$/, "");
+  const style = Style.build(
     config.OPENMAPTILES_URL,
     `${baseUrl}/sprites/sprite`,
     config.FONT_URL ?? "https://font.americanamap.org/{fontstack}/{range}.pbf",
-    getLocales()
+    locales,
+    TileSchema.getSchema(config.TILE_SCHEMA),
+    Theme.getPalette(theme),
+    `${baseUrl}/controlcities.geojson`
   );
+  Contours.addContours(style, Theme.getPalette(theme));
+  if (config.SHIELD_STACK) {
+    style.layers = HighwayShieldLayers.stackShields(
+      style.layers,
+      config.SHIELD_STACK
+    );
+  }
+  return style;
 }
 
 function removeAfterLastSlash(str: string): string {
@@ -50,40 +83,45 @@ function removeAfterLastSlash(str: string): string {
 }
 
 export function loadRTLPlugin(): void {
+  // The plugin can only be set once per page, even if the page has more than
+  // one map.
+  if (maplibregl.getRTLTextPluginStatus() !== "unavailable") {
+    return;
+  }
   maplibregl.setRTLTextPlugin(
     "https://unpkg.com/@mapbox/mapbox-gl-rtl-text@0.2.3/mapbox-gl-rtl-text.min.js",
     true
   );
 }
 
-export function createMap(
-  window: Window,
-  shieldDefCallback: (shields: ShieldDefinitions) => void,
-  options: MapOptions,
-  debugOptions: DebugOptions
-): MapView {
-  window["maplibregl"] = maplibregl;
-  let map: MapView = (window["map"] = new MapView(options));
-
-  const shieldRenderer = new URLShieldRenderer("shields.json", routeParser)
+/**
+ * Draws route shields and recolored POI icons on the given map as its style
+ * asks for them.
+ *
+ * @param gfxFactory Graphics factory that draws the images, which determines
+ *   their pixel ratio. Defaults to drawing them for the screen.
+ * @param shieldsURL URL of the shield definitions.
+ * @returns The renderer that draws the route shields.
+ */
+export function renderImagesOnMap(
+  map: MapView,
+  debugOptions: DebugOptions,
+  gfxFactory?: GraphicsFactory,
+  shieldsURL: string = "shields.json"
+): AbstractShieldRenderer {
+  let shieldRenderer = new URLShieldRenderer(shieldsURL, routeParser)
     .debugOptions(debugOptions)
     .filterImageID(shieldPredicate)
-    .filterNetwork(networkPredicate)
-    .renderOnMaplibreGL(map)
-    .onShieldDefLoad(shieldDefCallback);
-
-  map.once("styledata", (event) => {
-    let localizationState = getGlobalStateForLocalization(getLocales(), {
-      uppercaseCountryNames: true,
-    });
-    for (let [key, value] of Object.entries(localizationState)) {
-      map.setGlobalStateProperty(key, value);
-    }
-  });
+    .filterNetwork(networkPredicate);
+  if (gfxFactory) {
+    shieldRenderer = shieldRenderer.graphicsFactory(gfxFactory);
+  }
+  shieldRenderer.renderOnMaplibreGL(map);
 
   map.on("styleimagemissing", function (e) {
     switch (e.id.split("\n")[0]) {
       case "shield":
+      case HighwayShieldLayers.stackImagePrefix:
         break;
       case "poi":
         Poi.missingIconHandler(shieldRenderer, map, e);
@@ -93,5 +131,78 @@ export function createMap(
         break;
     }
   });
+  return shieldRenderer;
+}
+
+let protocolsAdded = false;
+
+/**
+ * Creates a map without exposing it or MapLibre as globals, so that a page can
+ * have more than one.
+ *
+ * @param shieldDefCallback Called once the shield definitions load.
+ * @param options Options for the map.
+ * @param debugOptions Options for debugging shields.
+ * @param shieldsURL URL of the shield definitions.
+ * @param locales Locales to label the map in, instead of following the URL
+ *   hash and the user's language preferences.
+ */
+export function buildMap(
+  shieldDefCallback: (shields: ShieldDefinitions) => void,
+  options: MapOptions,
+  debugOptions: DebugOptions,
+  { shieldsURL, locales }: { shieldsURL?: string; locales?: string[] } = {}
+): MapView {
+  if (!protocolsAdded) {
+    maplibregl.addProtocol("pmtiles", new Protocol({ metadata: true }).tile);
+    Contours.getDemSource().setupMaplibre(maplibregl);
+    protocolsAdded = true;
+  }
+  let map: MapView = new MapView(options, locales);
+
+  const shieldRenderer = renderImagesOnMap(
+    map,
+    debugOptions,
+    undefined,
+    shieldsURL
+  );
+  map.shieldRenderer = shieldRenderer;
+  shieldRenderer.onShieldDefLoad(shieldDefCallback);
+
+  map.once("styledata", (event) => {
+    let localizationState = getGlobalStateForLocalization(map.locales, {
+      uppercaseCountryNames: true,
+    });
+    for (let [key, value] of Object.entries(localizationState)) {
+      map.setGlobalStateProperty(key, value);
+    }
+  });
+
+  map.on("americana.theme", () => {
+    const palette = Theme.getPalette(map.theme);
+    for (const layer of buildStyle(map.theme).layers) {
+      if (!("paint" in layer)) continue;
+      for (const [property, value] of Object.entries(layer.paint)) {
+        map.setPaintProperty(layer.id, property, value);
+      }
+    }
+    Theme.applyShieldPalette(shieldRenderer.getShieldDefinitions(), palette);
+    shieldRenderer.reloadShields();
+  });
+  return map;
+}
+
+export function createMap(
+  window: Window,
+  shieldDefCallback: (shields: ShieldDefinitions) => void,
+  options: MapOptions,
+  debugOptions: DebugOptions
+): MapView {
+  window["maplibregl"] = maplibregl;
+  let map: MapView = (window["map"] = buildMap(
+    shieldDefCallback,
+    options,
+    debugOptions
+  ));
   return map;
 }
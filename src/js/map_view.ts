@@ -1,31 +1,89 @@
 import { getLocales, localizeStyle, updateVariable } from "@americana/diplomat";
-import maplibregl from "maplibre-gl";
-import { hillshading } from "../layer/hillshade.js";
-import { getEleUnits } from "../layer/peak.js";
+import maplibregl, { type MapOptions } from "maplibre-gl";
+import type { AbstractShieldRenderer } from "@americana/maplibre-shield-generator";
+import { hillshading, hypsometricTint } from "../layer/hillshade.js";
+import { getEleUnits, peak } from "../layer/peak.js";
+import { getContourLabelLayerID, getContourLayerIDs } from "./contours.js";
+import * as RouteHighlightLayers from "../layer/route_highlight.js";
+import * as CyclingLayers from "../layer/cycling.js";
+import * as HikingLayers from "../layer/hiking.js";
+import * as TransitLayers from "../layer/transit.js";
+import { getFeatureBounds } from "./util.js";
+
+/** A route identified by its `network=*` and `ref=*` values */
+export interface Route {
+  network: string;
+  ref: string;
+}
 
 export class MapView extends maplibregl.Map {
-  get locales(): [String] {
-    return getLocales();
+  private _theme: string = "light";
+  private _highlightedRoute?: Route;
+  /** Locales that override the user's language preferences, if any */
+  private _locales?: string[];
+  /** Whether the contours in view are spaced in feet rather than meters */
+  private _customaryContours: boolean = true;
+
+  /** The renderer that draws route shields on this map */
+  shieldRenderer: AbstractShieldRenderer;
+
+  /**
+   * @param options Options for the map.
+   * @param locales Locales to label the map in, instead of following the URL
+   *   hash and the user's language preferences.
+   */
+  constructor(options: MapOptions, locales?: string[]) {
+    super(options);
+    this._locales = locales;
+    this.on("moveend", this._updateContourUnits);
   }
 
-  set locales(newValue: [String]) {
-    localizeStyle(this);
+  get locales(): string[] {
+    return this._locales ?? getLocales();
+  }
+
+  set locales(newValue: string[]) {
+    this._locales = newValue;
+    localizeStyle(this, newValue);
     let peakTextExpression = this.getLayoutProperty("peak", "text-field");
     updateVariable(peakTextExpression, "eleUnits", getEleUnits(newValue[0]));
     this.setLayoutProperty("peak", "text-field", peakTextExpression);
+    for (const customary of [false, true]) {
+      const layerID = getContourLabelLayerID(customary);
+      // Only a style built on the fly has contours.
+      if (!this.getLayer(layerID)) {
+        continue;
+      }
+      let contourTextExpression = this.getLayoutProperty(layerID, "text-field");
+      updateVariable(
+        contourTextExpression,
+        "eleUnits",
+        getEleUnits(newValue[0], customary)
+      );
+      this.setLayoutProperty(layerID, "text-field", contourTextExpression);
+    }
     this.fire("americana.languagechange");
   }
 
+  /** Relabels the map according to the user's language preferences. */
   localize() {
     this.locales = getLocales();
+    this._locales = undefined;
   }
 
   get shadesHills(): Boolean {
-    return this.getLayoutProperty(hillshading.id, "visibility") !== "none";
+    return (
+      !!this.getLayer(hillshading.id) &&
+      this.getLayoutProperty(hillshading.id, "visibility") !== "none"
+    );
   }
 
   set shadesHills(newValue): Boolean {
     Promise.resolve(this.style.loaded() || this.once("styledata")).then(() => {
+      // An offline style has no elevation data.
+      if (!this.getLayer(hillshading.id)) {
+        return;
+      }
       this.setLayoutProperty(
         hillshading.id,
         "visibility",
@@ -34,4 +92,196 @@ export class MapView extends maplibregl.Map {
       this.fire("americana.terrain");
     });
   }
+
+  get showsContours(): Boolean {
+    const layerID = getContourLayerIDs(this._customaryContours)[0];
+    return (
+      !!this.getLayer(layerID) &&
+      this.getLayoutProperty(layerID, "visibility") !== "none"
+    );
+  }
+
+  set showsContours(newValue: Boolean) {
+    Promise.resolve(this.style.loaded() || this.once("styledata")).then(() => {
+      this._setContourVisibility(!!newValue);
+      this.fire("americana.terrain");
+      if (newValue) {
+        this.once("idle", this._updateContourUnits);
+      }
+    });
+  }
+
+  get tintsElevation(): Boolean {
+    return (
+      !!this.getLayer(hypsometricTint.id) &&
+      this.getLayoutProperty(hypsometricTint.id, "visibility") !== "none"
+    );
+  }
+
+  set tintsElevation(newValue: Boolean) {
+    Promise.resolve(this.style.loaded() || this.once("styledata")).then(() => {
+      // An offline style has no elevation data.
+      if (!this.getLayer(hypsometricTint.id)) {
+        return;
+      }
+      this.setLayoutProperty(
+        hypsometricTint.id,
+        "visibility",
+        newValue ? "visible" : "none"
+      );
+      this.fire("americana.terrain");
+    });
+  }
+
+  get showsCycling(): boolean {
+    return this._showsOverlay(CyclingLayers.layers);
+  }
+
+  set showsCycling(newValue: boolean) {
+    this._setOverlayVisibility(CyclingLayers.layers, !!newValue);
+  }
+
+  get showsHiking(): boolean {
+    return this._showsOverlay(HikingLayers.layers);
+  }
+
+  set showsHiking(newValue: boolean) {
+    this._setOverlayVisibility(HikingLayers.layers, !!newValue);
+  }
+
+  get showsTransit(): boolean {
+    return this._showsOverlay(TransitLayers.layers);
+  }
+
+  set showsTransit(newValue: boolean) {
+    this._setOverlayVisibility(TransitLayers.layers, !!newValue);
+  }
+
+  /** Whether the overlay made up of the given layers is shown. */
+  private _showsOverlay(layers: { id: string }[]): boolean {
+    return this.getLayoutProperty(layers[0].id, "visibility") !== "none";
+  }
+
+  /** Shows or hides the overlay made up of the given layers. */
+  private _setOverlayVisibility(layers: { id: string }[], visible: boolean) {
+    Promise.resolve(this.style.loaded() || this.once("styledata")).then(() => {
+      this._setLayerVisibility(layers, visible);
+      this.fire("americana.overlay");
+    });
+  }
+
+  /** Shows or hides the given layers. */
+  private _setLayerVisibility(layers: { id: string }[], visible: boolean) {
+    for (const layer of layers) {
+      this.setLayoutProperty(
+        layer.id,
+        "visibility",
+        visible ? "visible" : "none"
+      );
+    }
+  }
+
+  private _setContourVisibility(visible: boolean) {
+    for (const customary of [false, true]) {
+      const shown = visible && customary === this._customaryContours;
+      for (const layerID of getContourLayerIDs(customary)) {
+        if (!this.getLayer(layerID)) {
+          continue;
+        }
+        this.setLayoutProperty(
+          layerID,
+          "visibility",
+          shown ? "visible" : "none"
+        );
+      }
+    }
+  }
+
+  /**
+   * Switches the contours between feet and meters, depending on whether most
+   * of the peaks in view have elevations in customary units. Where there are
+   * no peaks, the contours keep their current units.
+   */
+  private _updateContourUnits = () => {
+    if (!this.showsContours) {
+      return;
+    }
+    const peaks = this.queryRenderedFeatures({ layers: [peak.id] });
+    if (!peaks.length) {
+      return;
+    }
+    const customaryPeaks = peaks.filter(
+      (feature) => feature.properties.customary_ft === 1
+    );
+    const customary = customaryPeaks.length * 2 > peaks.length;
+    if (customary !== this._customaryContours) {
+      this._customaryContours = customary;
+      this._setContourVisibility(true);
+    }
+  };
+
+  /** The route drawn over the other roads, if any */
+  get highlightedRoute(): Route | undefined {
+    return this._highlightedRoute;
+  }
+
+  set highlightedRoute(newValue: Route | undefined) {
+    this._highlightedRoute = newValue;
+    Promise.resolve(this.style.loaded() || this.once("styledata")).then(() => {
+      const visibility = newValue ? "visible" : "none";
+      for (const layer of [
+        RouteHighlightLayers.dim,
+        RouteHighlightLayers.highlight,
+      ]) {
+        this.setLayoutProperty(layer.id, "visibility", visibility);
+      }
+      if (newValue) {
+        this.setFilter(
+          RouteHighlightLayers.highlight.id,
+          RouteHighlightLayers.routeFilter(newValue.network, newValue.ref)
+        );
+        // Wait for the filtered features to render.
+        this.once("idle", () => this.fitToHighlightedRoute());
+      }
+      this.fire("americana.routehighlight");
+    });
+  }
+
+  /**
+   * Fits the viewport to the extent of the highlighted route, as far as the
+   * loaded tiles cover it.
+   */
+  fitToHighlightedRoute() {
+    const route = this._highlightedRoute;
+    if (!route) {
+      return;
+    }
+    const filter = RouteHighlightLayers.routeFilter(route.network, route.ref);
+    const features = [
+      ...this.querySourceFeatures(RouteHighlightLayers.highlight.source, {
+        sourceLayer: RouteHighlightLayers.highlight["source-layer"],
+        filter,
+      }),
+      ...this.queryRenderedFeatures({
+        layers: [RouteHighlightLayers.highlight.id],
+      }),
+    ];
+    const bounds = getFeatureBounds(features);
+    if (bounds) {
+      this.fitBounds(bounds as [[number, number], [number, number]], {
+        padding: 40,
+      });
+    }
+  }
+
+  get theme(): string {
+    return this._theme;
+  }
+
+  set theme(newValue: string) {
+    this._theme = newValue;
+    Promise.resolve(this.style.loaded() || this.once("styledata")).then(() => {
+      this.fire("americana.theme");
+    });
+  }
 }
@@ -0,0 +1,397 @@
+"use strict";
+
+import * as MeasurementLayers from "../layer/measurement.js";
+import { road, roadTunnel } from "../layer/road.js";
+import {
+  formatArea,
+  formatDistance,
+  getMeasurementFeature,
+  snapToLines,
+  usesCustomaryUnits,
+} from "./measurement.js";
+import { getPreference, setPreference } from "./preferences.js";
+
+// Distance from a road within which a vertex snaps to it, in pixels
+const snapRadius = 12;
+
+// Distance from the last vertex within which a click adds no vertex, in pixels
+const duplicateRadius = 3;
+
+/**
+ * Ways of measuring, each started by its own button.
+ */
+const measureModes = [
+  {
+    mode: "distance",
+    className: "maplibregl-ctrl-measure-distance",
+    description: "distance",
+  },
+  {
+    mode: "area",
+    className: "maplibregl-ctrl-measure-area",
+    description: "area",
+  },
+];
+
+/**
+ * Returns whether the style layer with the given ID draws roads that vertices
+ * can snap to, including the copies of the road layer for each bridge layer.
+ */
+function isRoadLayer(layerID) {
+  return (
+    layerID === road.id ||
+    layerID === roadTunnel.id ||
+    layerID.startsWith(`${road.id}_layer`)
+  );
+}
+
+/**
+ * Buttons that measure the length of a path or the area of a polygon that the
+ * user draws by clicking on the map, along with a panel that shows the running
+ * measurement.
+ */
+export class MeasureControl {
+  constructor() {
+    this._coordinates = [];
+  }
+
+  /**
+   * Whether measurements are shown in miles and feet rather than kilometers
+   * and meters, defaulting to the units customary in the user's region.
+   */
+  get customary() {
+    return getPreference("measurementUnits") === undefined
+      ? usesCustomaryUnits()
+      : getPreference("measurementUnits") === "customary";
+  }
+
+  set customary(newValue) {
+    setPreference("measurementUnits", newValue ? "customary" : "metric");
+    this._update();
+  }
+
+  _onClick = (event) => {
+    // Both clicks of a double click land here before the double click ends
+    // the measurement.
+    let last = this._coordinates.at(-1);
+    if (last) {
+      let lastPoint = this._map.project(last);
+      if (lastPoint.dist(event.point) < duplicateRadius) {
+        return;
+      }
+    }
+    this._coordinates.push(this._snap(event.point, event.lngLat));
+    this._update();
+  };
+
+  _onMouseMove = (event) => {
+    this._pointer = this._snap(event.point, event.lngLat);
+    this._update();
+  };
+
+  _onMouseOut = () => {
+    this._pointer = undefined;
+    this._update();
+  };
+
+  _onDoubleClick = (event) => {
+    event.preventDefault();
+    this._finish();
+  };
+
+  _onKeyDown = (event) => {
+    switch (event.code) {
+      case "Escape":
+        this.stop();
+        break;
+      case "Enter":
+        this._finish();
+        break;
+      case "Backspace":
+        this._coordinates.pop();
+        this._update();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  };
+
+  _onButtonClick = ({ mode }) => {
+    if (this._mode === mode) {
+      this.stop();
+    } else {
+      this.start(mode);
+    }
+  };
+
+  /**
+   * Returns the coordinates of a vertex placed at the given point, on the
+   * nearest road if snapping is enabled.
+   */
+  _snap(point, lngLat) {
+    if (this._snapCheckbox.checked) {
+      let roads = this._map
+        .queryRenderedFeatures([
+          [point.x - snapRadius, point.y - snapRadius],
+          [point.x + snapRadius, point.y + snapRadius],
+        ])
+        .filter((feature) => isRoadLayer(feature.layer.id));
+      let lines = roads.flatMap((feature) => {
+        let { type, coordinates } = feature.geometry;
+        let paths = type === "MultiLineString" ? coordinates : [coordinates];
+        return type.endsWith("LineString")
+          ? paths.map((path) => path.map((c) => this._map.project(c)))
+          : [];
+      });
+      let snapped = snapToLines(point, lines, snapRadius);
+      if (snapped) {
+        return this._map.unproject(snapped).toArray();
+      }
+    }
+    return lngLat.toArray();
+  }
+
+  /**
+   * Starts a new measurement.
+   *
+   * @param {string} mode - "distance" to measure a path or "area" to measure a
+   *  polygon.
+   */
+  start(mode) {
+    this.stop();
+    this._mode = mode;
+    this._coordinates = [];
+    this._finished = false;
+
+    let map = this._map;
+    if (!map.getSource(MeasurementLayers.source)) {
+      map.addSource(MeasurementLayers.source, {
+        type: "geojson",
+        data: { type: "FeatureCollection", features: [] },
+      });
+      for (let layer of MeasurementLayers.layers) {
+        map.addLayer(layer);
+      }
+    }
+
+    map.getCanvas().style.cursor = "crosshair";
+    map.doubleClickZoom.disable();
+    map.on("click", this._onClick);
+    map.on("dblclick", this._onDoubleClick);
+    map.on("mousemove", this._onMouseMove);
+    map.on("mouseout", this._onMouseOut);
+    // Listen on the canvas rather than the container, which also holds the
+    // controls, so that typing into a control's text field is left alone.
+    map.getCanvas().addEventListener("keydown", this._onKeyDown);
+    map.fire("americana.measurestart");
+
+    this._panel.hidden = false;
+    this._update();
+  }
+
+  /**
+   * Stops measuring and removes the measurement from the map.
+   */
+  stop() {
+    if (!this._mode) {
+      return;
+    }
+    this._endDrawing();
+    this._mode = undefined;
+    this._coordinates = [];
+    this._panel.hidden = true;
+    this._update();
+  }
+
+  /**
+   * Stops adding vertices, leaving the measurement on the map.
+   */
+  _finish() {
+    if (this._finished) {
+      return;
+    }
+    this._endDrawing();
+    this._finished = true;
+    this._update();
+  }
+
+  _endDrawing() {
+    let map = this._map;
+    map.getCanvas().style.cursor = "";
+    map.doubleClickZoom.enable();
+    map.off("click", this._onClick);
+    map.off("dblclick", this._onDoubleClick);
+    map.off("mousemove", this._onMouseMove);
+    map.off("mouseout", this._onMouseOut);
+    map.getCanvas().removeEventListener("keydown", this._onKeyDown);
+    this._pointer = undefined;
+    map.fire("americana.measureend");
+  }
+
+  /**
+   * The measurement as a GeoJSON feature, or nothing if the user has not
+   * placed any vertices.
+   */
+  get measurement() {
+    if (!this._coordinates.length) {
+      return;
+    }
+    return getMeasurementFeature(this._coordinates, this._mode === "area");
+  }
+
+  /**
+   * Returns the measurement including the provisional vertex under the mouse
+   * pointer, if any.
+   */
+  _getProvisionalMeasurement() {
+    let coordinates = this._coordinates;
+    if (this._pointer) {
+      coordinates = [...coordinates, this._pointer];
+    }
+    return getMeasurementFeature(coordinates, this._mode === "area");
+  }
+
+  /**
+   * Returns the features that depict the measurement: the measured shape, a
+   * provisional segment to the mouse pointer and the vertices.
+   */
+  _getFeatures() {
+    let coordinates = this._coordinates;
+    if (!this._mode || !coordinates.length) {
+      return [];
+    }
+    let features = [this.measurement];
+    if (this._pointer) {
+      let segment = [coordinates.at(-1), this._pointer];
+      if (this._mode === "area" && coordinates.length >= 2) {
+        segment.push(coordinates[0]);
+      }
+      features.push({
+        type: "Feature",
+        properties: { provisional: true },
+        geometry: { type: "LineString", coordinates: segment },
+      });
+    }
+    for (let vertex of coordinates) {
+      features.push({
+        type: "Feature",
+        properties: {},
+        geometry: { type: "Point", coordinates: vertex },
+      });
+    }
+    return features;
+  }
+
+  _update() {
+    this._map.getSource(MeasurementLayers.source)?.setData({
+      type: "FeatureCollection",
+      features: this._getFeatures(),
+    });
+
+    for (let { mode, className, description } of measureModes) {
+      let button = this._buttons[mode];
+      let enabled = this._mode === mode;
+      button.classList.toggle(`${className}-enabled`, enabled);
+      button.title = enabled
+        ? `Stop measuring ${description}`
+        : `Measure ${description}`;
+    }
+
+    let customary = this.customary;
+    this._unitsButton.textContent = customary ? "Metric" : "Customary";
+    this._unitsButton.title = `Show measurements in ${
+      customary ? "kilometers and meters" : "miles and feet"
+    }`;
+
+    let { length, area } = this._getProvisionalMeasurement().properties;
+    let readout = [formatDistance(length, customary)];
+    if (this._mode === "area") {
+      readout.push(formatArea(area ?? 0, customary));
+    }
+    this._readout.textContent = this._coordinates.length
+      ? readout.join(" · ")
+      : `Click the map to start measuring ${this._mode}.`;
+    this._exportButton.disabled = !this._coordinates.length;
+  }
+
+  /**
+   * Downloads the measurement as a GeoJSON file.
+   */
+  export() {
+    let measurement = this.measurement;
+    if (!measurement) {
+      return;
+    }
+    let collection = { type: "FeatureCollection", features: [measurement] };
+    let blob = new Blob([JSON.stringify(collection, null, 2)], {
+      type: "application/geo+json",
+    });
+    let link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "measurement.geojson";
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  onAdd(map) {
+    this._map = map;
+
+    this._container = document.createElement("div");
+    this._container.className = "maplibregl-ctrl measure-control";
+
+    let buttonGroup = document.createElement("div");
+    buttonGroup.className = "maplibregl-ctrl-group";
+    this._container.append(buttonGroup);
+
+    this._buttons = {};
+    for (let measureMode of measureModes) {
+      const { mode, className } = measureMode;
+      const button = document.createElement("button");
+      button.className = className;
+      button.addEventListener("click", () => this._onButtonClick(measureMode));
+      buttonGroup.append(button);
+      this._buttons[mode] = button;
+
+      const span = document.createElement("span");
+      span.className = "maplibregl-ctrl-icon";
+      span.setAttribute("aria-hidden", "true");
+      button.append(span);
+    }
+
+    let panel = document
+      .getElementById("measure-panel")
+      .content.cloneNode(true);
+    this._panel = panel.querySelector(".measure-panel");
+    this._panel.hidden = true;
+    this._readout = panel.querySelector(".measure-readout");
+    this._snapCheckbox = panel.querySelector(".measure-snap");
+    this._unitsButton = panel.querySelector(".measure-units");
+    this._unitsButton.addEventListener("click", () => {
+      this.customary = !this.customary;
+    });
+    this._exportButton = panel.querySelector(".measure-export");
+    this._exportButton.addEventListener("click", () => this.export());
+    panel
+      .querySelector(".measure-clear")
+      .addEventListener("click", () => this.stop());
+    this._container.append(panel);
+
+    this._update();
+    return this._container;
+  }
+
+  onRemove() {
+    this.stop();
+    for (let layer of MeasurementLayers.layers) {
+      if (this._map.getLayer(layer.id)) {
+        this._map.removeLayer(layer.id);
+      }
+    }
+    if (this._map.getSource(MeasurementLayers.source)) {
+      this._map.removeSource(MeasurementLayers.source);
+    }
+    this._container.remove();
+    this._map = undefined;
+  }
+}
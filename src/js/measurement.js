@@ -0,0 +1,203 @@
+"use strict";
+
+import { getLocales } from "@americana/diplomat";
+
+// Mean radius of the Earth in meters
+const earthRadius = 6371008.8;
+
+const metersPerMile = 1609.344;
+const metersPerFoot = 0.3048;
+const squareMetersPerAcre = 4046.8564224;
+const squareMetersPerSquareMile = metersPerMile * metersPerMile;
+
+/**
+ * Regions where road distances are signed in miles, as in the elevations that
+ * `getEleUnits` formats in feet in the United States.
+ */
+const customaryRegions = ["US", "GB", "LR", "MM"];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Returns the great-circle distance between two coordinates in meters.
+ *
+ * @param a - A longitude and latitude.
+ * @param b - Another longitude and latitude.
+ */
+export function getDistance(a, b) {
+  let dLat = toRadians(b[1] - a[1]);
+  let dLon = toRadians(b[0] - a[0]);
+  let h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a[1])) *
+      Math.cos(toRadians(b[1])) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * earthRadius * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Returns the length of a path in meters.
+ *
+ * @param coordinates - The longitudes and latitudes along the path.
+ */
+export function getLength(coordinates) {
+  let length = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    length += getDistance(coordinates[i - 1], coordinates[i]);
+  }
+  return length;
+}
+
+/**
+ * Returns the area enclosed by a ring in square meters, approximating the
+ * Earth as a sphere.
+ *
+ * @param coordinates - The longitudes and latitudes around the ring, which
+ *  need not repeat the first coordinate at the end.
+ */
+export function getArea(coordinates) {
+  if (coordinates.length < 3) {
+    return 0;
+  }
+  let sum = 0;
+  for (let i = 0; i < coordinates.length; i++) {
+    let [lon1, lat1] = coordinates[i];
+    let [lon2, lat2] = coordinates[(i + 1) % coordinates.length];
+    sum +=
+      toRadians(lon2 - lon1) *
+      (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+  return Math.abs((sum * earthRadius * earthRadius) / 2);
+}
+
+/**
+ * Returns whether distances are customarily measured in miles in the given
+ * locale's region.
+ *
+ * @param locale - An IETF language tag. Defaults to the user's most preferred
+ *  locale.
+ */
+export function usesCustomaryUnits(locale = getLocales()[0]) {
+  try {
+    let region = new Intl.Locale(locale).maximize().region;
+    return customaryRegions.includes(region);
+  } catch (e) {
+    return false;
+  }
+}
+
+function formatNumber(value, unit, locale, maximumFractionDigits) {
+  return new Intl.NumberFormat(locale, {
+    style: unit ? "unit" : "decimal",
+    unit,
+    maximumFractionDigits,
+  }).format(value);
+}
+
+/**
+ * Returns a distance formatted for display, in feet or miles or in meters or
+ * kilometers depending on its magnitude.
+ *
+ * @param meters - The distance in meters.
+ * @param customary - Whether to use customary units instead of metric units.
+ * @param locale - Locale to format the number in.
+ */
+export function formatDistance(meters, customary, locale = getLocales()[0]) {
+  if (customary) {
+    let miles = meters / metersPerMile;
+    return miles < 0.1
+      ? formatNumber(meters / metersPerFoot, "foot", locale, 0)
+      : formatNumber(miles, "mile", locale, miles < 10 ? 2 : 1);
+  }
+  return meters < 1000
+    ? formatNumber(meters, "meter", locale, 0)
+    : formatNumber(meters / 1000, "kilometer", locale, meters < 10000 ? 2 : 1);
+}
+
+/**
+ * Returns an area formatted for display, in acres or square miles or in
+ * hectares or square kilometers depending on its magnitude.
+ *
+ * @param squareMeters - The area in square meters.
+ * @param customary - Whether to use customary units instead of metric units.
+ * @param locale - Locale to format the number in.
+ */
+export function formatArea(squareMeters, customary, locale = getLocales()[0]) {
+  // Intl.NumberFormat has no square units beyond acres and hectares.
+  if (customary) {
+    let squareMiles = squareMeters / squareMetersPerSquareMile;
+    return squareMiles < 1
+      ? formatNumber(squareMeters / squareMetersPerAcre, "acre", locale, 1)
+      : `${formatNumber(squareMiles, undefined, locale, 1)} mi²`;
+  }
+  let squareKilometers = squareMeters / 1e6;
+  return squareKilometers < 1
+    ? formatNumber(squareMeters / 1e4, "hectare", locale, 1)
+    : `${formatNumber(squareKilometers, undefined, locale, 1)} km²`;
+}
+
+/**
+ * Returns a GeoJSON feature representing a measurement, with its length and
+ * any area in meters and square meters as properties.
+ *
+ * @param coordinates - The longitudes and latitudes that the user has placed.
+ * @param closed - Whether the measurement is an area rather than a path.
+ */
+export function getMeasurementFeature(coordinates, closed) {
+  if (closed && coordinates.length >= 3) {
+    let ring = [...coordinates, coordinates[0]];
+    return {
+      type: "Feature",
+      properties: {
+        length: getLength(ring),
+        area: getArea(coordinates),
+      },
+      geometry: { type: "Polygon", coordinates: [ring] },
+    };
+  }
+  return {
+    type: "Feature",
+    properties: { length: getLength(coordinates) },
+    geometry: { type: "LineString", coordinates },
+  };
+}
+
+/**
+ * Returns the point on a line segment that is closest to a given point, in
+ * screen coordinates.
+ */
+export function getClosestPointOnSegment(point, a, b) {
+  let dx = b.x - a.x;
+  let dy = b.y - a.y;
+  let lengthSquared = dx * dx + dy * dy;
+  let t = lengthSquared
+    ? ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared
+    : 0;
+  t = Math.max(0, Math.min(1, t));
+  return { x: a.x + t * dx, y: a.y + t * dy };
+}
+
+/**
+ * Returns the point on any of the given lines that is closest to a given
+ * point, in screen coordinates.
+ *
+ * @param point - The point to snap.
+ * @param lines - Arrays of points along each line.
+ * @param radius - Maximum distance to snap across.
+ * @returns The closest point, or nothing if no line is within the radius.
+ */
+export function snapToLines(point, lines, radius) {
+  let closest;
+  let closestDistance = radius;
+  for (let line of lines) {
+    for (let i = 1; i < line.length; i++) {
+      let candidate = getClosestPointOnSegment(point, line[i - 1], line[i]);
+      let distance = Math.hypot(candidate.x - point.x, candidate.y - point.y);
+      if (distance <= closestDistance) {
+        closest = candidate;
+        closestDistance = distance;
+      }
+    }
+  }
+  return closest;
+}
@@ -0,0 +1,148 @@
+"use strict";
+
+/*
+  Message bridge
+
+  A page that embeds the map in an iframe cannot reach into the map directly,
+  so it controls the map by posting messages to the iframe's window, such as:
+
+    iframe.contentWindow.postMessage(
+      { type: "americana.setCenter", center: [-84.5, 39.1], zoom: 12 },
+      "https://americanamap.org"
+    );
+
+  In return, the map posts "americana.ready" to the embedding page once it
+  loads, followed by "americana.shieldclick" and "americana.poiclick" whenever
+  the user clicks a route shield or point of interest. If a command fails, such
+  as because of an invalid center, the map posts "americana.error" with the
+  `request` type and an error `message`.
+*/
+
+/**
+ * Overlays that an embedding page can show or hide, keyed by the name used in
+ * messages, with the `MapView` property that toggles each one.
+ */
+export const overlayProperties = {
+  hillshade: "shadesHills",
+  contours: "showsContours",
+  tint: "tintsElevation",
+  cycling: "showsCycling",
+  hiking: "showsHiking",
+  transit: "showsTransit",
+};
+
+/**
+ * Carries out the command in a message posted by an embedding page.
+ *
+ * @param map The map to control.
+ * @param {object} message - The message's data, with a `type` of:
+ *  - "americana.setCenter" and a `center` longitude and latitude and
+ *    optional `zoom`, `bearing` and `pitch`.
+ *  - "americana.setLanguage" and `languages`, an array of IETF language tags
+ *    or a comma-separated list.
+ *  - "americana.setOverlays" and `overlays`, an object that maps names in
+ *    `overlayProperties` to whether to show each overlay. Overlays that the
+ *    object omits are left alone.
+ * @returns {Promise<boolean>} Whether the message was a recognized command.
+ */
+export async function handleMessage(map, message) {
+  switch (message?.type) {
+    case "americana.setCenter": {
+      let { center, zoom, bearing, pitch } = message;
+      map.jumpTo({ center, zoom, bearing, pitch });
+      return true;
+    }
+    case "americana.setLanguage": {
+      let { languages } = message;
+      if (typeof languages === "string") {
+        languages = languages.split(",");
+      }
+      if (!Array.isArray(languages) || !languages.length) {
+        return false;
+      }
+      await Promise.resolve(map.style.loaded() || map.once("styledata"));
+      map.locales = languages;
+      return true;
+    }
+    case "americana.setOverlays": {
+      let overlays = Object.entries(message.overlays ?? {}).filter(
+        ([name]) => name in overlayProperties
+      );
+      for (let [name, shown] of overlays) {
+        map[overlayProperties[name]] = !!shown;
+      }
+      return !!overlays.length;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Returns a copy of a map event's details that can be posted to another
+ * window, which cannot receive functions or class instances.
+ */
+export function serializeEvent(type, event) {
+  let data = { type, lngLat: event.lngLat?.toArray() };
+  if (event.routes) {
+    data.routes = event.routes.map((route) => ({ ...route }));
+  }
+  if (event.feature) {
+    data.feature = {
+      layer: event.feature.layer?.id,
+      properties: { ...event.feature.properties },
+    };
+  }
+  return data;
+}
+
+/**
+ * Lets the page that embeds the map in an iframe control it with messages.
+ *
+ * @param map The map to control.
+ * @param {object} options
+ * @param {string} options.origin - Origin of the embedding page, or "*" to
+ *  accept messages from any origin.
+ * @param {Window} options.target - The embedding page's window.
+ * @returns {Function} A function that disconnects the bridge.
+ */
+export function connectMessageBridge(
+  map,
+  { origin = "*", target = window.parent } = {}
+) {
+  let post = (data) => target.postMessage(data, origin);
+  let onMessage = (event) => {
+    if (event.source !== target) return;
+    if (origin !== "*" && event.origin !== origin) return;
+    handleMessage(map, event.data).catch((error) => {
+      console.error("Failed to handle message", event.data, error);
+      post({
+        type: "americana.error",
+        request: event.data?.type,
+        message: String(error?.message ?? error),
+      });
+    });
+  };
+  let forwarders = ["americana.shieldclick", "americana.poiclick"].map(
+    (type) => [type, (event) => post(serializeEvent(type, event))]
+  );
+  let onLoad = () => post({ type: "americana.ready" });
+
+  window.addEventListener("message", onMessage);
+  for (let [type, forward] of forwarders) {
+    map.on(type, forward);
+  }
+  if (map.loaded()) {
+    onLoad();
+  } else {
+    map.once("load", onLoad);
+  }
+
+  return () => {
+    window.removeEventListener("message", onMessage);
+    for (let [type, forward] of forwarders) {
+      map.off(type, forward);
+    }
+    map.off("load", onLoad);
+  };
+}
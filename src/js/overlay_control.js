@@ -0,0 +1,122 @@
+import { setPreference } from "./preferences.js";
+
+/**
+ * Overlays of special-interest features, each toggled by its own button and
+ * listed in the `overlay` hash parameter.
+ */
+export const overlayModes = [
+  {
+    mode: "cycling",
+    property: "showsCycling",
+    className: "maplibregl-ctrl-cycling",
+    description: "cycling routes",
+  },
+  {
+    mode: "hiking",
+    property: "showsHiking",
+    className: "maplibregl-ctrl-hiking",
+    description: "hiking routes",
+  },
+  {
+    mode: "transit",
+    property: "showsTransit",
+    className: "maplibregl-ctrl-transit",
+    description: "transit lines",
+  },
+];
+
+/**
+ * Returns the overlays listed in the given hash parameters.
+ *
+ * @param {URLSearchParams} params - Parameters in the URL hash.
+ * @returns {Set<string>} Modes of any overlays in `overlayModes`.
+ */
+export function getOverlays(params) {
+  let value = params.get("overlay");
+  return new Set(value ? value.split(",") : []);
+}
+
+function setOverlays(modes) {
+  let hash = window.location.hash.substr(1); // omit #
+  let searchParams = new URLSearchParams(hash);
+  if (modes.size) {
+    searchParams.set("overlay", [...modes].join(","));
+  } else {
+    searchParams.delete("overlay");
+  }
+  setPreference("overlay", searchParams.get("overlay"));
+  window.location.hash = `#${searchParams}`;
+}
+
+export class OverlayControl {
+  /**
+   * @param {object} options
+   * @param {boolean} options.hash - Whether to record the overlays in the URL
+   *  hash and the user's preferences.
+   */
+  constructor({ hash = true } = {}) {
+    this._hash = hash;
+  }
+
+  _updateButtons() {
+    for (let { property, className, description } of overlayModes) {
+      let button = this._buttons[property];
+      let enabled = !!this._map[property];
+      button.classList.toggle(`${className}-enabled`, enabled);
+      button.title = `${enabled ? "Hide" : "Show"} ${description}`;
+    }
+  }
+
+  _onOverlayChange = () => this._updateButtons();
+
+  _onClick = ({ mode, property }) => {
+    let modes = new Set(
+      overlayModes.filter((m) => this._map[m.property]).map((m) => m.mode)
+    );
+    let enabled = !modes.has(mode);
+    if (enabled) {
+      modes.add(mode);
+    } else {
+      modes.delete(mode);
+    }
+    this._map[property] = enabled;
+    if (this._hash) {
+      setOverlays(modes);
+    }
+  };
+
+  onAdd(map) {
+    this._map = map;
+
+    this._container = document.createElement("div");
+    this._container.className = "maplibregl-ctrl maplibregl-ctrl-group";
+
+    this._buttons = {};
+    for (let overlayMode of overlayModes) {
+      const { property, className } = overlayMode;
+      const button = document.createElement("button");
+      button.className = className;
+      button.addEventListener("click", () => this._onClick(overlayMode));
+      this._container.append(button);
+      this._buttons[property] = button;
+
+      const span = document.createElement("span");
+      span.className = "maplibregl-ctrl-icon";
+      span.setAttribute("aria-hidden", "true");
+      button.append(span);
+    }
+    this._map.on("americana.overlay", this._onOverlayChange);
+    this._map.once("styledata", this._onOverlayChange);
+    if (this._map.isStyleLoaded()) {
+      this._updateButtons();
+    }
+
+    return this._container;
+  }
+
+  onRemove() {
+    this._container.remove();
+    this._map.off("americana.overlay", this._onOverlayChange);
+    this._map = undefined;
+  }
+}
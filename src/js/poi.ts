@@ -64,7 +64,9 @@ export function missingIconLoader(
       data: imgData.data,
     },
     {
-      pixelRatio: shieldRenderer.pixelRatio(),
+      // The recolored icon is as large as the sprite it comes from, which may
+      // have a different pixel ratio than the shields, as when printing.
+      pixelRatio: sourceSprite.pixelRatio ?? shieldRenderer.pixelRatio(),
     }
   );
 }
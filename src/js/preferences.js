@@ -0,0 +1,130 @@
+"use strict";
+
+/*
+  Preferences
+
+  The user's choices of language, terrain modes, overlays and projection are
+  kept in the URL hash, so that links reproduce the map as the user sees it.
+  Each choice is also saved in local storage and restored into the hash when a
+  link does not specify it. A choice in the hash takes precedence over a saved
+  choice, which takes precedence over the browser's defaults.
+
+  Other choices that do not belong in a link, such as the legend sections that
+  the user has collapsed, are only saved in local storage.
+*/
+
+const storageKey = "americana.preferences";
+
+/**
+ * Hash parameters that are saved as preferences.
+ */
+export const hashPreferences = ["language", "terrain", "overlay", "projection"];
+
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    // Storage is unavailable, for example because cookies are blocked.
+    return undefined;
+  }
+}
+
+/**
+ * Returns all the saved preferences.
+ *
+ * @param {Storage} storage - Where the preferences are saved.
+ * @returns {object} The preferences keyed by name.
+ */
+export function getPreferences(storage = getStorage()) {
+  try {
+    let preferences = JSON.parse(storage?.getItem(storageKey) ?? "{}");
+    return preferences && typeof preferences === "object" ? preferences : {};
+  } catch (e) {
+    // Ignore preferences saved in an unrecognized format.
+    return {};
+  }
+}
+
+/**
+ * Returns the saved preference with the given name, if any.
+ */
+export function getPreference(name, storage = getStorage()) {
+  return getPreferences(storage)[name];
+}
+
+/**
+ * Saves the preference with the given name.
+ *
+ * @param {string} name - Name of the preference.
+ * @param value - Value to save, or nothing or an empty string to forget the
+ *  preference, falling back to the default.
+ * @param {Storage} storage - Where the preferences are saved.
+ */
+export function setPreference(name, value, storage = getStorage()) {
+  let preferences = getPreferences(storage);
+  if (value === undefined || value === null || value === "") {
+    delete preferences[name];
+  } else {
+    preferences[name] = value;
+  }
+  try {
+    storage?.setItem(storageKey, JSON.stringify(preferences));
+  } catch (e) {
+    // Storage is full or read-only; the preference lasts only as long as the
+    // page.
+  }
+}
+
+/**
+ * Forgets all the saved preferences.
+ */
+export function resetPreferences(storage = getStorage()) {
+  try {
+    storage?.removeItem(storageKey);
+  } catch (e) {}
+}
+
+/**
+ * Returns a copy of the given hash parameters with any saved preferences that
+ * the parameters do not already specify.
+ *
+ * @param {URLSearchParams} params - Parameters in the URL hash.
+ * @param {object} preferences - The saved preferences.
+ * @returns {URLSearchParams} The parameters with the preferences added.
+ */
+export function applyPreferences(params, preferences) {
+  let newParams = new URLSearchParams(params);
+  for (let name of hashPreferences) {
+    if (!newParams.has(name) && typeof preferences[name] === "string") {
+      newParams.set(name, preferences[name]);
+    }
+  }
+  return newParams;
+}
+
+/**
+ * Writes any saved preferences that the URL hash does not already specify to
+ * the URL hash.
+ */
+export function restorePreferences() {
+  let hash = window.location.hash.substr(1); // omit #
+  let searchParams = new URLSearchParams(hash);
+  let newParams = applyPreferences(searchParams, getPreferences());
+  if (newParams.toString() !== searchParams.toString()) {
+    window.location.hash = `#${newParams}`;
+  }
+}
+
+/**
+ * Forgets all the saved preferences and removes them from the URL hash, so
+ * that the map reverts to the browser's defaults.
+ */
+export function clearPreferences() {
+  resetPreferences();
+  let hash = window.location.hash.substr(1); // omit #
+  let searchParams = new URLSearchParams(hash);
+  for (let name of hashPreferences) {
+    searchParams.delete(name);
+  }
+  window.location.hash = `#${searchParams}`;
+}
@@ -0,0 +1,263 @@
+"use strict";
+
+/*
+  Printing
+
+  A printout is rendered by a second map, hidden offscreen, that shows the same
+  style and camera as the map on screen but at a higher pixel ratio. The
+  offscreen map has its own shield renderer, whose graphics factory draws route
+  shields and POI icons at the printout's pixel ratio. Once the map is idle, its
+  canvas is copied onto a page along with the attribution and an optional
+  legend, then saved as a PNG image or a single-page PDF document.
+
+  This module lays out and encodes the page, while the print control renders
+  the map.
+*/
+
+export const cssPixelsPerInch = 96;
+export const pointsPerInch = 72;
+const millimetersPerInch = 25.4;
+
+// Blank space around the map on a sheet of paper, in inches
+const pageMargin = 0.5;
+
+// Width of the legend beside the map, in CSS pixels
+const legendWidth = 220;
+
+/**
+ * Paper sizes, with dimensions in portrait orientation in inches.
+ */
+export const paperSizes = {
+  letter: { name: "Letter", width: 8.5, height: 11 },
+  legal: { name: "Legal", width: 8.5, height: 14 },
+  tabloid: { name: "Tabloid", width: 11, height: 17 },
+  a4: {
+    name: "A4",
+    width: 210 / millimetersPerInch,
+    height: 297 / millimetersPerInch,
+  },
+  a3: {
+    name: "A3",
+    width: 297 / millimetersPerInch,
+    height: 420 / millimetersPerInch,
+  },
+};
+
+/**
+ * Returns where the map and legend go on a printed page, in CSS pixels.
+ *
+ * @param {object} options
+ * @param {string} options.paperSize - Key of the paper size in `paperSizes`,
+ *  or nothing to print the map at the size it appears on screen.
+ * @param {string} options.orientation - "portrait" or "landscape".
+ * @param {{width: number, height: number}} options.viewSize - Size of the map
+ *  on screen.
+ * @param {boolean} options.legend - Whether to include a legend.
+ * @returns {object} The size of the `page` and the boxes of the `map` and any
+ *  `legend`, each with `x`, `y`, `width` and `height`.
+ */
+export function getPageLayout({ paperSize, orientation, viewSize, legend }) {
+  let paper = paperSizes[paperSize];
+  if (!paper) {
+    let map = { x: 0, y: 0, ...viewSize };
+    let page = {
+      width: viewSize.width + (legend ? legendWidth : 0),
+      height: viewSize.height,
+    };
+    return {
+      page,
+      map,
+      legend: legend && {
+        x: viewSize.width,
+        y: 0,
+        width: legendWidth,
+        height: viewSize.height,
+      },
+    };
+  }
+
+  let [width, height] = [paper.width, paper.height].map(
+    (inches) => inches * cssPixelsPerInch
+  );
+  if (orientation === "landscape") {
+    [width, height] = [height, width];
+  }
+  let margin = pageMargin * cssPixelsPerInch;
+  let map = {
+    x: margin,
+    y: margin,
+    width: width - 2 * margin - (legend ? legendWidth + margin : 0),
+    height: height - 2 * margin,
+  };
+  return {
+    page: { width, height },
+    map,
+    legend: legend && {
+      x: width - margin - legendWidth,
+      y: margin,
+      width: legendWidth,
+      height: map.height,
+    },
+  };
+}
+
+/**
+ * Returns the zoom level at which a map of the given size shows at least the
+ * area shown by the map on screen.
+ */
+export function getPrintZoom(zoom, viewSize, mapSize) {
+  let scale = Math.min(
+    mapSize.width / viewSize.width,
+    mapSize.height / viewSize.height
+  );
+  return zoom + Math.log2(scale);
+}
+
+/**
+ * Returns a single-page PDF document that shows the given JPEG image across
+ * the whole page.
+ *
+ * @param {Uint8Array} jpeg - The JPEG-encoded image.
+ * @param {{width: number, height: number}} imageSize - Size of the image in
+ *  pixels.
+ * @param {{width: number, height: number}} pageSize - Size of the page in
+ *  points.
+ * @returns {Uint8Array} The PDF document.
+ */
+export function buildPDF(jpeg, imageSize, pageSize) {
+  let encoder = new TextEncoder();
+  let chunks = [];
+  let length = 0;
+  let offsets = [];
+  let write = (chunk) => {
+    if (typeof chunk === "string") {
+      chunk = encoder.encode(chunk);
+    }
+    chunks.push(chunk);
+    length += chunk.length;
+  };
+  let writeObject = (...contents) => {
+    offsets.push(length);
+    write(`${offsets.length} 0 obj\n`);
+    contents.forEach(write);
+    write("\nendobj\n");
+  };
+
+  let width = +pageSize.width.toFixed(2);
+  let height = +pageSize.height.toFixed(2);
+  let drawing = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+
+  write("%PDF-1.4\n");
+  writeObject("<< /Type /Catalog /Pages 2 0 R >>");
+  writeObject("<< /Type /Pages /Kids [3 0 R] /Count 1 >>");
+  writeObject(
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      "/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>"
+  );
+  writeObject(
+    `<< /Type /XObject /Subtype /Image /Width ${imageSize.width} ` +
+      `/Height ${imageSize.height} /ColorSpace /DeviceRGB ` +
+      `/BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\n` +
+      "stream\n",
+    jpeg,
+    "\nendstream"
+  );
+  writeObject(`<< /Length ${drawing.length} >>\nstream\n${drawing}\nendstream`);
+
+  let xrefOffset = length;
+  write(`xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n`);
+  for (let offset of offsets) {
+    write(`${String(offset).padStart(10, "0")} 00000 n \n`);
+  }
+  write(
+    `trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R >>\n` +
+      `startxref\n${xrefOffset}\n%%EOF\n`
+  );
+
+  let pdf = new Uint8Array(length);
+  let position = 0;
+  for (let chunk of chunks) {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  }
+  return pdf;
+}
+
+/**
+ * Draws a legend into the given box, cutting it off if it does not fit.
+ *
+ * @param {CanvasRenderingContext2D} ctx - A context that draws in CSS pixels.
+ * @param {object[]} sections - Sections as returned by
+ *  `LegendControl.getPrintSections()`.
+ * @param {object} box - The box to draw the legend in.
+ */
+export function drawLegend(ctx, sections, box) {
+  const lineHeight = 16;
+  const swatchSize = 10;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(box.x, box.y, box.width, box.height);
+  ctx.clip();
+  ctx.textBaseline = "middle";
+
+  let y = box.y;
+  ctx.fillStyle = "black";
+  ctx.font = "bold 16px sans-serif";
+  ctx.fillText("Legend", box.x, y + lineHeight / 2);
+  y += lineHeight * 1.5;
+
+  for (let { name, entries } of sections) {
+    ctx.fillStyle = "black";
+    ctx.font = "bold 12px sans-serif";
+    ctx.fillText(name, box.x, y + lineHeight / 2, box.width);
+    y += lineHeight;
+
+    ctx.font = "11px sans-serif";
+    for (let { description, color } of entries) {
+      if (color) {
+        ctx.fillStyle = color;
+        ctx.fillRect(
+          box.x,
+          y + (lineHeight - swatchSize) / 2,
+          swatchSize,
+          swatchSize
+        );
+      }
+      ctx.fillStyle = "black";
+      ctx.fillText(
+        description,
+        box.x + swatchSize * 1.5,
+        y + lineHeight / 2,
+        box.width - swatchSize * 1.5
+      );
+      y += lineHeight;
+    }
+    y += lineHeight / 2;
+  }
+  ctx.restore();
+}
+
+/**
+ * Draws the attribution in the bottom-right corner of the given box.
+ */
+export function drawAttribution(ctx, attribution, box) {
+  const padding = 3;
+  ctx.save();
+  ctx.font = "10px sans-serif";
+  ctx.textBaseline = "bottom";
+  ctx.textAlign = "right";
+  let width = Math.min(
+    ctx.measureText(attribution).width + 2 * padding,
+    box.width
+  );
+  ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+  ctx.fillRect(box.x + box.width - width, box.y + box.height - 14, width, 14);
+  ctx.fillStyle = "black";
+  ctx.fillText(
+    attribution,
+    box.x + box.width - padding,
+    box.y + box.height - 1,
+    box.width - 2 * padding
+  );
+  ctx.restore();
+}
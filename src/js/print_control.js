@@ -0,0 +1,292 @@
+"use strict";
+
+import { debugOptions } from "../debug_config.js";
+import { renderImagesOnMap } from "./map_builder.js";
+import { MapView } from "./map_view.js";
+import {
+  buildPDF,
+  cssPixelsPerInch,
+  drawAttribution,
+  drawLegend,
+  getPageLayout,
+  getPrintZoom,
+  paperSizes,
+  pointsPerInch,
+} from "./print.js";
+import * as Theme from "./theme.js";
+
+/**
+ * A graphics factory that draws shields and icons at a fixed pixel ratio
+ * instead of the screen's.
+ */
+export class PrintGraphicsFactory {
+  constructor(pixelRatio) {
+    this._pixelRatio = pixelRatio;
+  }
+
+  createGraphics(bounds) {
+    let ctx = document
+      .createElement("canvas")
+      .getContext("2d", { willReadFrequently: true });
+    ctx.imageSmoothingQuality = "high";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    ctx.canvas.width = bounds.width;
+    ctx.canvas.height = bounds.height;
+    return ctx;
+  }
+
+  pixelRatio() {
+    return this._pixelRatio;
+  }
+}
+
+/**
+ * Renders the given map offscreen at a higher resolution.
+ *
+ * @param {MapView} map - The map on screen.
+ * @param {{width: number, height: number}} size - Size of the rendered map in
+ *  CSS pixels.
+ * @param {number} pixelRatio - Number of device pixels per CSS pixel.
+ * @returns {Promise<HTMLCanvasElement>} A canvas containing the rendered map.
+ */
+export async function renderMap(map, size, pixelRatio) {
+  let container = document.createElement("div");
+  Object.assign(container.style, {
+    position: "absolute",
+    left: "-100000px",
+    width: `${size.width}px`,
+    height: `${size.height}px`,
+  });
+  document.body.append(container);
+
+  let viewSize = {
+    width: map.getContainer().clientWidth,
+    height: map.getContainer().clientHeight,
+  };
+  let printMap = new MapView({
+    container,
+    style: map.getStyle(),
+    center: map.getCenter(),
+    zoom: getPrintZoom(map.getZoom(), viewSize, size),
+    bearing: map.getBearing(),
+    pitch: map.getPitch(),
+    pixelRatio,
+    maxCanvasSize: [16384, 16384],
+    interactive: false,
+    attributionControl: false,
+    fadeDuration: 0,
+    canvasContextAttributes: { antialias: true, preserveDrawingBuffer: true },
+  });
+
+  try {
+    // Draw shields at the printout's resolution, in the colors of the theme.
+    let shieldRenderer = renderImagesOnMap(
+      printMap,
+      debugOptions,
+      new PrintGraphicsFactory(pixelRatio)
+    );
+    printMap.shieldRenderer = shieldRenderer;
+    shieldRenderer.onShieldDefLoad((shields) => {
+      Theme.applyShieldPalette(shields, Theme.getPalette(map.theme));
+      shieldRenderer.reloadShields();
+    });
+    printMap.once("styledata", () => {
+      for (let [key, value] of Object.entries(map.getGlobalState())) {
+        printMap.setGlobalStateProperty(key, value);
+      }
+    });
+
+    await printMap.once("idle");
+    let canvas = document.createElement("canvas");
+    canvas.width = printMap.getCanvas().width;
+    canvas.height = printMap.getCanvas().height;
+    canvas.getContext("2d").drawImage(printMap.getCanvas(), 0, 0);
+    return canvas;
+  } finally {
+    printMap.remove();
+    container.remove();
+  }
+}
+
+/**
+ * Renders a printout of the given map.
+ *
+ * @param {MapView} map - The map on screen.
+ * @param {object} options
+ * @param {string} options.paperSize - Key of the paper size in `paperSizes`,
+ *  or nothing to print the map at the size it appears on screen.
+ * @param {string} options.orientation - "portrait" or "landscape".
+ * @param {number} options.dpi - Resolution in dots per inch.
+ * @param {object[]} options.legend - Legend sections as returned by
+ *  `LegendControl.getPrintSections()`, or nothing to omit the legend.
+ * @param {string} options.attribution - Text crediting the map data.
+ * @returns {Promise<{canvas: HTMLCanvasElement, layout: object}>} A canvas
+ *  containing the page and the layout of the page in CSS pixels.
+ */
+export async function renderPage(
+  map,
+  { paperSize, orientation, dpi, legend, attribution }
+) {
+  let viewSize = {
+    width: map.getContainer().clientWidth,
+    height: map.getContainer().clientHeight,
+  };
+  let layout = getPageLayout({
+    paperSize,
+    orientation,
+    viewSize,
+    legend: !!legend,
+  });
+  let pixelRatio = dpi / cssPixelsPerInch;
+  let mapCanvas = await renderMap(map, layout.map, pixelRatio);
+
+  let canvas = document.createElement("canvas");
+  canvas.width = Math.round(layout.page.width * pixelRatio);
+  canvas.height = Math.round(layout.page.height * pixelRatio);
+  let ctx = canvas.getContext("2d");
+  ctx.scale(pixelRatio, pixelRatio);
+  ctx.fillStyle = "white";
+  ctx.fillRect(0, 0, layout.page.width, layout.page.height);
+  ctx.drawImage(
+    mapCanvas,
+    layout.map.x,
+    layout.map.y,
+    layout.map.width,
+    layout.map.height
+  );
+  if (attribution) {
+    drawAttribution(ctx, attribution, layout.map);
+  }
+  if (legend) {
+    drawLegend(ctx, legend, layout.legend);
+  }
+  return { canvas, layout };
+}
+
+/**
+ * Returns a printout as a file of the given type.
+ *
+ * @param {HTMLCanvasElement} canvas - The printout.
+ * @param {object} layout - Layout of the printout, as returned by
+ *  `getPageLayout()`.
+ * @param {string} format - "png" or "pdf".
+ * @returns {Promise<Blob>} The file.
+ */
+export async function exportPage(canvas, layout, format) {
+  if (format === "pdf") {
+    let jpeg = await new Promise((resolve) =>
+      canvas.toBlob(resolve, "image/jpeg", 0.92)
+    );
+    let pageSize = {
+      width: (layout.page.width * pointsPerInch) / cssPixelsPerInch,
+      height: (layout.page.height * pointsPerInch) / cssPixelsPerInch,
+    };
+    let pdf = buildPDF(
+      new Uint8Array(await jpeg.arrayBuffer()),
+      canvas,
+      pageSize
+    );
+    return new Blob([pdf], { type: "application/pdf" });
+  }
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+}
+
+/**
+ * A button that opens a dialog for saving the map as an image or document
+ * suitable for printing.
+ */
+export class PrintControl {
+  /**
+   * @param legendControl The legend whose entries are printed beside the map.
+   */
+  constructor(legendControl) {
+    this._legendControl = legendControl;
+  }
+
+  _onSubmit = async (event) => {
+    event.preventDefault();
+    let form = this._form;
+    let options = {
+      paperSize: form.elements.paperSize.value || undefined,
+      orientation: form.elements.orientation.value,
+      dpi: parseInt(form.elements.dpi.value, 10),
+      legend: form.elements.legend.checked
+        ? this._legendControl.getPrintSections()
+        : undefined,
+      attribution: this._map
+        .getContainer()
+        .querySelector(".maplibregl-ctrl-attrib-inner")?.textContent,
+    };
+    let format = form.elements.format.value;
+
+    let status = this._dialog.querySelector(".print-status");
+    let submit = form.querySelector("button[type='submit']");
+    status.textContent = "Rendering…";
+    submit.disabled = true;
+    try {
+      let { canvas, layout } = await renderPage(this._map, options);
+      let blob = await exportPage(canvas, layout, format);
+      let link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `americana.${format}`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      status.textContent = "";
+      this._dialog.close();
+    } catch (e) {
+      console.error("Printing failed:", e);
+      status.textContent = "The map could not be rendered at this size.";
+    } finally {
+      submit.disabled = false;
+    }
+  };
+
+  _onPaperSizeChange = () => {
+    this._form.elements.orientation.disabled =
+      !this._form.elements.paperSize.value;
+  };
+
+  onAdd(map) {
+    this._map = map;
+
+    this._dialog = document.getElementById("print-dialog");
+    this._form = this._dialog.querySelector("form");
+    let paperSizeSelect = this._form.elements.paperSize;
+    for (let [key, { name }] of Object.entries(paperSizes)) {
+      paperSizeSelect.add(new Option(name, key));
+    }
+    paperSizeSelect.addEventListener("change", this._onPaperSizeChange);
+    this._form.addEventListener("submit", this._onSubmit);
+    this._dialog
+      .querySelector(".print-cancel")
+      .addEventListener("click", () => this._dialog.close());
+    this._onPaperSizeChange();
+
+    this._container = document.createElement("div");
+    this._container.className = "maplibregl-ctrl maplibregl-ctrl-group";
+
+    let button = document.createElement("button");
+    button.className = "maplibregl-ctrl-print";
+    button.title = "Print or export the map";
+    button.addEventListener("click", () => this._dialog.showModal());
+    this._container.append(button);
+
+    const span = document.createElement("span");
+    span.className = "maplibregl-ctrl-icon";
+    span.setAttribute("aria-hidden", "true");
+    button.append(span);
+
+    return this._container;
+  }
+
+  onRemove() {
+    this._form.elements.paperSize.removeEventListener(
+      "change",
+      this._onPaperSizeChange
+    );
+    this._form.removeEventListener("submit", this._onSubmit);
+    this._container.remove();
+    this._map = undefined;
+  }
+}
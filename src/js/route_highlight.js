@@ -0,0 +1,67 @@
+"use strict";
+
+import { destinationRefNetworks } from "../layer/highway_exit.js";
+
+/**
+ * Returns the route in the given `route` hash parameter, which joins the
+ * route's network and ref with a slash, as in `US:US/50`.
+ *
+ * @param {string} value - Value of the `route` hash parameter.
+ * @returns {{network: string, ref: string} | undefined} The route, or nothing
+ *  if the value does not name a route.
+ */
+export function parseRouteParameter(value) {
+  let slash = value?.indexOf("/") ?? -1;
+  if (slash < 1 || slash === value.length - 1) {
+    return;
+  }
+  return {
+    network: value.substring(0, slash),
+    ref: value.substring(slash + 1),
+  };
+}
+
+/**
+ * Returns the value of the `route` hash parameter that names the given route.
+ */
+export function formatRouteParameter(route) {
+  return `${route.network}/${route.ref}`;
+}
+
+/**
+ * Returns the route that a search query names, either in the format of the
+ * `route` hash parameter or as it would appear on a sign, as in "US 50" or
+ * "I-95".
+ *
+ * @param {string} query - The search query.
+ * @returns {{network: string, ref: string} | undefined} The route, or nothing
+ *  if the query does not name a route.
+ */
+export function parseRouteQuery(query) {
+  let trimmed = query.trim();
+  let match = trimmed.match(/^([A-Za-z]+)[ -](\w+)$/);
+  let network = match && destinationRefNetworks[match[1].toUpperCase()];
+  if (network) {
+    return { network, ref: match[2].toUpperCase() };
+  }
+  if (trimmed.includes(":")) {
+    return parseRouteParameter(trimmed);
+  }
+}
+
+/**
+ * Highlights the given route by writing it to the URL hash.
+ *
+ * @param {{network: string, ref: string} | undefined} route - The route to
+ *  highlight, or nothing to stop highlighting.
+ */
+export function setHighlightedRoute(route) {
+  let hash = window.location.hash.substr(1); // omit #
+  let searchParams = new URLSearchParams(hash);
+  if (route) {
+    searchParams.set("route", formatRouteParameter(route));
+  } else {
+    searchParams.delete("route");
+  }
+  window.location.hash = `#${searchParams}`;
+}
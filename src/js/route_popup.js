@@ -0,0 +1,191 @@
+"use strict";
+
+import { getDOMPixelRatio } from "@americana/maplibre-shield-generator";
+
+import * as HighwayShieldLayers from "../layer/highway_shield.js";
+import { setHighlightedRoute } from "./route_highlight.js";
+
+import * as maplibregl from "maplibre-gl";
+
+const maxPopupWidth = 25; /* em */
+const PXR = getDOMPixelRatio();
+
+/**
+ * Returns the routes whose shields are rendered on the given shield symbols,
+ * in the order they appear on the map, without duplicates.
+ *
+ * @param features Features from the highway shield layer.
+ * @returns An array of objects in the format returned by `parseImageName`.
+ */
+export function getConcurrentRoutes(features) {
+  let routesByImageName = new Map();
+  for (let feature of features) {
+    for (let section of feature.layer.layout["text-field"].sections) {
+      let imageName = section.image?.name;
+      if (!imageName) continue;
+      for (let route of HighwayShieldLayers.parseImageNames(imageName)) {
+        if (!routesByImageName.has(route.imageName)) {
+          routesByImageName.set(route.imageName, route);
+        }
+      }
+    }
+  }
+  return [...routesByImageName.values()];
+}
+
+/**
+ * A popup that lists the concurrent routes at a route shield when the user
+ * clicks on it. Clicking a route in the list highlights it.
+ */
+export class RoutePopup {
+  /**
+   * @param shieldRenderer The renderer that draws shields on the map.
+   * @param legendControl The legend, which supplies network metadata.
+   */
+  constructor(shieldRenderer, legendControl) {
+    this._shieldRenderer = shieldRenderer;
+    this._legendControl = legendControl;
+  }
+
+  _onClick = (event) => {
+    let routes = getConcurrentRoutes(event.features);
+    if (!routes.length) return;
+    this.open(event.lngLat, routes);
+  };
+
+  _onMouseEnter = () => {
+    this._map.getCanvas().style.cursor = "pointer";
+  };
+
+  _onMouseLeave = () => {
+    this._map.getCanvas().style.cursor = "";
+  };
+
+  _onLanguageChange = () => this.close();
+
+  /**
+   * Starts listening for clicks on route shields on the given map.
+   */
+  addTo(map) {
+    this._map = map;
+    this._popup = new maplibregl.Popup({
+      closeOnMove: true,
+      maxWidth: `${maxPopupWidth}em`,
+    });
+
+    let layerID = HighwayShieldLayers.shield.id;
+    map.on("click", layerID, this._onClick);
+    map.on("mouseenter", layerID, this._onMouseEnter);
+    map.on("mouseleave", layerID, this._onMouseLeave);
+    map.on("americana.languagechange", this._onLanguageChange);
+    return this;
+  }
+
+  /**
+   * Stops listening for clicks on route shields.
+   */
+  remove() {
+    this.close();
+    let layerID = HighwayShieldLayers.shield.id;
+    this._map.off("click", layerID, this._onClick);
+    this._map.off("mouseenter", layerID, this._onMouseEnter);
+    this._map.off("mouseleave", layerID, this._onMouseLeave);
+    this._map.off("americana.languagechange", this._onLanguageChange);
+    this._map = undefined;
+  }
+
+  /**
+   * Opens the popup at the given location, listing the given routes.
+   *
+   * @param lngLat The location of the clicked shield.
+   * @param routes An array of objects in the format returned by `parseImageName`.
+   */
+  open(lngLat, routes) {
+    let template = document
+      .getElementById("route-popup")
+      .content.cloneNode(true);
+    let rows = routes.map((r) => this.getRouteRow(r));
+    template.querySelector(".route-popup-row-container").append(...rows);
+
+    this._popup.setDOMContent(template).setLngLat(lngLat).addTo(this._map);
+
+    this.completeNetworkLabels(rows);
+  }
+
+  /**
+   * Closes the popup.
+   */
+  close() {
+    this._popup?.remove();
+  }
+
+  /**
+   * Returns a table row describing the given route.
+   */
+  getRouteRow(route) {
+    let template = document
+      .getElementById("route-popup-row")
+      .content.cloneNode(true);
+    let row = template.querySelector("tr");
+    row.dataset.network = route.network;
+    row.title = "Highlight this route";
+    row.addEventListener("click", () => {
+      let highlighted = this._map.highlightedRoute;
+      let isHighlighted =
+        highlighted?.network === route.network &&
+        highlighted?.ref === route.ref;
+      setHighlightedRoute(isHighlighted ? undefined : route);
+      this.close();
+    });
+
+    let img = this.getShieldImage(route);
+    if (img) {
+      row.querySelector(".icon").appendChild(img);
+    }
+
+    let code = document.createElement("code");
+    code.textContent = route.network;
+    row.querySelector(".description").appendChild(code);
+
+    let nameCell = row.querySelector(".route-name");
+    if (route.name) {
+      nameCell.textContent = route.name;
+    } else {
+      nameCell.remove();
+    }
+
+    return row;
+  }
+
+  /**
+   * Returns an HTML image element depicting the route's shield.
+   *
+   * @returns An HTML image element, or nothing if the network has no shield.
+   */
+  getShieldImage(route) {
+    let ctx = this._shieldRenderer.getGraphicForRoute(
+      route.network,
+      route.ref,
+      route.name
+    );
+    if (!ctx) return;
+
+    let img = new Image(ctx.canvas.width / PXR, ctx.canvas.height / PXR);
+    img.src = ctx.canvas.toDataURL("image/png");
+    img.className = "shield";
+    return img;
+  }
+
+  /**
+   * Replaces the raw `network=*` values in the given rows with descriptions
+   * from Wikidata.
+   */
+  async completeNetworkLabels(rows) {
+    for (let row of rows) {
+      let binding = await this._legendControl.getNetworkBinding(
+        row.dataset.network
+      );
+      this._legendControl.prettifyNetworkLabel(row, binding);
+    }
+  }
+}
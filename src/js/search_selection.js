@@ -0,0 +1,83 @@
+/**
+ * Returns the search result in the given `marker` hash parameter, which joins
+ * the result's latitude, longitude and name with slashes, like the `map`
+ * parameter, as in `38.8977/-77.0365/White House`. A result that is not a
+ * point, such as a road or an area, also has its west, south, east and north
+ * bounds, separated by commas, before the name.
+ *
+ * @param {string} value - Value of the `marker` hash parameter.
+ * @returns {{center: number[], bbox?: number[], name: string} | undefined}
+ *  The result's longitude and latitude, its bounds if any, and its name, or
+ *  nothing if the value does not specify a location.
+ */
+export function parseSelectionParameter(value) {
+  let [lat, lon, ...name] = value?.split("/") ?? [];
+  let center = [parseFloat(lon), parseFloat(lat)];
+  if (center.some(isNaN)) {
+    return;
+  }
+  let selection = { center };
+  let bbox = name[0]?.split(",").map(parseFloat);
+  if (bbox?.length === 4 && !bbox.some(isNaN)) {
+    selection.bbox = bbox;
+    name.shift();
+  }
+  selection.name = name.join("/");
+  return selection;
+}
+
+/**
+ * Returns the value of the `marker` hash parameter that specifies the given
+ * search result.
+ */
+export function formatSelectionParameter(selection) {
+  let round = (c) => Math.round(c * 1e6) / 1e6;
+  let [lon, lat] = selection.center.map(round);
+  let bbox = selection.bbox ? [selection.bbox.map(round).join(",")] : [];
+  return [lat, lon, ...bbox, selection.name ?? ""].join("/");
+}
+
+/**
+ * Returns a GeoJSON feature collection that outlines the bounds of the given
+ * search result, which is empty if the result is a point.
+ */
+export function getSelectionFeatures(selection) {
+  let features = [];
+  if (selection?.bbox) {
+    let [west, south, east, north] = selection.bbox;
+    features.push({
+      type: "Feature",
+      properties: {},
+      geometry: {
+        type: "Polygon",
+        coordinates: [
+          [
+            [west, south],
+            [east, south],
+            [east, north],
+            [west, north],
+            [west, south],
+          ],
+        ],
+      },
+    });
+  }
+  return { type: "FeatureCollection", features };
+}
+
+/**
+ * Marks the given search result by writing it to the URL hash.
+ *
+ * @param {{center: number[], bbox?: number[], name: string} | undefined}
+ *  selection - The search result to mark, or nothing to clear the marker.
+ */
+export function setSearchSelection(selection) {
+  let hash = window.location.hash.substr(1); // omit #
+  let searchParams = new URLSearchParams(hash);
+  if (selection) {
+    searchParams.set("marker", formatSelectionParameter(selection));
+  } else {
+    searchParams.delete("marker");
+  }
+  window.location.hash = `#${searchParams}`;
+}
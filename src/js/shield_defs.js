@@ -1,6 +1,9 @@
 "use strict";
 
 import * as Color from "../constants/color.js";
+import * as CyclingLayers from "../layer/cycling.js";
+import * as HikingLayers from "../layer/hiking.js";
+import * as TransitLayers from "../layer/transit.js";
 import {
   textConstraint,
   homePlateDownShield,
@@ -97,6 +100,48 @@ export function loadShields() {
     textHaloColor: Color.backgroundFill,
   };
 
+  // Recreational bicycle routes, keyed by the scope of the route's network
+  for (let scope of CyclingLayers.scopes) {
+    let color = Color.cycleRoute[scope];
+    shields[`${CyclingLayers.networkPrefix}${scope}`] = {
+      ...roundedRectShield(Color.shields.white, color, color),
+      noref: {
+        spriteBlank: "shield_bicycle",
+        colorLighten: color,
+      },
+    };
+  }
+
+  // Recreational hiking routes, keyed by the scope of the route's network and
+  // drawn as waymarks where the route has an osmc:symbol=* value
+  for (let scope of HikingLayers.scopes) {
+    let color = Color.hikingRoute[scope];
+    shields[`${HikingLayers.networkPrefix}${scope}`] = {
+      ...roundedRectShield(Color.shields.white, color, color),
+      waymark: true,
+      noref: {
+        spriteBlank: "shield_hiker",
+        colorLighten: color,
+      },
+    };
+  }
+
+  // Transit line bullets, filled with the color of each line
+  shields[`${TransitLayers.networkPrefix}circle`] = {
+    ...circleShield(Color.transitLine, Color.transitLine, Color.shields.white),
+    colorFromRoute: true,
+  };
+  shields[`${TransitLayers.networkPrefix}square`] = {
+    ...roundedRectShield(
+      Color.transitLine,
+      Color.transitLine,
+      Color.shields.white,
+      undefined,
+      1
+    ),
+    colorFromRoute: true,
+  };
+
   let escutcheonCrossbarShield = {
     spriteBlank: [
       "shield_escutcheon_crossbar_2",
@@ -2425,6 +2470,8 @@ export function loadShields() {
   };
   shields["US:OH:ODNR"] = {
     ...shields["US:OH"],
+    // The bannered Ohio networks are variants of US:OH, not of this network.
+    bannerMap: undefined,
     banners: ["NR"],
     textColor: Color.shields.brown,
     colorLighten: Color.shields.brown,
@@ -4676,6 +4723,7 @@ export function loadShields() {
       shieldFont:
         '"Noto Sans Condensed", "Noto Sans Armenian Condensed", sans-serif-condensed, "Arial Narrow", sans-serif',
       shieldSize: 20,
+      stackSpacing: 2,
     },
   };
 }
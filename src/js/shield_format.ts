@@ -3,7 +3,10 @@ import type {
   RouteParser,
 } from "@americana/maplibre-shield-generator";
 
-import { parseImageName } from "../layer/highway_shield.js";
+import {
+  parseImageName,
+  parseStackImageName,
+} from "../layer/highway_shield.js";
 
 export const shieldPredicate: StringPredicate = (imageID: string) =>
   imageID && imageID.startsWith("shield");
@@ -20,4 +23,5 @@ export const routeParser: RouteParser = {
   },
   format: (network: string, ref: string, name: string) =>
     `shield\n${network}\n${ref}\n${name}\n`,
+  parseStack: (id: string) => parseStackImageName(id),
 };
@@ -1,36 +1,74 @@
-import type { StyleSpecification } from "@maplibre/maplibre-gl-style-spec";
+import type {
+  StyleSpecification,
+  VectorSourceSpecification,
+} from "@maplibre/maplibre-gl-style-spec";
 import { getGlobalStateForLocalization } from "@americana/diplomat";
 import * as Layers from "../layer/index.js";
+import * as TileSchema from "../schema/index.js";
+import * as Color from "../constants/color.js";
+import * as Theme from "./theme.js";
 
-// Generate style.json
+/**
+ * Returns a vector tile source for the given URL, which may be a TileJSON URL,
+ * a tile URL template containing {z}, {x} and {y}, or the URL of a PMTiles
+ * archive, with or without the pmtiles:// protocol.
+ */
+export function vectorSource(tileURL: string): VectorSourceSpecification {
+  if (tileURL.includes("{z}")) {
+    return {
+      tiles: [tileURL],
+      type: "vector",
+    };
+  }
+  if (
+    !tileURL.startsWith("pmtiles://") &&
+    new URL(tileURL, "file:").pathname.endsWith(".pmtiles")
+  ) {
+    tileURL = `pmtiles://${tileURL}`;
+  }
+  return {
+    url: tileURL,
+    type: "vector",
+  };
+}
+
+/** Terrarium-encoded elevation tiles for hillshading, tinting and contours */
+export const demTileURL =
+  "https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png";
+// The actual maxzoom is 15
+export const demMaxZoom = 13;
+
+/**
+ * Generates style.json.
+ *
+ * @param controlCitiesURL URL of the GeoJSON file of control cities built by
+ *   `npm run control_cities`.
+ */
 export function build(
   tileURL: string,
   spriteURL: string,
   glyphURL: string,
-  locales: string[]
+  locales: string[],
+  schema = TileSchema.openMapTiles,
+  palette: object = Color,
+  controlCitiesURL?: string
 ): StyleSpecification {
   let today = new Date();
   let fool = today.getMonth() === 3 && today.getDate() === 1;
   return {
     name: "Americana",
     glyphs: glyphURL,
-    layers: Layers.build(locales),
+    layers: Theme.applyPalette(Layers.build(locales, schema), palette),
     sources: {
-      openmaptiles: {
-        url: tileURL,
-        type: "vector",
-      },
+      openmaptiles: vectorSource(tileURL),
       dem: {
         attribution:
           '<a target="_blank" rel="noopener" href="https://registry.opendata.aws/terrain-tiles/">Terrain Tiles</a>',
         type: "raster-dem",
-        tiles: [
-          "https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png",
-        ],
+        tiles: [demTileURL],
         encoding: "terrarium",
         tileSize: 256,
-        // The actual maxzoom is 15
-        maxzoom: 13,
+        maxzoom: demMaxZoom,
       },
       controlcities: {
         type: "geojson",
@@ -78,7 +116,7 @@ export function build(
                 },
               ],
             }
-          : {},
+          : controlCitiesURL ?? {},
       },
     },
     sprite: spriteURL,
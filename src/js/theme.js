@@ -0,0 +1,171 @@
+"use strict";
+
+import rgba from "color-rgba";
+
+import * as Color from "../constants/color.js";
+
+/*
+  Themes
+
+  Layers are styled with the light palette in constants/color.js. A theme
+  palette has the same keys, and applying it to the layers replaces each light
+  color with the palette's color under the same key. Colors that layers spell
+  out instead of taking from the light palette are passed through the palette's
+  deriveColor function, if any.
+*/
+
+function toHSL([r, g, b]) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  let max = Math.max(r, g, b);
+  let min = Math.min(r, g, b);
+  let l = (max + min) / 2;
+  let d = max - min;
+  if (d === 0) {
+    return [0, 0, l];
+  }
+  let s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === r) {
+    h = ((g - b) / d) % 6;
+  } else if (max === g) {
+    h = (b - r) / d + 2;
+  } else {
+    h = (r - g) / d + 4;
+  }
+  return [(h * 60 + 360) % 360, s, l];
+}
+
+const round = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Returns the night counterpart of a light theme color.
+ *
+ * Lightness is inverted into a narrower range, so that light fills become dark
+ * and dark lines and labels become light, while the lightness differences that
+ * set major roads apart from minor roads and the background are preserved.
+ * Saturation is muted to reduce glare.
+ *
+ * @param {string} color - Any CSS color.
+ * @returns {string} An `hsla()` color, or the input if it is not a color.
+ */
+export function darkColor(color) {
+  let parsed = rgba(color);
+  if (!parsed?.length) {
+    return color;
+  }
+  let [h, s, l] = toHSL(parsed);
+  let alpha = parsed[3];
+  return `hsla(${round(h)}, ${round(s * 75)}%, ${round(
+    90 - l * 80
+  )}%, ${alpha})`;
+}
+
+/**
+ * Returns a palette with every color in the given palette transformed.
+ */
+export function derivePalette(palette, deriveColor) {
+  return Object.fromEntries(
+    Object.entries(palette).map(([key, value]) => {
+      if (typeof value === "string") {
+        return [key, deriveColor(value)];
+      }
+      if (typeof value === "object") {
+        return [key, derivePalette(value, deriveColor)];
+      }
+      return [key, value];
+    })
+  );
+}
+
+export const dark = {
+  ...derivePalette(Color, darkColor),
+  // Inverting the hillshading would turn the terrain inside out.
+  hillshadeShadow: "hsla(30, 14%, 4%, 1)",
+  hillshadeHighlight: "hsla(30, 14%, 30%, 1)",
+  deriveColor: darkColor,
+};
+
+export const palettes = {
+  light: Color,
+  dark,
+};
+
+/**
+ * Returns the palette of the theme with the given name, defaulting to light.
+ */
+export function getPalette(name) {
+  return palettes[name] ?? palettes.light;
+}
+
+function addColorReplacements(replacements, light, palette) {
+  for (let [key, value] of Object.entries(light)) {
+    if (typeof value === "string") {
+      if (!replacements.has(value)) {
+        replacements.set(value, palette[key]);
+      }
+    } else if (typeof value === "object") {
+      addColorReplacements(replacements, value, palette[key]);
+    }
+  }
+  return replacements;
+}
+
+function isColor(value) {
+  return (
+    /^(#|rgba?\(|hsla?\()/.test(value) || ["white", "black"].includes(value)
+  );
+}
+
+function applyPaletteToValue(value, replacements, palette) {
+  if (Array.isArray(value)) {
+    return value.map((v) => applyPaletteToValue(v, replacements, palette));
+  }
+  if (typeof value !== "string") {
+    return value;
+  }
+  if (replacements.has(value)) {
+    return replacements.get(value);
+  }
+  if (palette.deriveColor && isColor(value)) {
+    return palette.deriveColor(value);
+  }
+  return value;
+}
+
+/**
+ * Restyles layers that use the light palette with the given palette.
+ */
+export function applyPalette(layers, palette) {
+  if (palette === Color) {
+    return layers;
+  }
+  let replacements = addColorReplacements(new Map(), Color, palette);
+  return layers.map((layer) => {
+    if (!layer.paint) {
+      return layer;
+    }
+    let paint = Object.fromEntries(
+      Object.entries(layer.paint).map(([property, value]) => [
+        property,
+        property.endsWith("-color")
+          ? applyPaletteToValue(value, replacements, palette)
+          : value,
+      ])
+    );
+    return { ...layer, paint };
+  });
+}
+
+/**
+ * Updates the shield definitions of generic text-only shields, which are drawn
+ * directly on the map background, to match the given palette.
+ */
+export function applyShieldPalette(shields, palette) {
+  shields["default"] = {
+    ...shields["default"],
+    textColor: palette.shields.black,
+    textHaloColor: palette.backgroundFill,
+  };
+}
@@ -0,0 +1,69 @@
+function setTheme(theme) {
+  let hash = window.location.hash.substr(1); // omit #
+  let searchParams = new URLSearchParams(hash);
+  if (theme === "light") {
+    searchParams.delete("theme");
+  } else {
+    searchParams.set("theme", theme);
+  }
+  window.location.hash = `#${searchParams}`;
+}
+
+export class ThemeControl {
+  /**
+   * @param {object} options
+   * @param {boolean} options.hash - Whether to record the theme in the URL
+   *  hash rather than applying it directly.
+   */
+  constructor({ hash = true } = {}) {
+    this._hash = hash;
+  }
+
+  _updateButton() {
+    if (this._map.theme === "dark") {
+      this._button.classList.add("maplibregl-ctrl-theme-dark");
+      this._button.title = "Switch to day theme";
+    } else {
+      this._button.classList.remove("maplibregl-ctrl-theme-dark");
+      this._button.title = "Switch to night theme";
+    }
+  }
+
+  _onThemeChange = () => this._updateButton();
+
+  _onClick = () => {
+    let theme = this._map.theme === "dark" ? "light" : "dark";
+    if (this._hash) {
+      setTheme(theme);
+    } else {
+      this._map.theme = theme;
+    }
+  };
+
+  onAdd(map) {
+    this._map = map;
+
+    this._container = document.createElement("div");
+    this._container.className = "maplibregl-ctrl maplibregl-ctrl-group";
+
+    this._button = document.createElement("button");
+    this._button.className = "maplibregl-ctrl-theme";
+    this._map.on("americana.theme", this._onThemeChange);
+    this._button.addEventListener("click", this._onClick);
+    this._container.append(this._button);
+
+    const span = document.createElement("span");
+    span.className = "maplibregl-ctrl-icon";
+    span.setAttribute("aria-hidden", "true");
+    this._button.append(span);
+
+    this._updateButton();
+    return this._container;
+  }
+
+  onRemove() {
+    this._container.remove();
+    this._map.off("americana.theme", this._onThemeChange);
+    this._map = undefined;
+  }
+}
@@ -68,3 +68,46 @@ export function mapRampExpression(expression, callback) {
   }
   return copy;
 }
+
+//Join the values that are neither undefined nor empty
+export function collapseArray(arr, delimiter) {
+  return arr
+    .filter(function (x) {
+      return x !== undefined && x != "";
+    })
+    .join(delimiter);
+}
+
+/**
+ * Returns the bounding box of the given features.
+ *
+ * @param {object[]} features - GeoJSON features.
+ * @returns {number[][] | undefined} The southwest and northeast corners, or
+ *  nothing if there are no features.
+ */
+export function getFeatureBounds(features) {
+  let west = Infinity;
+  let south = Infinity;
+  let east = -Infinity;
+  let north = -Infinity;
+  let extend = (coordinates) => {
+    if (typeof coordinates[0] === "number") {
+      west = Math.min(west, coordinates[0]);
+      south = Math.min(south, coordinates[1]);
+      east = Math.max(east, coordinates[0]);
+      north = Math.max(north, coordinates[1]);
+    } else {
+      coordinates.forEach(extend);
+    }
+  };
+  for (let feature of features) {
+    extend(feature.geometry.coordinates);
+  }
+  if (west > east) {
+    return;
+  }
+  return [
+    [west, south],
+    [east, north],
+  ];
+}
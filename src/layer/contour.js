@@ -0,0 +1,91 @@
+"use strict";
+
+import * as Color from "../constants/color.js";
+import { getEleUnits } from "./peak.js";
+
+/*
+  Contour lines are generated in the browser from the "dem" source, once in
+  meters and once in feet. Each set of lines has its own source, and the map
+  shows one set at a time, depending on whether the area in view uses
+  customary units.
+
+  Every fifth line is an index contour, which is drawn heavier and labeled.
+*/
+
+/**
+ * Returns the contour line layers and the index contour label layer for one
+ * set of contour lines.
+ *
+ * @param {string} source - ID of the contour source.
+ * @param {boolean} customary - Whether the contours are spaced in feet.
+ */
+export function contourLayers(source, customary) {
+  const suffix = customary ? "ft" : "m";
+  const isIndex = ["==", ["get", "level"], 1];
+  const common = {
+    source,
+    "source-layer": "contours",
+    minzoom: 11,
+    layout: {
+      visibility: "none",
+    },
+  };
+
+  const line = {
+    ...common,
+    id: `contour_line_${suffix}`,
+    type: "line",
+    filter: ["!", isIndex],
+    layout: {
+      ...common.layout,
+      "line-join": "round",
+    },
+    paint: {
+      "line-color": Color.contourLine,
+      "line-width": ["interpolate", ["linear"], ["zoom"], 11, 0.5, 16, 1],
+    },
+  };
+
+  const indexLine = {
+    ...common,
+    id: `contour_line_index_${suffix}`,
+    type: "line",
+    filter: isIndex,
+    layout: {
+      ...common.layout,
+      "line-join": "round",
+    },
+    paint: {
+      "line-color": Color.contourIndexLine,
+      "line-width": ["interpolate", ["linear"], ["zoom"], 11, 1, 16, 1.5],
+    },
+  };
+
+  const label = {
+    ...common,
+    id: `contour_label_${suffix}`,
+    type: "symbol",
+    filter: isIndex,
+    layout: {
+      ...common.layout,
+      "symbol-placement": "line",
+      "text-field": [
+        "let",
+        "eleUnits",
+        getEleUnits(undefined, customary),
+        ["var", "eleUnits"],
+      ],
+      "text-font": ["Americana-Regular"],
+      "text-size": 10,
+      "text-max-angle": 25,
+      "text-padding": 10,
+    },
+    paint: {
+      "text-color": Color.contourLabel,
+      "text-halo-color": Color.backgroundFill,
+      "text-halo-width": 1.5,
+    },
+  };
+
+  return [line, indexLine, label];
+}
@@ -0,0 +1,73 @@
+"use strict";
+
+import * as Color from "../constants/color.js";
+import { recreationalRouteLayers } from "./recreational_route.js";
+
+/*
+  Cycling overlay
+
+  Cycleways and bicycle route relations are hidden unless the user turns on
+  the cycling overlay.
+*/
+
+/**
+ * Prefix that distinguishes the pseudo-networks of cycling route markers from
+ * road networks.
+ */
+export const networkPrefix = "cycle:";
+
+/**
+ * Values of network=* on bicycle route relations, from the broadest scope to
+ * the narrowest.
+ */
+export const scopes = ["icn", "ncn", "rcn", "lcn"];
+
+const routes = recreationalRouteLayers({
+  idPrefix: "cycling",
+  networkPrefix,
+  scopes,
+  colors: Color.cycleRoute,
+  description: "bicycle route",
+  markerMinzoom: 10,
+});
+
+export const cycleway = {
+  id: "cycling_cycleway",
+  type: "line",
+  minzoom: 12,
+  filter: [
+    "all",
+    ["==", ["get", "class"], "path"],
+    [
+      "any",
+      ["==", ["get", "subclass"], "cycleway"],
+      ["==", ["get", "bicycle"], "designated"],
+    ],
+  ],
+  layout: {
+    visibility: "none",
+    "line-cap": "round",
+  },
+  paint: {
+    "line-color": Color.cycleway,
+    "line-width": ["interpolate", ["exponential", 1.2], ["zoom"], 12, 1, 18, 3],
+    "line-dasharray": [3, 1.5],
+  },
+  source: "openmaptiles",
+  "source-layer": "transportation",
+};
+
+export const route = routes.route;
+
+export const routeMarker = routes.routeMarker;
+
+/** Layers that the cycling overlay toggles, from bottom to top */
+export const layers = [cycleway, route, routeMarker];
+
+export const legendEntries = [
+  {
+    description: "Cycleway",
+    layers: [cycleway.id],
+  },
+  ...routes.legendEntries,
+];
@@ -2,28 +2,245 @@
 
 import { listValuesExpression } from "@americana/diplomat";
 
+const junctionFilter = ["==", ["get", "subclass"], "junction"];
+
+// OpenMapTiles omits these tags, so the destination labels only appear with
+// tilesets that copy them onto junction features.
+const signedJunctionFilter = [
+  "all",
+  junctionFilter,
+  [
+    "any",
+    ["has", "destination"],
+    ["has", "destination:ref"],
+    ["has", "exit_to"],
+  ],
+];
+
+/**
+ * Networks of the routes that a `destination:ref` prefix identifies
+ * unambiguously. Other prefixes, such as "SR", depend on the state, so those
+ * routes are spelled out instead of shown as shields.
+ */
+export const destinationRefNetworks = {
+  I: "US:I",
+  US: "US:US",
+};
+
+/**
+ * Returns an expression that evaluates to the value at the given position in
+ * a semicolon-delimited list, or an empty string if the list is shorter.
+ */
+function listValueAt(list, index) {
+  let separatorIndex = ["index-of", ";", list];
+  if (index > 0) {
+    let rest = [
+      "case",
+      [">=", separatorIndex, 0],
+      ["slice", list, ["+", separatorIndex, 1]],
+      "",
+    ];
+    return listValueAt(rest, index - 1);
+  }
+  return [
+    "case",
+    [">=", separatorIndex, 0],
+    ["slice", list, 0, separatorIndex],
+    list,
+  ];
+}
+
+/**
+ * Wraps an expression in variables that break down a route reference on a
+ * destination sign, such as "I 95", into its network and route number.
+ */
+function withDestinationRef(routeRef, expression) {
+  let ref = ["var", "destinationRef"];
+  let space = ["var", "destinationRefSpace"];
+  return [
+    "let",
+    "destinationRef",
+    routeRef,
+    [
+      "let",
+      "destinationRefSpace",
+      ["index-of", " ", ref],
+      [
+        "let",
+        "destinationRefNetwork",
+        [
+          "case",
+          [">", space, 0],
+          [
+            "match",
+            ["slice", ref, 0, space],
+            ...Object.entries(destinationRefNetworks).flat(),
+            "",
+          ],
+          "",
+        ],
+        "destinationRefNumber",
+        ["slice", ref, ["+", space, 1]],
+        expression,
+      ],
+    ],
+  ];
+}
+
+/**
+ * Returns the sections of a formatted expression that render a route
+ * reference on a destination sign as an inline shield if its network is
+ * known, or as text otherwise.
+ *
+ * @param routeRef An expression that evaluates to a network prefix and route
+ *  number separated by a space.
+ */
+export function destinationRefSections(routeRef) {
+  let network = ["var", "destinationRefNetwork"];
+  let hasShield = ["!=", network, ""];
+  let imageName = [
+    "concat",
+    "shield\n",
+    network,
+    "\n",
+    ["var", "destinationRefNumber"],
+    "\n\n",
+  ];
+  return [
+    withDestinationRef(routeRef, [
+      "case",
+      hasShield,
+      ["image", imageName],
+      ["literal", ""],
+    ]),
+    {},
+    withDestinationRef(routeRef, [
+      "case",
+      hasShield,
+      "",
+      ["var", "destinationRef"],
+    ]),
+    {},
+  ];
+}
+
+/**
+ * Returns the sections of a formatted expression for the first few routes in
+ * the `destination:ref` tag, separated by spaces.
+ */
+function destinationRefListSections(count) {
+  let sections = [];
+  for (let i = 0; i < count; i++) {
+    let routeRef = listValueAt(["coalesce", ["get", "destination:ref"], ""], i);
+    if (i > 0) {
+      sections.push(["case", ["!=", routeRef, ""], " ", ""], {});
+    }
+    sections.push(...destinationRefSections(routeRef));
+  }
+  return sections;
+}
+
+const exitNumberSections = [
+  [
+    "case",
+    ["!=", ["coalesce", ["get", "ref"], ""], ""],
+    ["concat", "EXIT ", listValuesExpression(["get", "ref"], " / "), "\n"],
+    "",
+  ],
+  {},
+];
+
+const signDestination = [
+  "coalesce",
+  ["get", "destination"],
+  ["get", "exit_to"],
+];
+
+// Puts the destinations below the routes if there are both.
+const destinationLineBreakSections = [
+  [
+    "case",
+    ["all", ["has", "destination:ref"], ["!=", signDestination, null]],
+    "\n",
+    "",
+  ],
+  {},
+];
+
+const exitLayout = {
+  "text-font": ["Americana-Bold"],
+  "text-size": 9,
+  "text-line-height": 1,
+};
+
+const exitPaint = {
+  "text-color": "hsla(60, 100%, 50%, 1)",
+  "text-halo-color": "#000000",
+  "text-halo-width": 0.75,
+};
+
 export const exits = {
   id: "highway-exit",
   type: "symbol",
-  filter: [
-    "all",
-    ["==", ["get", "subclass"], "junction"],
-    ["!=", ["get", "ref"], ""],
-  ],
+  filter: ["all", junctionFilter, ["!=", ["get", "ref"], ""]],
   source: "openmaptiles",
   "source-layer": "transportation_name",
   minzoom: 14,
   layout: {
+    ...exitLayout,
     "text-field": listValuesExpression(["get", "ref"], "\n"),
-    "text-font": ["Americana-Bold"],
-    "text-size": 9,
-    "text-line-height": 1,
   },
-  paint: {
-    "text-color": "hsla(60, 100%, 50%, 1)",
-    "text-halo-color": "#000000",
-    "text-halo-width": 0.75,
+  paint: { ...exitPaint },
+};
+
+/*
+ * Below zoom 16, or where the full sign text collides with other labels, this
+ * layer shows the exit number, the first route and the first destination. It
+ * comes before exitDestination in the layer list so that the full text takes
+ * precedence wherever it fits.
+ */
+export const exitDestinationAbbreviated = {
+  id: "highway-exit-destination-abbreviated",
+  type: "symbol",
+  filter: signedJunctionFilter,
+  source: "openmaptiles",
+  "source-layer": "transportation_name",
+  minzoom: 15,
+  layout: {
+    ...exitLayout,
+    "text-field": [
+      "format",
+      ...exitNumberSections,
+      ...destinationRefListSections(1),
+      ...destinationLineBreakSections,
+      listValueAt(["coalesce", signDestination, ""], 0),
+      {},
+    ],
+    "text-max-width": 8,
   },
+  paint: { ...exitPaint },
+};
+
+export const exitDestination = {
+  id: "highway-exit-destination",
+  type: "symbol",
+  filter: signedJunctionFilter,
+  source: "openmaptiles",
+  "source-layer": "transportation_name",
+  minzoom: 16,
+  layout: {
+    ...exitLayout,
+    "text-field": [
+      "format",
+      ...exitNumberSections,
+      ...destinationRefListSections(3),
+      ...destinationLineBreakSections,
+      listValuesExpression(["coalesce", signDestination, ""], "\n"),
+      {},
+    ],
+    "text-max-width": 12,
+  },
+  paint: { ...exitPaint },
 };
 
 export const legendEntries = [
@@ -31,4 +248,8 @@ export const legendEntries = [
     description: "Freeway or expressway exit",
     layers: [exits.id],
   },
+  {
+    description: "Exit destinations",
+    layers: [exitDestinationAbbreviated.id, exitDestination.id],
+  },
 ];
@@ -1,13 +1,42 @@
 "use strict";
 
 const orderedRouteAttributes = ["network", "ref", "name", "color"];
-const maxConcurrencyCardinality = 8;
+export const maxConcurrencyCardinality = 8;
+export const stackImagePrefix = "shield-stack";
+
+function routeAttributeLines(routeIndex) {
+  return orderedRouteAttributes.flatMap((attr) => [
+    "\n",
+    ["coalesce", ["get", `route_${routeIndex}_${attr}`], ""],
+  ]);
+}
+
+function hasRoute(routeIndex) {
+  return [
+    "any",
+    ...orderedRouteAttributes.map((a) => ["has", `route_${routeIndex}_${a}`]),
+  ];
+}
 
 export function getImageNameExpression(routeIndex) {
-  let concat = ["concat", "shield"];
-  for (let attr of orderedRouteAttributes) {
-    concat.push("\n");
-    concat.push(["coalesce", ["get", `route_${routeIndex}_${attr}`], ""]);
+  return ["concat", "shield", ...routeAttributeLines(routeIndex)];
+}
+
+/**
+ * Returns an expression for the name of a single image that stacks the shields
+ * of all the concurrent routes of a feature.
+ *
+ * @param direction "horizontal" or "vertical".
+ */
+export function getStackImageNameExpression(direction) {
+  let concat = ["concat", `${stackImagePrefix}\n${direction}`];
+  for (let i = 1; i <= maxConcurrencyCardinality; i++) {
+    concat.push([
+      "case",
+      hasRoute(i),
+      ["concat", ...routeAttributeLines(i)],
+      "",
+    ]);
   }
   return concat;
 }
@@ -17,10 +46,7 @@ function routeConcurrency(routeIndex) {
   let fool = today.getMonth() === 3 && today.getDate() === 1;
   let concurrency = [
     "case",
-    [
-      "any",
-      ...orderedRouteAttributes.map((a) => ["has", `route_${routeIndex}_${a}`]),
-    ],
+    hasRoute(routeIndex),
     ["image", getImageNameExpression(routeIndex)],
   ];
   if (fool && routeIndex === 3) {
@@ -50,6 +76,34 @@ export function parseImageName(imageName) {
   return parsed;
 }
 
+/**
+ * Returns a structured representation of the given stacked image name.
+ *
+ * @param name An image name in the format returned by `getStackImageNameExpression`.
+ * @return An object with the stacking direction in `direction`, the routes in `routes` in the format returned by `parseImageName`, and the full image name in `imageName`, or nothing if the image name does not represent a stack.
+ */
+export function parseStackImageName(imageName) {
+  let lines = imageName.split("\n");
+  if (lines.shift() !== stackImagePrefix) return;
+  let direction = lines.shift();
+  let routes = [];
+  while (lines.length) {
+    let routeLines = lines.splice(0, orderedRouteAttributes.length);
+    routes.push(parseImageName(["shield", ...routeLines].join("\n")));
+  }
+  return { direction, routes, imageName };
+}
+
+/**
+ * Returns structured representations of the routes in the given image name,
+ * whether it represents a single shield or a stack of shields.
+ *
+ * @return An array of objects in the format returned by `parseImageName`.
+ */
+export function parseImageNames(imageName) {
+  return parseStackImageName(imageName)?.routes ?? [parseImageName(imageName)];
+}
+
 let shieldTextField = ["format"];
 for (var i = 1; i <= maxConcurrencyCardinality; i++) {
   shieldTextField.push(routeConcurrency(i));
@@ -121,3 +175,27 @@ export const shield = {
     ...orderedRouteAttributes.map((a) => ["has", `route_1_${a}`]),
   ],
 };
+
+/**
+ * Returns a copy of the given layers in which the highway shield layer draws
+ * all the concurrent routes of a feature as a single stacked image.
+ *
+ * @param layers Style layers including the highway shield layer.
+ * @param direction "horizontal" or "vertical".
+ */
+export function stackShields(layers, direction) {
+  return layers.map((layer) =>
+    layer.id === shield.id
+      ? {
+          ...layer,
+          layout: {
+            ...layer.layout,
+            "text-field": [
+              "format",
+              ["image", getStackImageNameExpression(direction)],
+            ],
+          },
+        }
+      : layer
+  );
+}
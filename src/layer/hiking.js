@@ -0,0 +1,44 @@
+"use strict";
+
+import * as Color from "../constants/color.js";
+import { recreationalRouteLayers } from "./recreational_route.js";
+
+/*
+  Hiking overlay
+
+  Hiking route relations are hidden unless the user turns on the hiking
+  overlay. The tiles carry the relation's osmc:symbol=* value in the route's
+  color attribute, falling back to colour=*, and the shield renderer draws it
+  as a waymark.
+*/
+
+/**
+ * Prefix that distinguishes the pseudo-networks of hiking route markers from
+ * road networks.
+ */
+export const networkPrefix = "hike:";
+
+/**
+ * Values of network=* on hiking route relations, from the broadest scope to
+ * the narrowest.
+ */
+export const scopes = ["iwn", "nwn", "rwn", "lwn"];
+
+const routes = recreationalRouteLayers({
+  idPrefix: "hiking",
+  networkPrefix,
+  scopes,
+  colors: Color.hikingRoute,
+  description: "hiking route",
+  markerMinzoom: 11,
+  dasharray: [2, 1],
+});
+
+export const route = routes.route;
+
+export const routeMarker = routes.routeMarker;
+
+/** Layers that the hiking overlay toggles, from bottom to top */
+export const layers = [route, routeMarker];
+
+export const legendEntries = routes.legendEntries;
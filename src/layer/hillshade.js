@@ -21,3 +21,24 @@ export const hillshading = {
     "hillshade-highlight-color": Color.hillshadeHighlight,
   },
 };
+
+export const hypsometricTint = {
+  id: "hypsometric_tint",
+  type: "color-relief",
+  source: "dem",
+  layout: {
+    visibility: "none",
+  },
+  paint: {
+    "color-relief-opacity": 0.5,
+    "color-relief-color": [
+      "interpolate",
+      ["linear"],
+      ["elevation"],
+      ...Object.entries(Color.hypsometricTint).flatMap(([ele, color]) => [
+        Number(ele),
+        color,
+      ]),
+    ],
+  },
+};
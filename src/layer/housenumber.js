@@ -0,0 +1,59 @@
+"use strict";
+
+import { localizedName } from "@americana/diplomat";
+import * as Color from "../constants/color.js";
+
+// Addresses and building names only fit once individual buildings are legible.
+const minzoom = 17;
+
+export const housenumber = {
+  id: "housenumber",
+  type: "symbol",
+  minzoom,
+  paint: {
+    "text-color": Color.housenumberLabel,
+    "text-halo-color": Color.backgroundFill,
+    "text-halo-width": 1,
+  },
+  layout: {
+    "text-field": ["get", "housenumber"],
+    "text-font": ["Americana-Regular"],
+    "text-size": ["interpolate", ["linear"], ["zoom"], 17, 9, 19, 11],
+    // Nudge a house number off its point rather than dropping it when it
+    // collides with a neighbor's.
+    "text-variable-anchor": ["center", "top", "bottom", "left", "right"],
+    "text-radial-offset": 0.4,
+    "text-padding": 1,
+  },
+  source: "openmaptiles",
+  "source-layer": "housenumber",
+};
+
+// Only tiles that include the names of buildings have anything to label.
+export const buildingName = {
+  id: "building_name",
+  type: "symbol",
+  minzoom,
+  filter: ["has", "name"],
+  paint: {
+    "text-color": Color.buildingLabel,
+    "text-halo-color": Color.backgroundFill,
+    "text-halo-width": 1,
+  },
+  layout: {
+    "text-field": localizedName,
+    "text-font": ["Americana-Italic"],
+    "text-size": 10,
+    "text-max-width": 6,
+    "text-padding": 2,
+  },
+  source: "openmaptiles",
+  "source-layer": "building",
+};
+
+export const legendEntries = [
+  {
+    description: "House number",
+    layers: [housenumber.id],
+  },
+];
@@ -2,14 +2,20 @@
 
 import { localizeLayers } from "@americana/diplomat";
 
+import * as TileSchema from "../schema/index.js";
+
 import * as lyrAboriginal from "./aboriginal.js";
 import * as lyrAerialway from "./aerialway.js";
 import * as lyrAeroway from "./aeroway.js";
 import * as lyrBackground from "./background.js";
 import * as lyrBoundary from "./boundary.js";
 import * as lyrConstruction from "./construction.js";
+import * as lyrCycling from "./cycling.js";
+import * as lyrHiking from "./hiking.js";
+import * as lyrTransit from "./transit.js";
 import * as lyrHighwayShield from "./highway_shield.js";
 import * as lyrHillshade from "./hillshade.js";
+import * as lyrLandcover from "./landcover.js";
 import * as lyrLanduse from "./landuse.js";
 import * as lyrOneway from "./oneway.js";
 import * as lyrPark from "./park.js";
@@ -21,19 +27,35 @@ import * as lyrTransportationLabel from "./transportation_label.js";
 import * as lyrWater from "./water.js";
 import * as lyrBuilding from "./building.js";
 import * as lyrHighwayExit from "./highway_exit.js";
+import * as lyrHousenumber from "./housenumber.js";
 import * as lyrFerry from "./ferry.js";
 import * as lyrPeak from "./peak.js";
+import * as lyrRouteHighlight from "./route_highlight.js";
 
 /**
  * Builds the Americana layers property.
  * See: https://maplibre.org/maplibre-gl-js-docs/style-spec/layers/
+ *
+ * @param {string[]} locales - Locales to label the map in.
+ * @param {object} schema - Adapter for the schema of the vector tiles.
  */
-export function build(locales) {
+export function build(locales, schema = TileSchema.openMapTiles) {
   // Layers from bottom to top
   let layers = [];
 
   layers.push(
     lyrBackground.base,
+
+    lyrLandcover.farmland,
+    lyrLandcover.grass,
+    lyrLandcover.wood,
+    lyrLandcover.wetland,
+    lyrLandcover.wetlandPattern,
+    lyrLandcover.sand,
+    lyrLandcover.rock,
+    lyrLandcover.ice,
+
+    lyrHillshade.hypsometricTint,
     lyrLanduse.urbanizedArea,
     lyrAboriginal.fill,
     lyrPark.fill,
@@ -144,11 +166,20 @@ export function build(locales) {
 
   layers.push(...lyrRail.getLayerSeparatedBridgeLayers(bridgeLayers));
 
+  layers.push(lyrCycling.cycleway, lyrCycling.route, lyrHiking.route);
+
+  layers.push(lyrTransit.lineCasing, lyrTransit.line, lyrTransit.station);
+
+  layers.push(lyrRouteHighlight.dim, lyrRouteHighlight.highlight);
+
   layers.push(
     //The labels at the end of the list draw on top of the layers at the beginning.
     lyrAerialway.liftCasing,
     lyrAerialway.lift,
 
+    lyrHousenumber.housenumber,
+    lyrHousenumber.buildingName,
+
     lyrBoundary.countryLabelLeft,
     lyrBoundary.countryLabelRight,
     lyrWater.waterwayLabel,
@@ -170,8 +201,14 @@ export function build(locales) {
     lyrAeroway.airportGate,
 
     lyrHighwayShield.shield,
+    lyrCycling.routeMarker,
+    lyrHiking.routeMarker,
+    lyrTransit.lineBullet,
+    lyrTransit.stationLabel,
 
     lyrHighwayExit.exits,
+    lyrHighwayExit.exitDestinationAbbreviated,
+    lyrHighwayExit.exitDestination,
 
     lyrPeak.peak,
     lyrPoi.poi,
@@ -194,5 +231,5 @@ export function build(locales) {
 
   localizeLayers(layers, locales);
 
-  return layers;
+  return TileSchema.adaptLayers(layers, schema);
 }
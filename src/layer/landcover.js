@@ -0,0 +1,122 @@
+"use strict";
+
+import * as Color from "../constants/color.js";
+
+/*
+  Landcover
+
+  Natural and agricultural areas fill the countryside beneath everything else,
+  including the elevation tint and hillshading. Most fills fade in as the map
+  zooms in, so that the low-zoom generalizations of forests and farmland do not
+  overwhelm the borders and roads drawn over them.
+*/
+
+// Opacity of most landcover fills, fading in from low zooms
+const fillOpacity = ["interpolate", ["linear"], ["zoom"], 4, 0.3, 10, 1];
+
+const classFilter = (...classes) => [
+  "match",
+  ["get", "class"],
+  classes,
+  true,
+  false,
+];
+
+const landcoverFill = {
+  type: "fill",
+  source: "openmaptiles",
+  "source-layer": "landcover",
+};
+
+export const farmland = {
+  ...landcoverFill,
+  id: "landcover_farmland",
+  filter: classFilter("farmland"),
+  paint: {
+    "fill-color": Color.landcoverFarmland,
+    "fill-opacity": fillOpacity,
+  },
+};
+
+export const grass = {
+  ...landcoverFill,
+  id: "landcover_grass",
+  filter: classFilter("grass"),
+  paint: {
+    "fill-color": Color.landcoverGrass,
+    "fill-opacity": fillOpacity,
+  },
+};
+
+export const wood = {
+  ...landcoverFill,
+  id: "landcover_wood",
+  filter: classFilter("wood"),
+  paint: {
+    "fill-color": Color.landcoverWood,
+    "fill-opacity": fillOpacity,
+  },
+};
+
+export const wetland = {
+  ...landcoverFill,
+  id: "landcover_wetland",
+  filter: classFilter("wetland"),
+  paint: {
+    "fill-color": Color.landcoverWetland,
+    "fill-opacity": fillOpacity,
+  },
+};
+
+// Marsh grass tufts, which would clutter the map at lower zooms
+export const wetlandPattern = {
+  ...landcoverFill,
+  id: "landcover_wetland-pattern",
+  minzoom: 11,
+  filter: classFilter("wetland"),
+  paint: {
+    "fill-pattern": "pattern_wetland",
+    "fill-opacity": ["interpolate", ["linear"], ["zoom"], 11, 0, 13, 1],
+  },
+};
+
+export const sand = {
+  ...landcoverFill,
+  id: "landcover_sand",
+  filter: classFilter("sand"),
+  paint: {
+    "fill-color": Color.landcoverSand,
+    "fill-opacity": fillOpacity,
+  },
+};
+
+export const rock = {
+  ...landcoverFill,
+  id: "landcover_rock",
+  filter: classFilter("rock"),
+  paint: {
+    "fill-color": Color.landcoverRock,
+    "fill-opacity": fillOpacity,
+  },
+};
+
+// Ice sheets and glaciers are already in the tiles at the lowest zooms, where
+// they stand in for the polar regions.
+export const ice = {
+  ...landcoverFill,
+  id: "landcover_ice",
+  filter: classFilter("ice"),
+  paint: {
+    "fill-color": Color.landcoverIce,
+  },
+};
+
+export const legendEntries = [
+  { description: "Forest", layers: [wood.id] },
+  { description: "Grassland or scrub", layers: [grass.id] },
+  { description: "Farmland", layers: [farmland.id] },
+  { description: "Wetland", layers: [wetland.id] },
+  { description: "Sand or beach", layers: [sand.id] },
+  { description: "Bare rock", layers: [rock.id] },
+  { description: "Glacier or ice", layers: [ice.id] },
+];
@@ -0,0 +1,59 @@
+"use strict";
+
+import * as Color from "../constants/color.js";
+
+/*
+  A measurement is drawn from a GeoJSON source that the measure control adds
+  to the map while the user is measuring, so these layers are not part of the
+  style. The source contains the measured path or area, the vertices that the
+  user has placed, and a provisional segment to the mouse pointer, which is
+  marked with a `provisional` property.
+*/
+
+export const source = "measurement";
+
+export const fill = {
+  id: "measurement-fill",
+  type: "fill",
+  source,
+  filter: ["==", ["geometry-type"], "Polygon"],
+  paint: {
+    "fill-color": Color.measurementFill,
+  },
+};
+
+export const line = {
+  id: "measurement-line",
+  type: "line",
+  source,
+  filter: ["!=", ["geometry-type"], "Point"],
+  layout: {
+    "line-cap": "round",
+    "line-join": "round",
+  },
+  paint: {
+    "line-color": Color.measurementLine,
+    "line-width": 3,
+    "line-dasharray": [
+      "case",
+      ["boolean", ["get", "provisional"], false],
+      ["literal", [1, 2]],
+      ["literal", [1]],
+    ],
+  },
+};
+
+export const vertex = {
+  id: "measurement-vertex",
+  type: "circle",
+  source,
+  filter: ["==", ["geometry-type"], "Point"],
+  paint: {
+    "circle-color": Color.measurementLine,
+    "circle-radius": 4,
+    "circle-stroke-color": Color.measurementVertexStroke,
+    "circle-stroke-width": 1.5,
+  },
+};
+
+export const layers = [fill, line, vertex];
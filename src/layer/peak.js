@@ -15,10 +15,21 @@ const peakStepFilter = [
   [">=", ["get", "rank"], 1], //Show all past z14
 ];
 
-export function getEleUnits(unitlocale = getLocales()[0]) {
+/**
+ * Returns an expression that formats a feature's elevation in feet or meters.
+ *
+ * @param unitlocale - Locale to format the number in.
+ * @param customary - Expression that evaluates to true where elevations are in
+ *   feet. Defaults to the feature's customary_ft attribute, which is
+ *   essentially whether the feature is in the US or not.
+ */
+export function getEleUnits(
+  unitlocale = getLocales()[0],
+  customary = ["==", ["get", "customary_ft"], 1]
+) {
   return [
     "case",
-    ["==", ["get", "customary_ft"], 1], //customary_ft variable is essentially whether the object is in the US or not
+    customary,
     ["number-format", ["get", "ele_ft"], { unit: "foot", locale: unitlocale }], //If customary_ft, return ele in ft
     ["number-format", ["get", "ele"], { unit: "meter", locale: unitlocale }], //Otherwise return it in m
   ];
@@ -260,6 +260,8 @@ export const controlcities = {
     "icon-padding": 0,
     "text-padding": 1,
     "icon-allow-overlap": false,
+    // Label the most frequently signed destinations first.
+    "symbol-sort-key": ["-", ["coalesce", ["get", "signs"], 0]],
   },
   source: "controlcities",
   minzoom: 4,
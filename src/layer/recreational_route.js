@@ -0,0 +1,175 @@
+"use strict";
+
+import { maxConcurrencyCardinality } from "./highway_shield.js";
+
+/*
+  Recreational routes
+
+  On a recreational route relation, such as a bicycle or hiking route,
+  network=* only indicates the network's scope, such as rcn=* for a regional
+  cycling network, so the road shield layer leaves these routes unmarked. The
+  route marker layer here gives each scope its own shield definition by
+  prefixing the scope with a network prefix, so that the shield renderer draws
+  these markers without treating the scopes as road networks.
+*/
+
+const routeIndices = [...Array(maxConcurrencyCardinality).keys()].map(
+  (i) => i + 1
+);
+
+/**
+ * Returns the layers and legend entries of an overlay of recreational routes.
+ * The layers are hidden until the overlay is turned on.
+ *
+ * @param {object} options
+ * @param {string} options.idPrefix - Prefix of the layer IDs.
+ * @param {string} options.networkPrefix - Prefix that distinguishes the
+ *  pseudo-networks of the route markers from road networks.
+ * @param {string[]} options.scopes - Values of network=* on the route
+ *  relations, from the international scope to the local scope.
+ * @param {object} options.colors - Line colors keyed by scope.
+ * @param {string} options.description - Description of a route in the legend,
+ *  such as "bicycle route".
+ * @param {number} options.markerMinzoom - Zoom level at which the route
+ *  markers appear.
+ * @param {number[]} options.dasharray - Dash pattern of the route lines, if
+ *  they are dashed.
+ * @returns An object with the `route` and `routeMarker` layers and the
+ *  `legendEntries` for the routes.
+ */
+export function recreationalRouteLayers({
+  idPrefix,
+  networkPrefix,
+  scopes,
+  colors,
+  description,
+  markerMinzoom,
+  dasharray,
+}) {
+  const [internationalScope, nationalScope, regionalScope, localScope] = scopes;
+
+  const isRoute = (routeIndex) => [
+    "match",
+    ["get", `route_${routeIndex}_network`],
+    scopes,
+    true,
+    false,
+  ];
+  const anyRoute = ["any", ...routeIndices.map(isRoute)];
+
+  // The broadest scope among a feature's routes
+  const broadestScope = [
+    "case",
+    ...scopes.flatMap((scope) => [
+      [
+        "any",
+        ...routeIndices.map((i) => [
+          "==",
+          ["get", `route_${i}_network`],
+          scope,
+        ]),
+      ],
+      scope,
+    ]),
+    localScope,
+  ];
+
+  // The name of the marker image of a route
+  const getImageNameExpression = (routeIndex) => [
+    "concat",
+    "shield\n",
+    networkPrefix,
+    ["get", `route_${routeIndex}_network`],
+    ...["ref", "name", "color"].flatMap((attr) => [
+      "\n",
+      ["coalesce", ["get", `route_${routeIndex}_${attr}`], ""],
+    ]),
+  ];
+
+  const hidden = { visibility: "none" };
+
+  const route = {
+    id: `${idPrefix}_route`,
+    type: "line",
+    filter: anyRoute,
+    layout: {
+      ...hidden,
+      "line-cap": "round",
+      "line-join": "round",
+    },
+    paint: {
+      "line-color": [
+        "match",
+        broadestScope,
+        ...scopes.flatMap((scope) => [scope, colors[scope]]),
+        colors[localScope],
+      ],
+      "line-opacity": 0.6,
+      "line-width": [
+        "interpolate",
+        ["exponential", 1.2],
+        ["zoom"],
+        6,
+        1.5,
+        18,
+        8,
+      ],
+      ...(dasharray && { "line-dasharray": dasharray }),
+    },
+    source: "openmaptiles",
+    "source-layer": "transportation_name",
+  };
+
+  const routeMarker = {
+    id: `${idPrefix}_route-marker`,
+    type: "symbol",
+    minzoom: markerMinzoom,
+    filter: anyRoute,
+    layout: {
+      ...hidden,
+      "text-field": [
+        "format",
+        ...routeIndices.map((i) => [
+          "case",
+          isRoute(i),
+          ["image", getImageNameExpression(i)],
+          ["literal", ""],
+        ]),
+      ],
+      "text-font": ["Americana-Regular"],
+      "text-rotation-alignment": "viewport-glyph",
+      "text-pitch-alignment": "viewport",
+      "symbol-placement": "line",
+      "symbol-spacing": 300,
+      "text-max-angle": 180,
+    },
+    source: "openmaptiles",
+    "source-layer": "transportation_name",
+  };
+
+  const legendEntries = [
+    {
+      description: `International or national ${description}`,
+      layers: [route.id],
+      filter: [
+        "match",
+        broadestScope,
+        [internationalScope, nationalScope],
+        true,
+        false,
+      ],
+    },
+    {
+      description: `Regional ${description}`,
+      layers: [route.id],
+      filter: ["==", broadestScope, regionalScope],
+    },
+    {
+      description: `Local ${description}`,
+      layers: [route.id],
+      filter: ["==", broadestScope, localScope],
+    },
+  ];
+
+  return { route, routeMarker, legendEntries };
+}
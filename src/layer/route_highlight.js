@@ -0,0 +1,65 @@
+"use strict";
+
+import * as Color from "../constants/color.js";
+import { maxConcurrencyCardinality } from "./highway_shield.js";
+
+/*
+  A highlighted route is drawn over the roads in a bold color, while a
+  translucent wash beneath it dims the other roads. Both layers are hidden until
+  the user selects a route; the map then sets the highlight's filter to the
+  route.
+*/
+
+/**
+ * Returns a filter that matches road labels belonging to the given route,
+ * whichever of the concurrent routes it is.
+ *
+ * @param {string} network - The route's `network=*` value.
+ * @param {string} ref - The route's `ref=*` value.
+ */
+export function routeFilter(network, ref) {
+  let filter = ["any"];
+  for (let i = 1; i <= maxConcurrencyCardinality; i++) {
+    filter.push([
+      "all",
+      ["==", ["get", `route_${i}_network`], network],
+      ["==", ["get", `route_${i}_ref`], ref],
+    ]);
+  }
+  return filter;
+}
+
+export const dim = {
+  id: "route-highlight-dim",
+  type: "background",
+  layout: {
+    visibility: "none",
+  },
+  paint: {
+    "background-color": Color.routeHighlightDim,
+  },
+};
+
+export const highlight = {
+  id: "route-highlight",
+  type: "line",
+  source: "openmaptiles",
+  "source-layer": "transportation_name",
+  filter: routeFilter("", ""),
+  layout: {
+    "line-cap": "round",
+    "line-join": "round",
+    visibility: "none",
+  },
+  paint: {
+    "line-color": Color.routeHighlight,
+    "line-width": ["interpolate", ["exponential", 1.2], ["zoom"], 4, 3, 18, 14],
+  },
+};
+
+export const legendEntries = [
+  {
+    description: "Highlighted route",
+    layers: [highlight.id],
+  },
+];
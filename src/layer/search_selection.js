@@ -0,0 +1,37 @@
+"use strict";
+
+import * as Color from "../constants/color.js";
+
+/*
+  The bounds of a selected search result, such as a road or an area, are drawn
+  from a GeoJSON source that the search control adds to the map once the user
+  selects a result that is not a point, so these layers are not part of the
+  style.
+*/
+
+export const source = "search-selection";
+
+export const fill = {
+  id: "search-selection-fill",
+  type: "fill",
+  source,
+  paint: {
+    "fill-color": Color.searchSelectionFill,
+  },
+};
+
+export const outline = {
+  id: "search-selection-outline",
+  type: "line",
+  source,
+  layout: {
+    "line-join": "round",
+  },
+  paint: {
+    "line-color": Color.searchSelectionLine,
+    "line-width": 2,
+    "line-dasharray": [2, 1],
+  },
+};
+
+export const layers = [fill, outline];
@@ -0,0 +1,270 @@
+"use strict";
+
+import { localizedName } from "@americana/diplomat";
+import * as Color from "../constants/color.js";
+import { maxConcurrencyCardinality } from "./highway_shield.js";
+
+/*
+  Transit overlay
+
+  Passenger rail and bus lines, stations and stops are hidden unless the user
+  turns on the transit overlay.
+
+  Each line is colored by the colour=* of the first transit route relation
+  that runs along it, and marked by a bullet: a circle for subways, light rail
+  and trams, or a square for mainline rail and buses. The bullets are drawn by
+  the shield renderer, which fills them with the route's color. Bus routes
+  only appear where they run on busways and guided busways, because the tiles
+  do not carry bus route relations on ordinary roads.
+*/
+
+/**
+ * Prefix that distinguishes the pseudo-networks of transit line bullets from
+ * road networks.
+ */
+export const networkPrefix = "transit:";
+
+/**
+ * Shapes of line bullets, each keyed by its shield definition's
+ * pseudo-network and listing the classes of lines that it marks.
+ */
+export const bulletShapes = {
+  circle: ["transit"],
+  square: ["rail", "busway", "bus_guideway"],
+};
+
+const lineClasses = Object.values(bulletShapes).flat();
+
+const routeIndices = [...Array(maxConcurrencyCardinality).keys()].map(
+  (i) => i + 1
+);
+
+function hasRoute(routeIndex) {
+  return [
+    "any",
+    ["has", `route_${routeIndex}_ref`],
+    ["has", `route_${routeIndex}_name`],
+  ];
+}
+
+const isTransitLine = [
+  "all",
+  ["match", ["get", "class"], lineClasses, true, false],
+  hasRoute(1),
+];
+
+/**
+ * Returns an expression for the name of the bullet image of a transit line.
+ */
+export function getImageNameExpression(routeIndex) {
+  return [
+    "concat",
+    "shield\n",
+    networkPrefix,
+    [
+      "match",
+      ["get", "class"],
+      ...Object.entries(bulletShapes).flatMap(([shape, classes]) => [
+        classes,
+        shape,
+      ]),
+      "square",
+    ],
+    ...["ref", "name", "color"].flatMap((attr) => [
+      "\n",
+      ["coalesce", ["get", `route_${routeIndex}_${attr}`], ""],
+    ]),
+  ];
+}
+
+/**
+ * Returns the transit lines that run along the given features, without
+ * duplicates, in order by ref.
+ *
+ * @param features Features from the transit line layer.
+ * @returns An array of objects with each line's `ref`, `name` and `color`,
+ *  any of which may be missing.
+ */
+export function getTransitLines(features) {
+  let linesByKey = new Map();
+  for (let feature of features) {
+    for (let i of routeIndices) {
+      let [ref, name, color] = ["ref", "name", "color"].map(
+        (attr) => feature.properties[`route_${i}_${attr}`] || undefined
+      );
+      if (!ref && !name) continue;
+      let key = [ref, name, color].join("\n");
+      if (!linesByKey.has(key)) {
+        linesByKey.set(key, { ref, name, color });
+      }
+    }
+  }
+  return [...linesByKey.values()].sort((a, b) =>
+    (a.ref ?? a.name).localeCompare(b.ref ?? b.name, undefined, {
+      numeric: true,
+    })
+  );
+}
+
+const hidden = { visibility: "none" };
+
+const lineWidth = [
+  "interpolate",
+  ["exponential", 1.2],
+  ["zoom"],
+  8,
+  ["match", ["get", "class"], "rail", 1.5, 1],
+  18,
+  ["match", ["get", "class"], "rail", 7, 5],
+];
+
+export const lineCasing = {
+  id: "transit_line-casing",
+  type: "line",
+  minzoom: 8,
+  filter: isTransitLine,
+  layout: {
+    ...hidden,
+    "line-cap": "round",
+    "line-join": "round",
+  },
+  paint: {
+    "line-color": Color.transitLineCasing,
+    "line-width": ["interpolate", ["linear"], ["zoom"], 8, 0.5, 18, 2],
+    "line-gap-width": lineWidth,
+  },
+  source: "openmaptiles",
+  "source-layer": "transportation_name",
+};
+
+export const line = {
+  id: "transit_line",
+  type: "line",
+  minzoom: 8,
+  filter: isTransitLine,
+  layout: {
+    ...hidden,
+    "line-cap": "round",
+    "line-join": "round",
+  },
+  paint: {
+    "line-color": ["to-color", ["get", "route_1_color"], Color.transitLine],
+    "line-width": lineWidth,
+  },
+  source: "openmaptiles",
+  "source-layer": "transportation_name",
+};
+
+export const lineBullet = {
+  id: "transit_line-bullet",
+  type: "symbol",
+  minzoom: 11,
+  filter: isTransitLine,
+  layout: {
+    ...hidden,
+    "text-field": [
+      "format",
+      ...routeIndices.map((i) => [
+        "case",
+        ["has", `route_${i}_ref`],
+        ["image", getImageNameExpression(i)],
+        ["literal", ""],
+      ]),
+    ],
+    "text-font": ["Americana-Regular"],
+    "text-rotation-alignment": "viewport-glyph",
+    "text-pitch-alignment": "viewport",
+    "symbol-placement": "line",
+    "symbol-spacing": 400,
+    "text-max-angle": 180,
+  },
+  source: "openmaptiles",
+  "source-layer": "transportation_name",
+};
+
+const isStation = [
+  "any",
+  [
+    "all",
+    ["==", ["get", "class"], "railway"],
+    ["match", ["get", "subclass"], ["station", "halt", "subway"], true, false],
+  ],
+  ["==", ["get", "subclass"], "bus_station"],
+];
+
+const isStop = [
+  "match",
+  ["get", "subclass"],
+  ["tram_stop", "bus_stop"],
+  true,
+  false,
+];
+
+export const station = {
+  id: "transit_station",
+  type: "circle",
+  minzoom: 11,
+  filter: ["any", isStation, ["all", isStop, [">=", ["zoom"], 15]]],
+  layout: hidden,
+  paint: {
+    "circle-color": Color.transitStationFill,
+    "circle-stroke-color": Color.transitStationStroke,
+    "circle-radius": [
+      "interpolate",
+      ["linear"],
+      ["zoom"],
+      11,
+      ["case", isStation, 2.5, 1.5],
+      18,
+      ["case", isStation, 7, 4],
+    ],
+    "circle-stroke-width": ["case", isStation, 1.5, 1],
+  },
+  source: "openmaptiles",
+  "source-layer": "poi",
+};
+
+export const stationLabel = {
+  id: "transit_station-label",
+  type: "symbol",
+  minzoom: 12,
+  filter: ["any", isStation, ["all", isStop, [">=", ["zoom"], 16]]],
+  layout: {
+    ...hidden,
+    "text-field": localizedName,
+    "text-font": [
+      "case",
+      isStation,
+      ["literal", ["Americana-Bold"]],
+      ["literal", ["Americana-Regular"]],
+    ],
+    "text-size": ["interpolate", ["linear"], ["zoom"], 12, 10, 18, 13],
+    "text-variable-anchor": ["left", "right", "top", "bottom"],
+    "text-radial-offset": 0.8,
+    "text-max-width": 7,
+    "symbol-sort-key": ["case", isStation, 0, 1],
+  },
+  paint: {
+    "text-color": Color.transitLabel,
+    "text-halo-color": Color.backgroundFill,
+    "text-halo-width": 1.5,
+  },
+  source: "openmaptiles",
+  "source-layer": "poi",
+};
+
+/** Layers that the transit overlay toggles, from bottom to top */
+export const layers = [lineCasing, line, station, lineBullet, stationLabel];
+
+export const legendEntries = [
+  {
+    description: "Station",
+    layers: [station.id],
+    filter: isStation,
+  },
+  {
+    description: "Stop",
+    layers: [station.id],
+    filter: isStop,
+  },
+];
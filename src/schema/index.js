@@ -0,0 +1,132 @@
+"use strict";
+
+/*
+Tile schema adapters
+
+The layers in src/layer are written against the OpenMapTiles schema. A schema
+adapter translates them to another vector tile schema by renaming source layers
+and replacing each attribute with an expression that derives the equivalent
+OpenMapTiles value from the other schema's attributes.
+
+An adapter has these properties:
+
+- name: Identifies the schema in configuration.
+- sourceLayers: Maps OpenMapTiles source layers to the schema's source layers.
+  A layer whose source layer has no equivalent is left as is and renders
+  nothing.
+- commonAttributes: Maps attributes of any source layer to expressions.
+- attributes: Maps each OpenMapTiles source layer to an object that maps its
+  attributes to expressions.
+- filters: Maps OpenMapTiles source layers to filters, written against the
+  schema's own attributes, that a feature must also match. This keeps out
+  features that share a source layer with the equivalent features but have no
+  equivalent in OpenMapTiles' source layer.
+*/
+
+import * as Util from "../js/util.js";
+import { openMapTiles } from "./openmaptiles.js";
+import { shortbread } from "./shortbread.js";
+
+export { openMapTiles, shortbread };
+
+export const schemas = {
+  [openMapTiles.name]: openMapTiles,
+  [shortbread.name]: shortbread,
+};
+
+/**
+ * Returns the schema adapter with the given name.
+ *
+ * @param {string} name - Name of the schema, or undefined for OpenMapTiles.
+ */
+export function getSchema(name) {
+  if (name === undefined) {
+    return openMapTiles;
+  }
+  let schema = schemas[name];
+  if (!schema) {
+    throw new Error(`Unknown tile schema: ${name}`);
+  }
+  return schema;
+}
+
+/**
+ * Replaces any `get` or `has` expression that refers to one of the given
+ * attributes with the attribute's expression.
+ *
+ * @param {*} expression - An expression written against OpenMapTiles.
+ * @param {object} attributes - Maps attribute names to expressions.
+ * @returns The translated expression.
+ */
+export function adaptExpression(expression, attributes) {
+  if (!Array.isArray(expression) || expression[0] === "literal") {
+    return expression;
+  }
+  let [operator, attribute] = expression;
+  if (
+    expression.length === 2 &&
+    typeof attribute === "string" &&
+    attribute in attributes
+  ) {
+    if (operator === "get") {
+      return Util.cp(attributes[attribute]);
+    }
+    if (operator === "has") {
+      return ["!=", Util.cp(attributes[attribute]), null];
+    }
+  }
+  return expression.map((e) => adaptExpression(e, attributes));
+}
+
+function adaptProperties(properties, attributes) {
+  return Object.fromEntries(
+    Object.entries(properties).map(([key, value]) => [
+      key,
+      adaptExpression(value, attributes),
+    ])
+  );
+}
+
+/**
+ * Translates a layer written against OpenMapTiles to the given schema.
+ */
+export function adaptLayer(layer, schema) {
+  if (layer.source !== "openmaptiles") {
+    return layer;
+  }
+  let sourceLayer = layer["source-layer"];
+  let attributes = {
+    ...schema.commonAttributes,
+    ...schema.attributes[sourceLayer],
+  };
+  let adapted = {
+    ...layer,
+    "source-layer": schema.sourceLayers[sourceLayer] ?? sourceLayer,
+  };
+  if (layer.filter) {
+    adapted.filter = adaptExpression(layer.filter, attributes);
+  }
+  let schemaFilter = schema.filters?.[sourceLayer];
+  if (schemaFilter) {
+    adapted.filter = adapted.filter
+      ? ["all", Util.cp(schemaFilter), adapted.filter]
+      : Util.cp(schemaFilter);
+  }
+  if (layer.layout) {
+    adapted.layout = adaptProperties(layer.layout, attributes);
+  }
+  if (layer.paint) {
+    adapted.paint = adaptProperties(layer.paint, attributes);
+  }
+  return adapted;
+}
+
+/**
+ * Translates layers written against OpenMapTiles to the given schema.
+ */
+export function adaptLayers(layers, schema) {
+  if (schema === openMapTiles) {
+    return layers;
+  }
+  return layers.map((layer) => adaptLayer(layer, schema));
+}
@@ -0,0 +1,13 @@
+"use strict";
+
+/*
+OpenMapTiles schema
+https://openmaptiles.org/schema/
+
+The layers are written against this schema, so this adapter leaves them as is.
+*/
+export const openMapTiles = {
+  name: "openmaptiles",
+  sourceLayers: {},
+  attributes: {},
+};
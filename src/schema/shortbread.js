@@ -0,0 +1,199 @@
+"use strict";
+
+/*
+Shortbread schema
+https://shortbread-tiles.org/schema/
+
+Shortbread tiles have no route relations, so route shields are omitted, and
+no aeroway, peak or aerodrome label layers, so those features are omitted too.
+*/
+
+const brunnel = [
+  "case",
+  ["to-boolean", ["get", "bridge"]],
+  "bridge",
+  ["to-boolean", ["get", "tunnel"]],
+  "tunnel",
+  "",
+];
+
+// Shortbread street kinds are OSM highway=* and railway=* values, which
+// OpenMapTiles groups into classes.
+const streetClass = [
+  "match",
+  ["get", "kind"],
+  ["unclassified", "residential", "living_street"],
+  "minor",
+  ["pedestrian", "footway", "steps", "path", "cycleway", "bridleway"],
+  "path",
+  ["rail", "narrow_gauge", "funicular", "monorail", "preserved"],
+  "rail",
+  ["light_rail", "subway", "tram"],
+  "transit",
+  ["get", "kind"],
+];
+
+const unpavedSurfaces = [
+  "compacted",
+  "dirt",
+  "earth",
+  "fine_gravel",
+  "grass",
+  "gravel",
+  "ground",
+  "mud",
+  "pebblestone",
+  "sand",
+  "unpaved",
+  "wood",
+];
+
+// The OSM key whose value determines the icon of a POI.
+const poiTag = [
+  "coalesce",
+  ["get", "amenity"],
+  ["get", "shop"],
+  ["get", "tourism"],
+  ["get", "leisure"],
+  ["get", "office"],
+];
+
+// OpenMapTiles classes for POI tag values that differ from the value itself.
+const poiClasses = {
+  beer: ["biergarten", "pub"],
+  bus: ["bus_station"],
+  campsite: ["camp_site"],
+  car: ["car_repair"],
+  cemetery: ["grave_yard"],
+  college: ["university"],
+  fast_food: ["food_court"],
+  fuel: ["charging_station"],
+  grocery: ["supermarket"],
+  hospital: ["clinic"],
+  library: ["books"],
+  lodging: ["guest_house", "hostel", "hotel", "motel"],
+  office: ["taxi"],
+  post: ["post_office"],
+  school: ["kindergarten"],
+  town_hall: ["townhall"],
+};
+
+const poiClass = [
+  "match",
+  poiTag,
+  ...Object.entries(poiClasses).flatMap(([cls, values]) => [values, cls]),
+  poiTag,
+];
+
+const poiSubclass = [
+  "match",
+  poiTag,
+  "place_of_worship",
+  ["get", "religion"],
+  "pitch",
+  ["get", "sport"],
+  poiTag,
+];
+
+export const shortbread = {
+  name: "shortbread",
+  sourceLayers: {
+    boundary: "boundaries",
+    building: "buildings",
+    housenumber: "addresses",
+    landcover: "land",
+    landuse: "land",
+    park: "land",
+    place: "place_labels",
+    poi: "pois",
+    transportation: "streets",
+    transportation_name: "street_labels",
+    water: "water_polygons",
+    water_name: "water_polygons_labels",
+    waterway: "water_lines",
+  },
+  // Attributes common to all source layers
+  commonAttributes: {
+    "name:de": ["get", "name_de"],
+    "name:en": ["get", "name_en"],
+  },
+  // The land layer mixes parks with all other land uses.
+  filters: {
+    park: [
+      "match",
+      ["get", "kind"],
+      ["park", "nature_reserve", "national_park", "protected_area"],
+      true,
+      false,
+    ],
+  },
+  attributes: {
+    landcover: {
+      class: [
+        "match",
+        ["get", "kind"],
+        ["forest", "wood"],
+        "wood",
+        // OpenMapTiles counts heath and scrub as grass.
+        ["grass", "grassland", "meadow", "village_green", "heath", "scrub"],
+        "grass",
+        ["bog", "marsh", "swamp", "wetland"],
+        "wetland",
+        ["beach", "sand"],
+        "sand",
+        ["farmland", "orchard", "vineyard"],
+        "farmland",
+        ["bare_rock", "scree", "shingle"],
+        "rock",
+        "glacier",
+        "ice",
+        ["get", "kind"],
+      ],
+      subclass: ["get", "kind"],
+    },
+    landuse: {
+      class: ["get", "kind"],
+    },
+    park: {
+      class: ["get", "kind"],
+    },
+    place: {
+      class: ["get", "kind"],
+    },
+    poi: {
+      class: poiClass,
+      subclass: poiSubclass,
+    },
+    transportation: {
+      class: streetClass,
+      subclass: ["get", "kind"],
+      brunnel,
+      ramp: ["case", ["to-boolean", ["get", "link"]], 1, 0],
+      surface: [
+        "match",
+        ["get", "surface"],
+        unpavedSurfaces,
+        "unpaved",
+        "paved",
+      ],
+    },
+    transportation_name: {
+      class: streetClass,
+      subclass: ["get", "kind"],
+      brunnel,
+    },
+    water: {
+      class: [
+        "match",
+        ["get", "kind"],
+        ["river", "canal"],
+        "river",
+        ["get", "kind"],
+      ],
+    },
+    waterway: {
+      class: ["get", "kind"],
+      brunnel,
+    },
+  },
+};
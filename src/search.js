@@ -3,116 +3,33 @@
 import * as maplibregl from "maplibre-gl";
 
 import "./search.css";
-
-var searchInput;
-var liveResults;
-
-var resultSelectIndex = -1;
-var resultGeometry = [];
-var resultPoint = [];
-
-var lastSearchRequest;
-
-function collapseArray(arr, delimiter) {
-  return arr
-    .filter(function (x) {
-      return x !== undefined && x != "";
-    })
-    .join(delimiter);
-}
-
-function goToResult(index) {
-  let bbox = resultGeometry[index];
-  let center = resultPoint[index];
-  resultSelectIndex = -1;
-  resultGeometry = [];
-  resultPoint = [];
-  liveResults.innerHTML = "";
-
-  //Clear search box
-  searchInput.value = "";
-  searchInput.classList.remove("pending");
-  map.getCanvas().focus();
-
-  //Zoom map to search result
-  if (bbox != undefined) {
-    map.fitBounds(bbox);
-  } else {
-    map.setCenter({ lat: center[1], lon: center[0] });
-  }
-}
-
-//Re-map silly results from photon
-function mapResultToDescription(type, key, value) {
-  switch (type) {
-    case "house":
-      switch (key) {
-        case "highway":
-          switch (value) {
-            case "bus_stop":
-              return value;
-            default:
-              return "road";
-          }
-        case "aeroway":
-          switch (value) {
-            case "aerodrome":
-              return "airport";
-            default:
-              return value;
-          }
-        case "railway":
-          return `train ${value}`;
-        case "man_made":
-        case "tourism":
-        case "amenity":
-        case "leisure":
-          return value;
-        case "office":
-        default:
-          return key;
-      }
-    case "district":
-    case "locality":
-      switch (key) {
-        case "landuse":
-          return `${value} area`;
-        default:
-          return value;
-      }
-    case "tunnel":
-      return key;
-  }
-  return type;
-}
-
-function geocoderResultEntry(result) {
-  let p = result.properties;
-  let type = mapResultToDescription(p.type, p.osm_key, p.osm_value).replaceAll(
-    "_",
-    " "
-  );
-
-  let addr = collapseArray([p.housenumber, p.street], " ");
-  let name = p.name;
-
-  if (name == undefined) {
-    name = addr;
-    addr = undefined;
-  }
-
-  let description = collapseArray(
-    [addr, p.city, p.county, p.state, p.country],
-    ", "
-  );
-
+import { PhotonGeocoder } from "./geocoder/index.js";
+import { parseRouteQuery, setHighlightedRoute } from "./js/route_highlight.js";
+import {
+  getSelectionFeatures,
+  setSearchSelection,
+} from "./js/search_selection.js";
+import * as SearchSelectionLayers from "./layer/search_selection.js";
+
+// Kinds of results that the user can narrow the search down to
+const resultKinds = {
+  "": "All",
+  place: "Places",
+  road: "Roads",
+  poi: "Points of interest",
+};
+
+// Distinguishes the result lists of multiple search controls
+let controlCount = 0;
+
+function resultEntry(category, name, description) {
   let item = document.createElement("li");
   item.className = "gc-result-item";
   item.role = "option";
 
   let itemCategory = document.createElement("div");
   itemCategory.className = "gc-result-category";
-  itemCategory.innerText = type;
+  itemCategory.innerText = category;
   let itemName = document.createElement("div");
   itemName.className = "gc-result-name";
   itemName.innerText = name;
@@ -127,159 +44,323 @@ function geocoderResultEntry(result) {
   return item;
 }
 
-function geocoderResponse(data) {
-  liveResults.innerHTML = "";
-
-  for (let i = 0; i < data.features.length; i++) {
-    resultGeometry[i] = data.features[i].properties.extent;
-    resultPoint[i] = data.features[i].geometry.coordinates;
-    let result = geocoderResultEntry(data.features[i]);
-    liveResults.appendChild(result);
-    result.onclick = (e) => goToResult(i);
+/**
+ * A search box that looks up places using a geocoder and lists them as the
+ * user types.
+ */
+export class SearchControl extends maplibregl.Evented {
+  /**
+   * @param {object} options
+   * @param {object} options.geocoder - The geocoder that looks up places, as
+   *  returned by `createGeocoder`. Defaults to the public Photon instance.
+   * @param {number} options.limit - Maximum number of results, if not the
+   *  geocoder's own limit.
+   * @param {boolean} options.hash - Whether to record the selected result in
+   *  the URL hash rather than showing it directly.
+   */
+  constructor({ geocoder = new PhotonGeocoder(), limit, hash = true } = {}) {
+    super();
+    this._geocoder = geocoder;
+    this._limit = limit;
+    this._hash = hash;
+    this._resultSelectIndex = -1;
+    this._results = [];
   }
-}
 
-function search(e) {
-  let queryTerm = e.target.value;
-  resultSelectIndex = -1;
-  if (queryTerm.length < 3) {
-    searchInput.classList.remove("pending");
-    liveResults.innerHTML = "";
-    return;
+  _goToResult(index) {
+    let result = this._results[index];
+    this._resultSelectIndex = -1;
+    this._results = [];
+    this._liveResults.innerHTML = "";
+
+    //Clear search box
+    this._searchInput.value = "";
+    this._searchInput.classList.remove("pending");
+    this._map.getCanvas().focus();
+
+    //Zoom map to search result
+    if (result.route != undefined) {
+      if (this._hash) {
+        setHighlightedRoute(result.route);
+      } else {
+        this._map.highlightedRoute = result.route;
+      }
+      return;
+    }
+    let selection = {
+      center: result.center,
+      bbox: result.bbox,
+      name: result.name,
+    };
+    this._select(selection);
+    if (result.bbox != undefined) {
+      this._map.fitBounds(result.bbox);
+    } else {
+      this._map.setCenter(result.center);
+    }
   }
 
-  let position = map.getCenter();
-  let searchQuery = new URL("https://photon.komoot.io/api/?limit=3");
-  console.log(map.getZoom());
-
-  //Low zoom: generate "generic" search results
-  //High zoom: generate location-specific search results
-  if (map.getZoom() > 5) {
-    searchQuery.searchParams.set("lat", position.lat);
-    searchQuery.searchParams.set("lon", position.lng);
+  /**
+   * Marks the given search result, or clears the marker, either through the
+   * URL hash or directly, depending on the `hash` option.
+   */
+  _select(selection) {
+    if (this._hash) {
+      setSearchSelection(selection);
+    } else {
+      this.selection = selection;
+    }
   }
 
-  searchQuery.searchParams.set("q", e.target.value);
+  _showResults(results) {
+    this._liveResults.innerHTML = "";
+    this._results = [];
 
-  doSearch(searchQuery);
-}
-
-async function doSearch(searchQuery) {
-  //Abort prior search in progress
-  lastSearchRequest?.abort();
-  const controller = new AbortController();
-  lastSearchRequest = controller;
-
-  try {
-    if (!searchInput.classList.contains("pending")) {
-      searchInput.classList.add("pending");
-      searchInput.animate({ backgroundImage: ["none", "none"] }, 300);
+    //A query that names a route offers to highlight it before any places
+    if (this._queryRoute) {
+      this._results.push({ route: this._queryRoute });
+      this._liveResults.appendChild(
+        resultEntry("route", this._queryRoute.ref, this._queryRoute.network)
+      );
     }
-    const response = await fetch(searchQuery, { signal: controller.signal });
-    const data = await response.json();
 
-    if (controller.signal.aborted) {
-      return;
+    for (let result of results) {
+      this._results.push(result);
+      this._liveResults.appendChild(
+        resultEntry(result.category, result.name, result.description)
+      );
     }
-    searchInput.classList.remove("pending");
-    geocoderResponse(data);
-  } catch (e) {
-    if (e instanceof DOMException) {
-      //Do nothing; this is normal when search result is aborted by an
-      //additional keystroke
-    }
-  }
-}
 
-function arrowNavigate(e) {
-  if (e.defaultPrevented) {
-    return; // Do nothing if event already handled
+    [...this._liveResults.children].forEach((item, i) => {
+      item.onclick = (e) => this._goToResult(i);
+    });
   }
 
-  let priorIndex = resultSelectIndex;
-
-  switch (e.code) {
-    case "ArrowUp":
-      // up arrow
-      resultSelectIndex--;
-      e.preventDefault();
-      break;
-    case "ArrowDown":
-      // down arrow
-      resultSelectIndex++;
-      e.preventDefault();
-      break;
-    case "Enter":
-      if (liveResults.children.length === 0) {
-        e.preventDefault();
-        return; // Do nothing if no results
-      }
+  _search = () => {
+    let queryTerm = this._searchInput.value;
+    this._resultSelectIndex = -1;
+    this._queryRoute = parseRouteQuery(queryTerm);
+    if (this._queryRoute) {
+      this._showResults([]);
+    }
+    if (queryTerm.length < 3) {
+      this._lastSearchRequest?.abort();
+      this._searchInput.classList.remove("pending");
+      this._liveResults.innerHTML = "";
+      return;
+    }
 
-      let navIndex = resultSelectIndex < 0 ? 0 : resultSelectIndex;
+    this._doSearch(queryTerm);
+  };
 
-      goToResult(navIndex);
-      return;
-    default:
-      return;
-  }
+  async _doSearch(queryTerm) {
+    //Abort prior search in progress
+    this._lastSearchRequest?.abort();
+    const controller = new AbortController();
+    this._lastSearchRequest = controller;
 
-  if (resultSelectIndex >= liveResults.children.length) {
-    resultSelectIndex = liveResults.children.length - 1;
-  }
-  if (resultSelectIndex < -1) {
-    resultSelectIndex = -1;
+    try {
+      if (!this._searchInput.classList.contains("pending")) {
+        this._searchInput.classList.add("pending");
+        this._searchInput.animate({ backgroundImage: ["none", "none"] }, 300);
+      }
+      const results = await this._geocoder.search(queryTerm, {
+        center: this._map.getCenter(),
+        bounds: this._map.getBounds().toArray().flat(),
+        zoom: this._map.getZoom(),
+        kind: this._kindSelect.value || undefined,
+        limit: this._limit,
+        signal: controller.signal,
+      });
+
+      if (controller.signal.aborted) {
+        return;
+      }
+      this._searchInput.classList.remove("pending");
+      this._showResults(results);
+    } catch (e) {
+      if (e instanceof DOMException) {
+        //Do nothing; this is normal when search result is aborted by an
+        //additional keystroke
+      } else {
+        this._searchInput.classList.remove("pending");
+        console.error("Search failed:", e);
+      }
+    }
   }
 
-  if (priorIndex >= 0) {
-    liveResults.children[priorIndex].classList.remove(
-      "gc-result-item-selected"
-    );
-  }
-  if (resultSelectIndex >= 0) {
-    const selectedItem = liveResults.children[resultSelectIndex];
-    selectedItem.classList.add("gc-result-item-selected");
-    searchInput.ariaActiveDescendantElement = selectedItem;
-  } else {
-    searchInput.ariaActiveDescendantElement = null;
-  }
-}
+  _arrowNavigate = (e) => {
+    if (e.defaultPrevented) {
+      return; // Do nothing if event already handled
+    }
 
-export class PhotonSearchControl extends maplibregl.Evented {
-  constructor() {
-    super();
-  }
+    let liveResults = this._liveResults;
+    let priorIndex = this._resultSelectIndex;
+
+    switch (e.code) {
+      case "Escape":
+        //Clear the results, then the marker
+        if (liveResults.children.length) {
+          this._lastSearchRequest?.abort();
+          this._searchInput.value = "";
+          this._searchInput.classList.remove("pending");
+          liveResults.innerHTML = "";
+          this._resultSelectIndex = -1;
+        } else {
+          this._select(undefined);
+        }
+        e.preventDefault();
+        return;
+      case "ArrowUp":
+        // up arrow
+        this._resultSelectIndex--;
+        e.preventDefault();
+        break;
+      case "ArrowDown":
+        // down arrow
+        this._resultSelectIndex++;
+        e.preventDefault();
+        break;
+      case "Enter":
+        if (liveResults.children.length === 0) {
+          e.preventDefault();
+          return; // Do nothing if no results
+        }
+
+        let navIndex =
+          this._resultSelectIndex < 0 ? 0 : this._resultSelectIndex;
+
+        this._goToResult(navIndex);
+        return;
+      default:
+        return;
+    }
+
+    if (this._resultSelectIndex >= liveResults.children.length) {
+      this._resultSelectIndex = liveResults.children.length - 1;
+    }
+    if (this._resultSelectIndex < -1) {
+      this._resultSelectIndex = -1;
+    }
+
+    if (priorIndex >= 0) {
+      liveResults.children[priorIndex].classList.remove(
+        "gc-result-item-selected"
+      );
+    }
+    if (this._resultSelectIndex >= 0) {
+      const selectedItem = liveResults.children[this._resultSelectIndex];
+      selectedItem.classList.add("gc-result-item-selected");
+      this._searchInput.ariaActiveDescendantElement = selectedItem;
+    } else {
+      this._searchInput.ariaActiveDescendantElement = null;
+    }
+  };
 
   onAdd(map) {
     this._map = map;
+    let resultsID = `geocoder-live-results-${controlCount++}`;
 
-    searchInput = document.createElement("input");
-    searchInput.id = "geocoder-search-input";
+    let searchInput = document.createElement("input");
+    searchInput.className = "geocoder-search-input";
     searchInput.type = "search";
     searchInput.role = "combobox";
     searchInput.ariaExpanded = true;
-    searchInput.setAttribute("aria-controls", "geocoder-live-results");
+    searchInput.setAttribute("aria-controls", resultsID);
     searchInput.placeholder = "Search";
     searchInput.autocomplete = "off";
-    searchInput.addEventListener("input", search);
-    searchInput.addEventListener("keydown", arrowNavigate);
+    searchInput.addEventListener("input", this._search);
+    searchInput.addEventListener("keydown", this._arrowNavigate);
+    this._searchInput = searchInput;
+
+    this._kindSelect = document.createElement("select");
+    this._kindSelect.className = "geocoder-kind";
+    this._kindSelect.title = "Kind of results";
+    for (let [kind, label] of Object.entries(resultKinds)) {
+      this._kindSelect.add(new Option(label, kind));
+    }
+    this._kindSelect.addEventListener("change", this._search);
 
     var form = document.createElement("form");
-    form.appendChild(searchInput);
+    form.append(searchInput, this._kindSelect);
 
-    liveResults = document.createElement("ul");
-    liveResults.id = "geocoder-live-results";
+    let liveResults = document.createElement("ul");
+    liveResults.id = resultsID;
+    liveResults.className = "geocoder-live-results";
     liveResults.role = "listbox";
+    this._liveResults = liveResults;
 
     this._container = document.createElement("div");
-    this._container.id = "geocoder-search-panel";
-    this._container.className = "maplibregl-ctrl";
+    this._container.className = "maplibregl-ctrl geocoder-search-panel";
     this._container.append(form, liveResults);
 
     return this._container;
   }
 
+  /**
+   * The search result marked on the map, if any.
+   *
+   * @type {{center: number[], bbox?: number[], name: string} | undefined}
+   */
+  get selection() {
+    return this._selection;
+  }
+
+  set selection(newValue) {
+    this._selection = newValue;
+    this._marker?.remove();
+    this._marker = undefined;
+    this._showSelectionBounds(newValue);
+    if (!newValue) {
+      return;
+    }
+
+    let content = document.createElement("div");
+    content.className = "geocoder-marker-popup";
+    let name = document.createElement("div");
+    name.className = "gc-result-name";
+    name.innerText = newValue.name;
+    let clear = document.createElement("button");
+    clear.type = "button";
+    clear.innerText = "Clear";
+    clear.addEventListener("click", () => this._select(undefined));
+    content.append(name, clear);
+
+    this._marker = new maplibregl.Marker({ color: "#c71585" })
+      .setLngLat(newValue.center)
+      .setPopup(new maplibregl.Popup({ offset: 25 }).setDOMContent(content))
+      .addTo(this._map);
+  }
+
+  /**
+   * Outlines the bounds of the given search result, so that a result that is
+   * not a point, such as a road or an area, is highlighted in full.
+   */
+  _showSelectionBounds(selection) {
+    let map = this._map;
+    Promise.resolve(map.style.loaded() || map.once("styledata")).then(() => {
+      let data = getSelectionFeatures(selection);
+      let source = map.getSource(SearchSelectionLayers.source);
+      if (source) {
+        source.setData(data);
+      } else if (data.features.length) {
+        map.addSource(SearchSelectionLayers.source, { type: "geojson", data });
+        for (let layer of SearchSelectionLayers.layers) {
+          map.addLayer(layer);
+        }
+      }
+    });
+  }
+
   onRemove() {
+    this._marker?.remove();
+    this._lastSearchRequest?.abort();
     this._container.parentNode.removeChild(this._container);
     this._map = undefined;
   }
 }
+
+/**
+ * The search control, by its name from when it only supported Photon.
+ */
+export const PhotonSearchControl = SearchControl;
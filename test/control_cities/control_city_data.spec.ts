@@ -0,0 +1,124 @@
+import { expect } from "chai";
+import {
+  buildControlCities,
+  countDestinationSigns,
+  parseControlCityCSV,
+  type OSMFeature,
+} from "../../scripts/control_city_data";
+
+function place(
+  name: string,
+  coordinates: [number, number],
+  tags: object = {}
+): OSMFeature {
+  return {
+    type: "Feature",
+    properties: { name, place: "city", ...tags },
+    geometry: { type: "Point", coordinates },
+  };
+}
+
+function link(destination: string, coordinates: [number, number]): OSMFeature {
+  return {
+    type: "Feature",
+    properties: { highway: "motorway_link", destination },
+    geometry: {
+      type: "LineString",
+      coordinates: [coordinates, [coordinates[0] + 0.01, coordinates[1]]],
+    },
+  };
+}
+
+const springfieldIL = place("Springfield", [-89.65, 39.78], {
+  capital: "4",
+  "name:es": "Springfield",
+});
+const springfieldMO = place("Springfield", [-93.29, 37.21]);
+const chicago = place("Chicago", [-87.63, 41.88], { "name:zh": "芝加哥" });
+
+describe("control_city_data", function () {
+  describe("#parseControlCityCSV", function () {
+    it("parses quoted fields and capitals", function () {
+      let rows = parseControlCityCSV(
+        'state,name,longitude,latitude,capital\nUS-DC,"Washington, D.C.",-77.04,38.91,2\r\nUS-IL,Chicago,-87.63,41.88,\n'
+      );
+      expect(rows).to.deep.equal([
+        {
+          state: "US-DC",
+          name: "Washington, D.C.",
+          longitude: -77.04,
+          latitude: 38.91,
+          capital: 2,
+        },
+        { state: "US-IL", name: "Chicago", longitude: -87.63, latitude: 41.88 },
+      ]);
+    });
+    it("requires coordinates", function () {
+      expect(() =>
+        parseControlCityCSV("state,name,longitude,latitude\nUS-IL,Chicago,,\n")
+      ).to.throw("line 2");
+      expect(() => parseControlCityCSV("state,name\nUS-IL,Chicago\n")).to.throw(
+        "longitude"
+      );
+    });
+  });
+
+  describe("#countDestinationSigns", function () {
+    it("counts signs toward the nearest place by that name", function () {
+      let counts = countDestinationSigns([
+        springfieldIL,
+        springfieldMO,
+        chicago,
+        link("Springfield;Chicago", [-89.5, 40.5]),
+        link("Springfield", [-93, 37.5]),
+        link("Springfield", [-90, 39]),
+      ]);
+      expect(counts.get(springfieldIL)).to.equal(2);
+      expect(counts.get(springfieldMO)).to.equal(1);
+      expect(counts.get(chicago)).to.equal(1);
+    });
+  });
+
+  describe("#buildControlCities", function () {
+    it("adds translations and capitals to listed cities", function () {
+      let cities = buildControlCities(
+        [
+          {
+            state: "US-IL",
+            name: "Springfield",
+            longitude: -89.6501,
+            latitude: 39.7817,
+          },
+        ],
+        [springfieldIL, springfieldMO]
+      );
+      expect(cities).to.deep.equal([
+        {
+          type: "Feature",
+          properties: {
+            name: "Springfield",
+            "name:es": "Springfield",
+            state: "US-IL",
+            capital: 4,
+          },
+          geometry: { type: "Point", coordinates: [-89.6501, 39.7817] },
+        },
+      ]);
+    });
+    it("adds frequently signed places", function () {
+      let cities = buildControlCities(
+        [],
+        [
+          springfieldIL,
+          chicago,
+          link("Chicago", [-88, 41.5]),
+          link("Chicago;Springfield", [-88.5, 41]),
+        ],
+        2
+      );
+      expect(cities.map((c) => c.properties)).to.deep.equal([
+        { name: "Chicago", "name:zh": "芝加哥", signs: 2 },
+      ]);
+    });
+  });
+});
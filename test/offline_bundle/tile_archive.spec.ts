@@ -0,0 +1,112 @@
+import { expect } from "chai";
+import { gzipSync } from "node:zlib";
+import type { StyleSpecification } from "@maplibre/maplibre-gl-style-spec";
+import {
+  bundleStyle,
+  fontStacks,
+  gunzipTile,
+  latToTileY,
+  lonToTileX,
+  parseBBox,
+  tilesInBBox,
+} from "../../scripts/tile_archive";
+
+const style: StyleSpecification = {
+  version: 8,
+  sprite: "https://example.com/sprites/sprite",
+  glyphs: "https://example.com/{fontstack}/{range}.pbf",
+  sources: {
+    openmaptiles: { type: "vector", url: "https://example.com/tiles.json" },
+    dem: { type: "raster-dem", url: "https://example.com/dem.json" },
+    cities: { type: "geojson", data: "controlcities.geojson" },
+  },
+  layers: [
+    { id: "background", type: "background" },
+    { id: "hillshading", type: "hillshade", source: "dem" },
+    {
+      id: "label",
+      type: "symbol",
+      source: "openmaptiles",
+      "source-layer": "place",
+      layout: { "text-font": ["Americana-Regular"] },
+    },
+    {
+      id: "label-bold",
+      type: "symbol",
+      source: "openmaptiles",
+      "source-layer": "place",
+      layout: { "text-font": ["Americana-Bold"] },
+    },
+  ],
+};
+
+describe("tile_archive", function () {
+  describe("#parseBBox", function () {
+    it("parses a bounding box", function () {
+      expect(parseBBox("-77.1,38.8,-76.9,39")).to.deep.equal([
+        -77.1, 38.8, -76.9, 39,
+      ]);
+    });
+    it("rejects malformed bounding boxes", function () {
+      expect(() => parseBBox("-77.1,38.8,-76.9")).to.throw();
+      expect(() => parseBBox("-76.9,38.8,-77.1,39")).to.throw();
+      expect(() => parseBBox("west,south,east,north")).to.throw();
+    });
+  });
+
+  describe("#tilesInBBox", function () {
+    it("converts coordinates to tiles", function () {
+      expect(lonToTileX(-180, 2)).to.equal(0);
+      expect(lonToTileX(180, 2)).to.equal(3);
+      expect(latToTileY(85, 2)).to.equal(0);
+      expect(latToTileY(-85, 2)).to.equal(3);
+    });
+    it("covers the bounding box at each zoom level", function () {
+      const tiles = [...tilesInBBox([-77.1, 38.8, -76.9, 39], 0, 10)];
+      expect(tiles.filter(([z]) => z === 0)).to.deep.equal([[0, 0, 0]]);
+      expect(tiles).to.deep.include([10, 292, 391]);
+      expect(tiles.filter(([z]) => z === 10)).to.have.lengthOf(4);
+    });
+  });
+
+  describe("#gunzipTile", function () {
+    it("decompresses gzipped tiles", function () {
+      const tile = new Uint8Array([1, 2, 3]);
+      expect([...gunzipTile(gzipSync(tile))]).to.deep.equal([1, 2, 3]);
+      expect(gunzipTile(tile)).to.equal(tile);
+    });
+  });
+
+  describe("#bundleStyle", function () {
+    it("lists font stacks", function () {
+      expect(fontStacks(style)).to.deep.equal([
+        "Americana-Regular",
+        "Americana-Bold",
+      ]);
+    });
+    it("loads resources relative to the style", function () {
+      const bundled = bundleStyle(style, [-77.1, 38.8, -76.9, 39], 0, 14);
+      expect(bundled.sprite).to.equal("sprites/sprite");
+      expect(bundled.glyphs).to.equal("fonts/{fontstack}/{range}.pbf");
+      expect(bundled.sources.openmaptiles).to.deep.equal({
+        type: "vector",
+        tiles: ["tiles/{z}/{x}/{y}.pbf"],
+        bounds: [-77.1, 38.8, -76.9, 39],
+        minzoom: 0,
+        maxzoom: 14,
+      });
+      expect(bundled.sources.cities).to.equal(style.sources.cities);
+      expect(bundled.center).to.deep.equal([-77, 38.9]);
+      expect(bundled.zoom).to.equal(10);
+    });
+    it("leaves out sources that load from another host", function () {
+      const bundled = bundleStyle(style, [-77.1, 38.8, -76.9, 39], 0, 14);
+      expect(bundled.sources).not.to.have.property("dem");
+      expect(bundled.layers.map((layer) => layer.id)).to.deep.equal([
+        "background",
+        "label",
+        "label-bold",
+      ]);
+    });
+  });
+});
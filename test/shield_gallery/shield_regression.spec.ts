@@ -0,0 +1,110 @@
+import { expect } from "chai";
+import type { ShieldDefinitions } from "@americana/maplibre-shield-generator";
+import {
+  galleryCases,
+  galleryFileName,
+  galleryReport,
+  sampleRefs,
+} from "../../scripts/shield_regression";
+
+describe("shield_regression", function () {
+  describe("#galleryCases", function () {
+    it("renders each ref length once per distinct definition", function () {
+      let cases = galleryCases({
+        "US:KY": { spriteBlank: "shield_us_ky", textColor: "black" },
+        "US:KS": { spriteBlank: "shield_us_ky", textColor: "black" },
+        "US:I": { spriteBlank: "shield_us_i", textColor: "white" },
+      } as ShieldDefinitions);
+      expect(cases.map((c) => c.network)).to.have.members([
+        ...sampleRefs.map(() => "US:I"),
+        ...sampleRefs.map(() => "US:KS"),
+      ]);
+      expect(cases.find((c) => c.network === "US:KS").networks).to.deep.equal([
+        "US:KS",
+        "US:KY",
+      ]);
+      expect(sampleRefs.map((ref) => ref.length)).to.deep.equal([
+        1, 2, 3, 4, 5, 6, 7,
+      ]);
+    });
+    it("renders overrides and text-free shields", function () {
+      let cases = galleryCases({
+        "CA:NS:S": {
+          spriteBlank: "shield_ca_ns_s",
+          notext: true,
+          overrideByName: {
+            "Angus L. MacDonald Bridge": { spriteBlank: "shield_ca_ns_s_mdb" },
+          },
+        },
+        "US:I": {
+          spriteBlank: "shield_us_i",
+          overrideByRef: { "99": { spriteBlank: "shield_us_i_99" } },
+        },
+      } as ShieldDefinitions);
+      let routes = cases.map(({ network, ref, name }) => ({
+        network,
+        ref,
+        name,
+      }));
+      expect(routes).to.deep.include.members([
+        { network: "CA:NS:S", ref: "", name: "" },
+        { network: "CA:NS:S", ref: "", name: "Angus L. MacDonald Bridge" },
+        { network: "US:I", ref: "99", name: "" },
+      ]);
+      expect(routes.filter((r) => r.network === "CA:NS:S")).to.have.length(2);
+    });
+  });
+
+  describe("#galleryFileName", function () {
+    it("escapes networks, refs and names", function () {
+      expect(
+        galleryFileName({
+          network: "US:I",
+          networks: ["US:I"],
+          ref: "A/7",
+          name: "",
+        })
+      ).to.equal("US%3AI/ref-A%2F7.png");
+      expect(
+        galleryFileName({
+          network: "CA:NS:S",
+          networks: ["CA:NS:S"],
+          ref: "",
+          name: "Big Bridge",
+        })
+      ).to.equal("CA%3ANS%3AS/noref_name-Big%20Bridge.png");
+    });
+  });
+
+  describe("#galleryReport", function () {
+    it("lists only the shields that differ", function () {
+      let html = galleryReport(
+        [
+          {
+            file: "US%3AI/ref-1.png",
+            status: "unchanged",
+            misMatchPercentage: 0,
+          },
+          {
+            file: "US%3AI/ref-95.png",
+            status: "changed",
+            misMatchPercentage: 1.5,
+            galleryCase: {
+              network: "US:I",
+              networks: ["US:I"],
+              ref: "95",
+              name: "",
+            },
+          },
+          { file: "US%3AUS/ref-1.png", status: "removed" },
+        ],
+        { baseline: "../baseline", current: "current", diff: "diff" }
+      );
+      expect(html).to.include("2 of 3 shields differ");
+      expect(html).to.include("changed (1.50%)");
+      expect(html).to.include('src="diff/US%253AI/ref-95.png"');
+      expect(html).to.include("US:US ref-1");
+      expect(html).not.to.include("US%253AI/ref-1.png");
+    });
+  });
+});
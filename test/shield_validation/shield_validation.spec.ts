@@ -0,0 +1,147 @@
+import { expect } from "chai";
+import * as fs from "node:fs";
+import type { ShieldSpecification } from "@americana/maplibre-shield-generator";
+import {
+  definitionProblems,
+  schemaProblems,
+  validateShields,
+} from "../../scripts/shield_validation";
+
+const schema = JSON.parse(
+  fs.readFileSync("shieldlib/dist/shields.schema.json", "utf8")
+);
+
+const options = {
+  bannerTextColor: "#000",
+  bannerTextHaloColor: "#fff",
+  bannerHeight: 9,
+  bannerPadding: 1,
+  shieldFont: "sans-serif",
+  shieldSize: 20,
+};
+
+function spec(networks: object): ShieldSpecification {
+  return { networks, options } as ShieldSpecification;
+}
+
+const sprites = new Set(["shield_us_i_2", "shield_us_i_3"]);
+
+describe("shield_validation", function () {
+  it("accepts valid definitions", function () {
+    let shields = spec({
+      "US:I": {
+        spriteBlank: ["shield_us_i_2", "shield_us_i_3"],
+        textColor: "white",
+        bannerMap: { "US:I:Business": ["BUS"] },
+      },
+      "US:KY": {
+        shapeBlank: {
+          drawFunc: "ellipse",
+          params: { fillColor: "white", strokeColor: "black" },
+        },
+        textLayout: { constraintFunc: "ellipse" },
+      },
+    });
+    expect(validateShields(shields, schema, sprites)).to.be.empty;
+  });
+
+  describe("#schemaProblems", function () {
+    it("reports unknown properties once", function () {
+      let problems = schemaProblems(
+        spec({ "US:I": { spriteBlank: "shield_us_i_2", texColor: "white" } }),
+        schema
+      );
+      expect(problems).to.deep.equal([
+        { path: "/networks/US:I", message: 'unknown property "texColor"' },
+      ]);
+    });
+    it("reports mistyped values", function () {
+      let problems = schemaProblems(
+        spec({ "US:I": { spriteBlank: "shield_us_i_2", notext: "yes" } }),
+        schema
+      );
+      expect(problems.map((p) => p.path)).to.deep.equal([
+        "/networks/US:I/notext",
+      ]);
+    });
+  });
+
+  describe("#definitionProblems", function () {
+    it("reports unregistered draw functions", function () {
+      let problems = definitionProblems(
+        spec({
+          "US:KY": {
+            shapeBlank: {
+              drawFunc: "elipse",
+              params: { fillColor: "white", strokeColor: "black" },
+            },
+          },
+        }),
+        sprites
+      );
+      expect(problems).to.deep.equal([
+        {
+          path: "/networks/US:KY/shapeBlank/drawFunc",
+          message: 'unknown draw function "elipse"',
+        },
+      ]);
+    });
+    it("reports missing sprites in overrides", function () {
+      let problems = definitionProblems(
+        spec({
+          "US:I": {
+            spriteBlank: "shield_us_i_2",
+            overrideByRef: { "99": { spriteBlank: ["shield_us_i_99"] } },
+          },
+        }),
+        sprites
+      );
+      expect(problems).to.deep.equal([
+        {
+          path: "/networks/US:I/overrideByRef/99/spriteBlank/0",
+          message: 'no sprite named "shield_us_i_99"',
+        },
+      ]);
+    });
+    it("reports invalid colors", function () {
+      let problems = definitionProblems(
+        spec({ "US:I": { spriteBlank: "shield_us_i_2", textColor: "whit" } }),
+        sprites
+      );
+      expect(problems.map((p) => p.path)).to.deep.equal([
+        "/networks/US:I/textColor",
+      ]);
+    });
+    it("reports overlong banners", function () {
+      let problems = definitionProblems(
+        spec({
+          "US:I": { spriteBlank: "shield_us_i_2", banners: ["TRUCK"] },
+        }),
+        sprites
+      );
+      expect(problems.map((p) => p.path)).to.deep.equal([
+        "/networks/US:I/banners/0",
+      ]);
+    });
+    it("reports conflicting banner maps", function () {
+      let problems = definitionProblems(
+        spec({
+          "US:I": {
+            spriteBlank: "shield_us_i_2",
+            bannerMap: { "US:I:Business": ["BUS"] },
+          },
+          "US:I:Business": { spriteBlank: "shield_us_i_3" },
+          "US:I:Future": {
+            spriteBlank: "shield_us_i_3",
+            bannerMap: { "US:I:Business": ["BUS"] },
+          },
+        }),
+        sprites
+      );
+      expect(problems.map((p) => p.path)).to.deep.equal([
+        "/networks/US:I/bannerMap/US:I:Business",
+        "/networks/US:I:Future/bannerMap/US:I:Business",
+      ]);
+    });
+  });
+});
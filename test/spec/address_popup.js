@@ -0,0 +1,50 @@
+"use strict";
+
+import { expect } from "chai";
+import { getNearestAddress } from "../../src/js/address_popup.js";
+
+describe("address popup", function () {
+  describe("#getNearestAddress", function () {
+    const streets = [
+      {
+        name: "Main Street",
+        lines: [
+          [
+            { x: 0, y: 100 },
+            { x: 200, y: 100 },
+          ],
+        ],
+      },
+      {
+        name: "Oak Avenue",
+        lines: [
+          [
+            { x: 150, y: 0 },
+            { x: 150, y: 60 },
+          ],
+        ],
+      },
+    ];
+    it("pairs the nearest house number with the street nearest to it", function () {
+      let housenumbers = [
+        { housenumber: "12", point: { x: 50, y: 90 } },
+        { housenumber: "14", point: { x: 140, y: 30 } },
+      ];
+      expect(
+        getNearestAddress({ x: 55, y: 70 }, housenumbers, streets)
+      ).to.deep.equal({ housenumber: "12", street: "Main Street" });
+      expect(
+        getNearestAddress({ x: 120, y: 40 }, housenumbers, streets)
+      ).to.deep.equal({ housenumber: "14", street: "Oak Avenue" });
+    });
+    it("falls back to the street nearest to the clicked point", function () {
+      expect(getNearestAddress({ x: 145, y: 20 }, [], streets)).to.deep.equal({
+        housenumber: undefined,
+        street: "Oak Avenue",
+      });
+    });
+    it("returns nothing without house numbers or streets", function () {
+      expect(getNearestAddress({ x: 0, y: 0 }, [], [])).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,163 @@
+"use strict";
+
+import { expect } from "chai";
+import {
+  createGeocoder,
+  LocalGeocoder,
+  NominatimGeocoder,
+} from "../../src/geocoder/index.js";
+import {
+  buildPlaceIndex,
+  nearestPlace,
+  searchPlaceIndex,
+} from "../../src/geocoder/local.js";
+import { nominatimResult } from "../../src/geocoder/nominatim.js";
+import { photonResult } from "../../src/geocoder/photon.js";
+
+function place(name, coordinates, properties = {}) {
+  return {
+    type: "Feature",
+    properties: { name, ...properties },
+    geometry: { type: "Point", coordinates },
+  };
+}
+
+describe("geocoder", function () {
+  describe("#createGeocoder", function () {
+    it("configures the selected geocoder", function () {
+      let geocoder = createGeocoder({
+        type: "nominatim",
+        url: "https://nominatim.example.com/search",
+      });
+      expect(geocoder).to.be.an.instanceof(NominatimGeocoder);
+      expect(geocoder.url).to.equal("https://nominatim.example.com/search");
+      expect(createGeocoder({ type: "local" })).to.be.an.instanceof(
+        LocalGeocoder
+      );
+    });
+    it("rejects unknown geocoders", function () {
+      expect(() => createGeocoder({ type: "pelias" })).to.throw("pelias");
+    });
+  });
+
+  describe("#photonResult", function () {
+    it("describes a road", function () {
+      expect(
+        photonResult({
+          geometry: { type: "Point", coordinates: [-77.03, 38.9] },
+          properties: {
+            type: "house",
+            osm_key: "highway",
+            osm_value: "residential",
+            name: "K Street Northwest",
+            city: "Washington",
+            country: "United States",
+            extent: [-77.05, 38.91, -77.01, 38.9],
+          },
+        })
+      ).to.deep.equal({
+        name: "K Street Northwest",
+        category: "road",
+        kind: "road",
+        description: "Washington, United States",
+        center: [-77.03, 38.9],
+        bbox: [-77.05, 38.9, -77.01, 38.91],
+      });
+    });
+  });
+
+  describe("#nominatimResult", function () {
+    it("describes an address", function () {
+      expect(
+        nominatimResult({
+          lat: "38.8977",
+          lon: "-77.0365",
+          category: "building",
+          type: "yes",
+          name: "",
+          display_name: "1600, Pennsylvania Avenue Northwest, Washington",
+          address: {
+            house_number: "1600",
+            road: "Pennsylvania Avenue Northwest",
+            city: "Washington",
+            country: "United States",
+          },
+          boundingbox: ["38.897", "38.898", "-77.037", "-77.036"],
+        })
+      ).to.deep.equal({
+        name: "1600 Pennsylvania Avenue Northwest",
+        category: "building",
+        kind: "poi",
+        description: "Washington, United States",
+        center: [-77.0365, 38.8977],
+        bbox: [-77.037, 38.897, -77.036, 38.898],
+      });
+    });
+  });
+
+  describe("#searchPlaceIndex", function () {
+    let index = buildPlaceIndex({
+      type: "FeatureCollection",
+      features: [
+        place("Springfield", [-89.65, 39.78], { state: "US-IL" }),
+        place("Springfield", [-72.59, 42.1], { state: "US-MA" }),
+        place("St. Louis", [-90.2, 38.63], { "name:fr": "Saint-Louis" }),
+        place("San José", [-121.89, 37.34]),
+        place("Springfield Mall", [-77.17, 38.77], { class: "shop" }),
+      ],
+    });
+    let names = (results) => results.map((r) => r.description || r.name);
+
+    it("matches names by prefix", function () {
+      expect(names(searchPlaceIndex(index, "spring"))).to.deep.equal([
+        "US-IL",
+        "US-MA",
+        "Springfield Mall",
+      ]);
+    });
+    it("filters by kind", function () {
+      expect(
+        names(searchPlaceIndex(index, "spring", { kind: "poi" }))
+      ).to.deep.equal(["Springfield Mall"]);
+    });
+    it("prefers exact matches, then places near the center", function () {
+      expect(
+        names(
+          searchPlaceIndex(index, "Springfield", {
+            center: { lng: -77, lat: 39 },
+          })
+        )
+      ).to.deep.equal(["US-MA", "US-IL", "Springfield Mall"]);
+    });
+    it("ignores diacritics and matches translations", function () {
+      expect(names(searchPlaceIndex(index, "san jose"))).to.deep.equal([
+        "San José",
+      ]);
+      expect(names(searchPlaceIndex(index, "saint louis"))).to.deep.equal([
+        "St. Louis",
+      ]);
+    });
+    it("limits the results", function () {
+      expect(searchPlaceIndex(index, "s", { limit: 2 })).to.have.length(2);
+      expect(searchPlaceIndex(index, "  ")).to.be.empty;
+    });
+  });
+
+  describe("#nearestPlace", function () {
+    let index = buildPlaceIndex({
+      type: "FeatureCollection",
+      features: [
+        place("Springfield", [-89.65, 39.78], { state: "US-IL" }),
+        place("Springfield", [-72.59, 42.1], { state: "US-MA" }),
+      ],
+    });
+    it("finds the closest place", function () {
+      expect(nearestPlace(index, { lng: -73, lat: 42 }).description).to.equal(
+        "US-MA"
+      );
+    });
+    it("finds nothing in an empty index", function () {
+      expect(nearestPlace([], { lng: -73, lat: 42 })).to.be.undefined;
+    });
+  });
+});
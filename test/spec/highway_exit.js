@@ -0,0 +1,90 @@
+"use strict";
+
+import { expect } from "chai";
+import * as HighwayExitLayers from "../../src/layer/highway_exit.js";
+import { expression, latest } from "@maplibre/maplibre-gl-style-spec";
+
+function evaluate(textField, properties) {
+  let parsed = expression.createExpression(
+    textField,
+    "layers[0].layout.text-field",
+    latest.layout_symbol["text-field"]
+  );
+  expect(parsed.result).to.equal("success");
+  return parsed.value.evaluate({ zoom: 16 }, { properties }, {}, undefined, []);
+}
+
+function sectionText(formatted) {
+  return formatted.sections
+    .map((s) => (s.image?.name ? `[${s.image.name}]` : s.text))
+    .join("");
+}
+
+describe("highway_exit", function () {
+  describe("#destinationRefSections", function () {
+    let textField = [
+      "format",
+      ...HighwayExitLayers.destinationRefSections(["get", "ref"]),
+    ];
+    let evaluated = (ref) => evaluate(textField, { ref }).sections;
+
+    it("renders Interstates and U.S. routes as shields", function () {
+      let [shield, text] = evaluated("I 95");
+      expect(shield.image.name).to.equal("shield\nUS:I\n95\n\n");
+      expect(text.text).to.equal("");
+      expect(evaluated("US 50")[0].image.name).to.equal(
+        "shield\nUS:US\n50\n\n"
+      );
+    });
+    it("spells out routes in other networks", function () {
+      let [shield, text] = evaluated("SR 50");
+      expect(shield.image).to.be.null;
+      expect(text.text).to.equal("SR 50");
+      expect(evaluated("Turnpike")[1].text).to.equal("Turnpike");
+    });
+  });
+
+  describe("#exitDestination", function () {
+    it("combines the exit number, routes and destinations", function () {
+      let formatted = evaluate(
+        HighwayExitLayers.exitDestination.layout["text-field"],
+        {
+          subclass: "junction",
+          ref: "12A",
+          "destination:ref": "I 95;SR 50",
+          destination: "Baltimore;Annapolis",
+        }
+      );
+      expect(sectionText(formatted)).to.equal(
+        "EXIT 12A\n[shield\nUS:I\n95\n\n] SR 50\nBaltimore\nAnnapolis"
+      );
+    });
+    it("falls back to exit_to", function () {
+      let formatted = evaluate(
+        HighwayExitLayers.exitDestination.layout["text-field"],
+        {
+          subclass: "junction",
+          exit_to: "Main Street",
+        }
+      );
+      expect(sectionText(formatted)).to.equal("Main Street");
+    });
+  });
+
+  describe("#exitDestinationAbbreviated", function () {
+    it("shows only the first route and destination", function () {
+      let formatted = evaluate(
+        HighwayExitLayers.exitDestinationAbbreviated.layout["text-field"],
+        {
+          subclass: "junction",
+          ref: "12A",
+          "destination:ref": "I 95;SR 50",
+          destination: "Baltimore;Annapolis",
+        }
+      );
+      expect(sectionText(formatted)).to.equal(
+        "EXIT 12A\n[shield\nUS:I\n95\n\n]\nBaltimore"
+      );
+    });
+  });
+});
@@ -91,4 +91,56 @@ describe("highway_shield", function () {
       );
     });
   });
+
+  describe("#parseStackImageName", function () {
+    let evaluatedExpression = (properties) =>
+      expression
+        .createExpression(
+          HighwayShieldLayers.getStackImageNameExpression("horizontal"),
+          "layers[0].layout.text-field"
+        )
+        .value.expression.evaluate(expressionContext(properties));
+
+    it("parses a stack of concurrent routes", function () {
+      let imageName = evaluatedExpression({
+        route_1_network: "US:I",
+        route_1_ref: "70",
+        route_2_network: "US:US",
+        route_2_ref: "40",
+        route_2_name: "National Road",
+      });
+      expect(imageName).to.equal(
+        "shield-stack\nhorizontal\nUS:I\n70\n\n\nUS:US\n40\nNational Road\n"
+      );
+      expect(
+        HighwayShieldLayers.parseStackImageName(imageName)
+      ).to.be.deep.equal({
+        direction: "horizontal",
+        imageName,
+        routes: [
+          {
+            imageName: "shield\nUS:I\n70\n\n",
+            network: "US:I",
+            ref: "70",
+            name: "",
+            color: "",
+          },
+          {
+            imageName: "shield\nUS:US\n40\nNational Road\n",
+            network: "US:US",
+            ref: "40",
+            name: "National Road",
+            color: "",
+          },
+        ],
+      });
+    });
+    it("ignores an image name for a single route", function () {
+      expect(HighwayShieldLayers.parseStackImageName("shield\nUS:I\n70\n\n")).to
+        .be.undefined;
+      expect(
+        HighwayShieldLayers.parseImageNames("shield\nUS:I\n70\n\n")
+      ).to.have.lengthOf(1);
+    });
+  });
 });
@@ -0,0 +1,22 @@
+"use strict";
+
+import { expect } from "chai";
+import { getTerrainModes } from "../../src/js/hillshade_control.js";
+
+describe("hillshade_control", function () {
+  describe("#getTerrainModes", function () {
+    it("defaults to no terrain", function () {
+      expect(getTerrainModes(new URLSearchParams("map=4/40/-94"))).to.be.empty;
+    });
+    it("treats a bare terrain parameter as hillshading", function () {
+      expect([
+        ...getTerrainModes(new URLSearchParams("map=4/40/-94&terrain")),
+      ]).to.deep.equal(["hillshade"]);
+    });
+    it("lists several modes", function () {
+      expect([
+        ...getTerrainModes(new URLSearchParams("terrain=contours%2Ctint")),
+      ]).to.deep.equal(["contours", "tint"]);
+    });
+  });
+});
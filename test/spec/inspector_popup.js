@@ -0,0 +1,87 @@
+"use strict";
+
+import { expect } from "chai";
+import {
+  formatCoordinates,
+  getEditURL,
+  getLocalizedName,
+  groupFeaturesByLayer,
+} from "../../src/js/inspector_popup.js";
+
+function feature(layer, properties) {
+  return { layer: { id: layer }, properties };
+}
+
+describe("inspector_popup", function () {
+  describe("#formatCoordinates", function () {
+    it("formats a location in the western hemisphere", function () {
+      expect(
+        formatCoordinates({ lng: -77.0365, lat: 38.8977 }).map((c) => c.text)
+      ).to.deep.equal([
+        "38.89770, -77.03650",
+        "38° 53′ 51.7″ N, 77° 2′ 11.4″ W",
+        "38° 53.862′ N, 77° 2.190′ W",
+      ]);
+    });
+  });
+
+  describe("#getLocalizedName", function () {
+    let properties = {
+      name: "Montréal",
+      "name:en": "Montreal",
+      "name:zh-Hant": "滿地可",
+    };
+    it("prefers the first locale with a name", function () {
+      expect(getLocalizedName(properties, ["zh-Hant", "en"])).to.equal(
+        "滿地可"
+      );
+      expect(getLocalizedName(properties, ["de", "en-US"])).to.equal(
+        "Montreal"
+      );
+    });
+    it("falls back to the local name", function () {
+      expect(getLocalizedName(properties, ["de"])).to.equal("Montréal");
+    });
+  });
+
+  describe("#groupFeaturesByLayer", function () {
+    it("groups features and omits duplicates", function () {
+      expect(
+        groupFeaturesByLayer(
+          [
+            feature("road_minor", { class: "minor", name: "Elm Street" }),
+            feature("park", { class: "park", name: "Central Park" }),
+            feature("road_minor", { class: "minor", name: "Elm Street" }),
+            feature("road_minor", { class: "service", subclass: "alley" }),
+          ],
+          ["en"]
+        )
+      ).to.deep.equal([
+        {
+          layer: "road_minor",
+          features: [
+            { class: "minor", subclass: undefined, name: "Elm Street" },
+            { class: "service", subclass: "alley", name: undefined },
+          ],
+        },
+        {
+          layer: "park",
+          features: [
+            { class: "park", subclass: undefined, name: "Central Park" },
+          ],
+        },
+      ]);
+    });
+  });
+
+  describe("#getEditURL", function () {
+    it("zooms in far enough to edit", function () {
+      expect(getEditURL({ lng: -77.0365, lat: 38.8977 }, 12.4)).to.equal(
+        "https://www.openstreetmap.org/edit#map=16/38.89770/-77.03650"
+      );
+      expect(getEditURL({ lng: -77.0365, lat: 38.8977 }, 18.6)).to.equal(
+        "https://www.openstreetmap.org/edit#map=19/38.89770/-77.03650"
+      );
+    });
+  });
+});
@@ -0,0 +1,142 @@
+"use strict";
+
+import { expect } from "chai";
+import { validateStyleMin } from "@maplibre/maplibre-gl-style-spec";
+import * as MeasurementLayers from "../../src/layer/measurement.js";
+import {
+  formatArea,
+  formatDistance,
+  getArea,
+  getDistance,
+  getMeasurementFeature,
+  snapToLines,
+  usesCustomaryUnits,
+} from "../../src/js/measurement.js";
+
+describe("measurement", function () {
+  describe("#getDistance", function () {
+    it("measures along a great circle", function () {
+      // One degree of latitude is about 111 km.
+      expect(getDistance([-94, 40], [-94, 41])).to.be.closeTo(111195, 1);
+      expect(getDistance([-94, 40], [-94, 40])).to.equal(0);
+    });
+  });
+
+  describe("#getArea", function () {
+    it("measures a polygon", function () {
+      // A square about 1 km on a side at the equator
+      let side = 1000 / 111195;
+      let area = getArea([
+        [0, 0],
+        [side, 0],
+        [side, side],
+        [0, side],
+      ]);
+      expect(area).to.be.closeTo(1e6, 1e3);
+      expect(getArea([[0, 0]])).to.equal(0);
+    });
+  });
+
+  describe("#getMeasurementFeature", function () {
+    it("measures a path", function () {
+      let feature = getMeasurementFeature(
+        [
+          [-94, 40],
+          [-94, 41],
+        ],
+        false
+      );
+      expect(feature.geometry.type).to.equal("LineString");
+      expect(feature.properties.length).to.be.closeTo(111195, 1);
+      expect(feature.properties).not.to.have.property("area");
+    });
+    it("closes an area", function () {
+      let feature = getMeasurementFeature(
+        [
+          [0, 0],
+          [1, 0],
+          [0, 1],
+        ],
+        true
+      );
+      expect(feature.geometry.type).to.equal("Polygon");
+      expect(feature.geometry.coordinates[0]).to.have.length(4);
+      expect(feature.properties.area).to.be.greaterThan(0);
+    });
+    it("treats an area with too few vertices as a path", function () {
+      let feature = getMeasurementFeature([[0, 0]], true);
+      expect(feature.geometry.type).to.equal("LineString");
+      expect(feature.properties.length).to.equal(0);
+    });
+  });
+
+  describe("#usesCustomaryUnits", function () {
+    it("uses miles in the United States", function () {
+      expect(usesCustomaryUnits("en-US")).to.be.true;
+      expect(usesCustomaryUnits("en")).to.be.true;
+      expect(usesCustomaryUnits("en-CA")).to.be.false;
+      expect(usesCustomaryUnits("fr")).to.be.false;
+      expect(usesCustomaryUnits("not a locale")).to.be.false;
+    });
+  });
+
+  describe("#formatDistance", function () {
+    it("switches units by magnitude", function () {
+      expect(formatDistance(30, true, "en-US")).to.equal("98 ft");
+      expect(formatDistance(16093.44, true, "en-US")).to.equal("10 mi");
+      expect(formatDistance(30, false, "en-US")).to.equal("30 m");
+      expect(formatDistance(1500, false, "en-US")).to.equal("1.5 km");
+    });
+  });
+
+  describe("#formatArea", function () {
+    it("switches units by magnitude", function () {
+      expect(formatArea(4046.8564224, true, "en-US")).to.equal("1 ac");
+      expect(formatArea(2589988.110336 * 2, true, "en-US")).to.equal("2 mi²");
+      expect(formatArea(5000, false, "en-US")).to.equal("0.5 ha");
+      expect(formatArea(2.5e6, false, "en-US")).to.equal("2.5 km²");
+    });
+  });
+
+  describe("#snapToLines", function () {
+    let lines = [
+      [
+        { x: 0, y: 0 },
+        { x: 10, y: 0 },
+      ],
+      [
+        { x: 0, y: 5 },
+        { x: 10, y: 5 },
+      ],
+    ];
+    it("snaps to the closest line", function () {
+      expect(snapToLines({ x: 4, y: 1 }, lines, 3)).to.deep.equal({
+        x: 4,
+        y: 0,
+      });
+      expect(snapToLines({ x: 12, y: 4 }, lines, 3)).to.deep.equal({
+        x: 10,
+        y: 5,
+      });
+    });
+    it("ignores lines beyond the radius", function () {
+      expect(snapToLines({ x: 4, y: 20 }, lines, 3)).to.be.undefined;
+    });
+  });
+
+  describe("layers", function () {
+    it("are valid", function () {
+      let errors = validateStyleMin({
+        version: 8,
+        sources: {
+          [MeasurementLayers.source]: {
+            type: "geojson",
+            data: { type: "FeatureCollection", features: [] },
+          },
+        },
+        layers: MeasurementLayers.layers,
+      });
+      expect(errors).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,145 @@
+"use strict";
+
+import { expect } from "chai";
+import {
+  connectMessageBridge,
+  handleMessage,
+  serializeEvent,
+} from "../../src/js/message_bridge.js";
+
+/**
+ * A stand-in for a loaded `MapView` that records what is done to it.
+ */
+class FakeMap {
+  style = { loaded: () => true };
+  shadesHills = false;
+  showsContours = false;
+  tintsElevation = false;
+  jumpTo(options) {
+    if (!options.center) throw new Error("Invalid LngLat object");
+    this.camera = options;
+  }
+  loaded() {
+    return true;
+  }
+  on() {}
+  off() {}
+}
+
+describe("message bridge", function () {
+  describe("#handleMessage", function () {
+    it("centers the map", async function () {
+      let map = new FakeMap();
+      let handled = await handleMessage(map, {
+        type: "americana.setCenter",
+        center: [-84.5, 39.1],
+        zoom: 12,
+      });
+      expect(handled).to.be.true;
+      expect(map.camera).to.deep.include({ center: [-84.5, 39.1], zoom: 12 });
+    });
+    it("sets the languages from an array or a list", async function () {
+      let map = new FakeMap();
+      await handleMessage(map, {
+        type: "americana.setLanguage",
+        languages: ["fr", "en"],
+      });
+      expect(map.locales).to.deep.equal(["fr", "en"]);
+      await handleMessage(map, {
+        type: "americana.setLanguage",
+        languages: "es,de",
+      });
+      expect(map.locales).to.deep.equal(["es", "de"]);
+    });
+    it("rejects an empty language list", async function () {
+      let map = new FakeMap();
+      let handled = await handleMessage(map, {
+        type: "americana.setLanguage",
+        languages: [],
+      });
+      expect(handled).to.be.false;
+      expect(map.locales).to.be.undefined;
+    });
+    it("toggles only the named overlays", async function () {
+      let map = new FakeMap();
+      map.showsContours = true;
+      let handled = await handleMessage(map, {
+        type: "americana.setOverlays",
+        overlays: { hillshade: true, tint: 0, bogus: true },
+      });
+      expect(handled).to.be.true;
+      expect(map.shadesHills).to.be.true;
+      expect(map.tintsElevation).to.be.false;
+      expect(map.showsContours).to.be.true;
+      expect(map).not.to.have.property("bogus");
+    });
+    it("ignores unrecognized messages", async function () {
+      let map = new FakeMap();
+      expect(await handleMessage(map, { type: "other" })).to.be.false;
+      expect(await handleMessage(map, "americana.setCenter")).to.be.false;
+      expect(await handleMessage(map, null)).to.be.false;
+    });
+  });
+  describe("#serializeEvent", function () {
+    it("flattens a click on a point of interest", function () {
+      let data = serializeEvent("americana.poiclick", {
+        lngLat: { toArray: () => [1, 2] },
+        feature: {
+          layer: { id: "poi", type: "symbol" },
+          properties: { class: "cafe", name: "Joe's" },
+          toJSON() {},
+        },
+      });
+      expect(data).to.deep.equal({
+        type: "americana.poiclick",
+        lngLat: [1, 2],
+        feature: {
+          layer: "poi",
+          properties: { class: "cafe", name: "Joe's" },
+        },
+      });
+    });
+  });
+  describe("#connectMessageBridge", function () {
+    let originalWindow = globalThis.window;
+    let originalError = console.error;
+    let listeners;
+    beforeEach(function () {
+      console.error = () => {};
+      listeners = {};
+      globalThis.window = {
+        addEventListener: (type, listener) => (listeners[type] = listener),
+        removeEventListener: (type) => delete listeners[type],
+      };
+    });
+    afterEach(function () {
+      console.error = originalError;
+      globalThis.window = originalWindow;
+    });
+
+    it("reports a command that fails", async function () {
+      let posted = [];
+      let target = { postMessage: (data, origin) => posted.push(data) };
+      let disconnect = connectMessageBridge(new FakeMap(), {
+        origin: "https://example.com",
+        target,
+      });
+      listeners.message({
+        source: target,
+        origin: "https://example.com",
+        data: { type: "americana.setCenter" },
+      });
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(posted).to.deep.equal([
+        { type: "americana.ready" },
+        {
+          type: "americana.error",
+          request: "americana.setCenter",
+          message: "Invalid LngLat object",
+        },
+      ]);
+      disconnect();
+      expect(listeners).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,24 @@
+"use strict";
+
+import { expect } from "chai";
+import { getOverlays, overlayModes } from "../../src/js/overlay_control.js";
+import { overlayProperties } from "../../src/js/message_bridge.js";
+
+describe("overlay_control", function () {
+  describe("#getOverlays", function () {
+    it("defaults to no overlays", function () {
+      expect(getOverlays(new URLSearchParams("map=4/40/-94"))).to.be.empty;
+      expect(getOverlays(new URLSearchParams("overlay"))).to.be.empty;
+    });
+    it("lists several overlays", function () {
+      expect([
+        ...getOverlays(new URLSearchParams("overlay=cycling%2Chiking")),
+      ]).to.deep.equal(["cycling", "hiking"]);
+    });
+  });
+  it("lets an embedding page toggle every overlay", function () {
+    for (let { mode, property } of overlayModes) {
+      expect(overlayProperties[mode]).to.equal(property);
+    }
+  });
+});
@@ -0,0 +1,84 @@
+"use strict";
+
+import { expect } from "chai";
+import {
+  applyPreferences,
+  getPreference,
+  getPreferences,
+  resetPreferences,
+  setPreference,
+} from "../../src/js/preferences.js";
+
+/**
+ * An in-memory stand-in for `localStorage`.
+ */
+class MemoryStorage {
+  items = new Map();
+  getItem(key) {
+    return this.items.get(key) ?? null;
+  }
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+describe("preferences", function () {
+  describe("#setPreference", function () {
+    it("saves and forgets preferences", function () {
+      let storage = new MemoryStorage();
+      setPreference("language", "pt,es", storage);
+      setPreference("terrain", "hillshade,tint", storage);
+      expect(getPreference("language", storage)).to.equal("pt,es");
+      expect(getPreferences(storage)).to.deep.equal({
+        language: "pt,es",
+        terrain: "hillshade,tint",
+      });
+
+      setPreference("language", "", storage);
+      setPreference("terrain", null, storage);
+      expect(getPreferences(storage)).to.deep.equal({});
+    });
+    it("forgets every preference at once", function () {
+      let storage = new MemoryStorage();
+      setPreference("projection", "globe", storage);
+      resetPreferences(storage);
+      expect(getPreference("projection", storage)).to.be.undefined;
+    });
+  });
+
+  describe("#getPreferences", function () {
+    it("ignores unreadable preferences", function () {
+      let storage = new MemoryStorage();
+      storage.setItem("americana.preferences", "{");
+      expect(getPreferences(storage)).to.deep.equal({});
+      storage.setItem("americana.preferences", "null");
+      expect(getPreferences(storage)).to.deep.equal({});
+      expect(getPreferences(undefined)).to.deep.equal({});
+    });
+  });
+
+  describe("#applyPreferences", function () {
+    let preferences = {
+      language: "pt,es",
+      projection: "globe",
+      collapsedLegendSections: ["Roads"],
+    };
+    it("fills in parameters missing from the hash", function () {
+      let params = new URLSearchParams("map=4/40.5/-94");
+      expect(applyPreferences(params, preferences).toString()).to.equal(
+        "map=4%2F40.5%2F-94&language=pt%2Ces&projection=globe"
+      );
+      expect(params.has("language")).to.be.false;
+    });
+    it("prefers parameters in the hash", function () {
+      let params = new URLSearchParams("language=fr&terrain");
+      let newParams = applyPreferences(params, preferences);
+      expect(newParams.get("language")).to.equal("fr");
+      expect(newParams.get("terrain")).to.equal("");
+      expect(newParams.get("projection")).to.equal("globe");
+    });
+  });
+});
@@ -0,0 +1,86 @@
+"use strict";
+
+import { expect } from "chai";
+import { buildPDF, getPageLayout, getPrintZoom } from "../../src/js/print.js";
+
+describe("print", function () {
+  describe("#getPageLayout", function () {
+    it("prints the current view at its size", function () {
+      let layout = getPageLayout({
+        viewSize: { width: 800, height: 600 },
+        legend: false,
+      });
+      expect(layout.page).to.deep.equal({ width: 800, height: 600 });
+      expect(layout.map).to.deep.equal({
+        x: 0,
+        y: 0,
+        width: 800,
+        height: 600,
+      });
+      expect(layout.legend).to.be.false;
+    });
+    it("puts the legend beside the current view", function () {
+      let layout = getPageLayout({
+        viewSize: { width: 800, height: 600 },
+        legend: true,
+      });
+      expect(layout.page.width).to.be.greaterThan(800);
+      expect(layout.legend.x).to.equal(800);
+      expect(layout.legend.height).to.equal(600);
+    });
+    it("fits the map within the margins of a sheet of paper", function () {
+      let layout = getPageLayout({
+        paperSize: "letter",
+        orientation: "landscape",
+        viewSize: { width: 800, height: 600 },
+        legend: false,
+      });
+      expect(layout.page).to.deep.equal({ width: 1056, height: 816 });
+      expect(layout.map).to.deep.equal({
+        x: 48,
+        y: 48,
+        width: 960,
+        height: 720,
+      });
+    });
+  });
+
+  describe("#getPrintZoom", function () {
+    it("shows at least the area in view", function () {
+      let viewSize = { width: 800, height: 600 };
+      expect(getPrintZoom(10, viewSize, viewSize)).to.equal(10);
+      expect(
+        getPrintZoom(10, viewSize, { width: 1600, height: 2400 })
+      ).to.equal(11);
+      expect(getPrintZoom(10, viewSize, { width: 400, height: 600 })).to.equal(
+        9
+      );
+    });
+  });
+
+  describe("#buildPDF", function () {
+    let jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+    let pdf = new TextDecoder("latin1").decode(
+      buildPDF(jpeg, { width: 2, height: 1 }, { width: 612, height: 792 })
+    );
+
+    it("embeds the image on a page of the given size", function () {
+      expect(pdf.startsWith("%PDF-1.4\n")).to.be.true;
+      expect(pdf).to.include("/MediaBox [0 0 612 792]");
+      expect(pdf).to.include("/Width 2 /Height 1");
+      expect(pdf).to.include("/Filter /DCTDecode /Length 4");
+      expect(pdf.endsWith("%%EOF\n")).to.be.true;
+    });
+    it("indexes every object", function () {
+      let startxref = parseInt(pdf.match(/startxref\n(\d+)/)[1], 10);
+      expect(pdf.substring(startxref).startsWith("xref\n0 6\n")).to.be.true;
+      let offsets = [...pdf.matchAll(/^(\d{10}) 00000 n $/gm)].map((m) =>
+        parseInt(m[1], 10)
+      );
+      expect(offsets).to.have.length(5);
+      offsets.forEach((offset, i) => {
+        expect(pdf.substring(offset).startsWith(`${i + 1} 0 obj\n`)).to.be.true;
+      });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+"use strict";
+
+import { expect } from "chai";
+import {
+  formatRouteParameter,
+  parseRouteParameter,
+  parseRouteQuery,
+} from "../../src/js/route_highlight.js";
+import { routeFilter } from "../../src/layer/route_highlight.js";
+import { featureFilter } from "@maplibre/maplibre-gl-style-spec";
+
+describe("route_highlight", function () {
+  describe("#parseRouteParameter", function () {
+    it("splits the network from the ref", function () {
+      expect(parseRouteParameter("US:US/50")).to.deep.equal({
+        network: "US:US",
+        ref: "50",
+      });
+      expect(parseRouteParameter("US:NJ:Turnpike/1/9")).to.deep.equal({
+        network: "US:NJ:Turnpike",
+        ref: "1/9",
+      });
+    });
+    it("rejects incomplete routes", function () {
+      expect(parseRouteParameter(null)).to.be.undefined;
+      expect(parseRouteParameter("US:US")).to.be.undefined;
+      expect(parseRouteParameter("/50")).to.be.undefined;
+      expect(parseRouteParameter("US:US/")).to.be.undefined;
+    });
+    it("round-trips", function () {
+      let route = { network: "US:I", ref: "95" };
+      expect(parseRouteParameter(formatRouteParameter(route))).to.deep.equal(
+        route
+      );
+    });
+  });
+
+  describe("#parseRouteQuery", function () {
+    it("recognizes routes as signed", function () {
+      expect(parseRouteQuery("US 50")).to.deep.equal({
+        network: "US:US",
+        ref: "50",
+      });
+      expect(parseRouteQuery(" i-95 ")).to.deep.equal({
+        network: "US:I",
+        ref: "95",
+      });
+    });
+    it("recognizes routes as in the URL", function () {
+      expect(parseRouteQuery("US:CA/1")).to.deep.equal({
+        network: "US:CA",
+        ref: "1",
+      });
+    });
+    it("ignores places", function () {
+      expect(parseRouteQuery("Main Street")).to.be.undefined;
+      expect(parseRouteQuery("Washington")).to.be.undefined;
+    });
+  });
+
+  describe("#routeFilter", function () {
+    let filter = featureFilter(routeFilter("US:US", "50"), "layers[0].filter");
+    let matches = (properties) =>
+      filter.filter({ zoom: 10 }, { type: 2, properties });
+
+    it("matches any concurrent route", function () {
+      expect(matches({ route_1_network: "US:US", route_1_ref: "50" })).to.be
+        .true;
+      expect(
+        matches({
+          route_1_network: "US:I",
+          route_1_ref: "70",
+          route_2_network: "US:US",
+          route_2_ref: "50",
+        })
+      ).to.be.true;
+    });
+    it("requires both the network and the ref", function () {
+      expect(matches({ route_1_network: "US:US", route_1_ref: "40" })).to.be
+        .false;
+      expect(
+        matches({
+          route_1_network: "US:CA",
+          route_1_ref: "50",
+          route_2_network: "US:US",
+          route_2_ref: "6",
+        })
+      ).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,90 @@
+"use strict";
+
+import { expect } from "chai";
+import {
+  formatSelectionParameter,
+  getSelectionFeatures,
+  parseSelectionParameter,
+} from "../../src/js/search_selection.js";
+
+describe("search_selection", function () {
+  describe("#parseSelectionParameter", function () {
+    it("parses a location and name", function () {
+      expect(
+        parseSelectionParameter("38.8977/-77.0365/White House")
+      ).to.deep.equal({ center: [-77.0365, 38.8977], name: "White House" });
+      expect(parseSelectionParameter("40.5/-94/AC/DC")).to.deep.equal({
+        center: [-94, 40.5],
+        name: "AC/DC",
+      });
+    });
+    it("parses bounds", function () {
+      expect(
+        parseSelectionParameter("38.9/-77/-77.1,38.8,-76.9,39/Washington")
+      ).to.deep.equal({
+        center: [-77, 38.9],
+        bbox: [-77.1, 38.8, -76.9, 39],
+        name: "Washington",
+      });
+      expect(
+        parseSelectionParameter("38.9/-77/-77.1,38.8/Washington")
+      ).to.deep.equal({
+        center: [-77, 38.9],
+        name: "-77.1,38.8/Washington",
+      });
+    });
+    it("rejects values without a location", function () {
+      expect(parseSelectionParameter(null)).to.be.undefined;
+      expect(parseSelectionParameter("White House")).to.be.undefined;
+    });
+  });
+
+  describe("#formatSelectionParameter", function () {
+    it("rounds the location", function () {
+      expect(
+        formatSelectionParameter({
+          center: [-77.03650001, 38.8977],
+          name: "White House",
+        })
+      ).to.equal("38.8977/-77.0365/White House");
+    });
+    it("includes the bounds", function () {
+      expect(
+        formatSelectionParameter({
+          center: [-77, 38.9],
+          bbox: [-77.1, 38.8, -76.90000001, 39],
+          name: "Washington",
+        })
+      ).to.equal("38.9/-77/-77.1,38.8,-76.9,39/Washington");
+    });
+  });
+
+  describe("#getSelectionFeatures", function () {
+    it("outlines the bounds", function () {
+      expect(
+        getSelectionFeatures({ center: [1, 1], bbox: [0, 0, 2, 3] }).features
+      ).to.deep.equal([
+        {
+          type: "Feature",
+          properties: {},
+          geometry: {
+            type: "Polygon",
+            coordinates: [
+              [
+                [0, 0],
+                [2, 0],
+                [2, 3],
+                [0, 3],
+                [0, 0],
+              ],
+            ],
+          },
+        },
+      ]);
+    });
+    it("omits the bounds of a point", function () {
+      expect(getSelectionFeatures({ center: [1, 1] }).features).to.be.empty;
+      expect(getSelectionFeatures(undefined).features).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,38 @@
+"use strict";
+
+import { expect } from "chai";
+import * as Style from "../../src/js/style.js";
+
+describe("style", function () {
+  describe("#vectorSource", function () {
+    it("loads TileJSON", function () {
+      expect(
+        Style.vectorSource("https://tiles.example.com/openmaptiles.json")
+      ).to.deep.equal({
+        url: "https://tiles.example.com/openmaptiles.json",
+        type: "vector",
+      });
+    });
+    it("loads tile templates", function () {
+      expect(
+        Style.vectorSource("https://tiles.example.com/{z}/{x}/{y}.pbf")
+      ).to.deep.equal({
+        tiles: ["https://tiles.example.com/{z}/{x}/{y}.pbf"],
+        type: "vector",
+      });
+    });
+    it("loads PMTiles archives", function () {
+      let url = "pmtiles://https://example.com/planet.pmtiles";
+      expect(Style.vectorSource(url)).to.deep.equal({
+        url,
+        type: "vector",
+      });
+      expect(
+        Style.vectorSource("https://example.com/planet.pmtiles?v=2")
+      ).to.deep.equal({
+        url: "pmtiles://https://example.com/planet.pmtiles?v=2",
+        type: "vector",
+      });
+    });
+  });
+});
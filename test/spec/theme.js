@@ -0,0 +1,86 @@
+"use strict";
+
+import { expect } from "chai";
+import rgba from "color-rgba";
+import * as Color from "../../src/constants/color.js";
+import * as Theme from "../../src/js/theme.js";
+
+function lightness(color) {
+  let [r, g, b] = rgba(color);
+  return (Math.max(r, g, b) + Math.min(r, g, b)) / 2 / 255;
+}
+
+describe("theme", function () {
+  describe("#darkColor", function () {
+    it("darkens light fills", function () {
+      expect(lightness(Theme.darkColor(Color.backgroundFill))).to.be.below(0.2);
+    });
+    it("lightens dark labels", function () {
+      expect(lightness(Theme.darkColor("black"))).to.be.above(0.8);
+    });
+    it("preserves the order of lightness", function () {
+      let colors = ["hsl(218, 100%, 45%)", "#9c9c9c", Color.backgroundFill];
+      let darkLightness = colors.map((c) => lightness(Theme.darkColor(c)));
+      expect(darkLightness[0]).to.be.above(darkLightness[1]);
+      expect(darkLightness[1]).to.be.above(darkLightness[2]);
+    });
+    it("preserves alpha", function () {
+      expect(rgba(Theme.darkColor("hsla(201, 100%, 87%, 0.5)"))[3]).to.equal(
+        0.5
+      );
+    });
+  });
+
+  describe("#applyPalette", function () {
+    let layers = [
+      {
+        id: "water",
+        type: "fill",
+        paint: {
+          "fill-color": Color.waterFill,
+          "fill-opacity": 0.5,
+        },
+      },
+      {
+        id: "road",
+        type: "line",
+        paint: {
+          "line-color": [
+            "match",
+            ["get", "class"],
+            "motorway",
+            "hsl(218, 100%, 45%)",
+            "#9c9c9c",
+          ],
+        },
+      },
+    ];
+
+    it("leaves layers alone in the light theme", function () {
+      expect(Theme.applyPalette(layers, Theme.palettes.light)).to.equal(layers);
+    });
+    it("replaces named colors with the palette's colors", function () {
+      let palette = { ...Theme.palettes.light, waterFill: "navy" };
+      let [water] = Theme.applyPalette(layers, palette);
+      expect(water.paint["fill-color"]).to.equal("navy");
+      expect(water.paint["fill-opacity"]).to.equal(0.5);
+    });
+    it("derives other colors", function () {
+      let [, road] = Theme.applyPalette(layers, Theme.dark);
+      let lineColor = road.paint["line-color"];
+      expect(lineColor[1]).to.deep.equal(["get", "class"]);
+      expect(lineColor[2]).to.equal("motorway");
+      expect(lineColor[3]).to.equal(Theme.darkColor("hsl(218, 100%, 45%)"));
+      expect(lineColor[4]).to.equal(Theme.darkColor("#9c9c9c"));
+    });
+  });
+
+  describe("#applyShieldPalette", function () {
+    it("adapts generic shield text to the background", function () {
+      let shields = { default: { textColor: "black", textHaloColor: "white" } };
+      Theme.applyShieldPalette(shields, Theme.dark);
+      expect(shields.default.textHaloColor).to.equal(Theme.dark.backgroundFill);
+      expect(shields.default.textColor).to.equal(Theme.dark.shields.black);
+    });
+  });
+});
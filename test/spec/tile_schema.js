@@ -0,0 +1,99 @@
+"use strict";
+
+import { expect } from "chai";
+import * as Layers from "../../src/layer/index.js";
+import * as TileSchema from "../../src/schema/index.js";
+import { expression } from "@maplibre/maplibre-gl-style-spec";
+
+function evaluate(expr, properties) {
+  return expression
+    .createExpression(expr, "layers[0].filter")
+    .value.expression.evaluate({ properties: () => properties });
+}
+
+describe("tile_schema", function () {
+  describe("#getSchema", function () {
+    it("defaults to OpenMapTiles", function () {
+      expect(TileSchema.getSchema()).to.equal(TileSchema.openMapTiles);
+    });
+    it("looks up a schema by name", function () {
+      expect(TileSchema.getSchema("shortbread")).to.equal(
+        TileSchema.shortbread
+      );
+    });
+    it("rejects an unknown schema", function () {
+      expect(() => TileSchema.getSchema("esri")).to.throw();
+    });
+  });
+
+  describe("#adaptExpression", function () {
+    let attributes = { class: ["get", "kind"] };
+    it("replaces get expressions", function () {
+      expect(
+        TileSchema.adaptExpression(
+          ["==", ["get", "class"], "motorway"],
+          attributes
+        )
+      ).to.deep.equal(["==", ["get", "kind"], "motorway"]);
+    });
+    it("replaces has expressions", function () {
+      expect(
+        TileSchema.adaptExpression(["has", "class"], attributes)
+      ).to.deep.equal(["!=", ["get", "kind"], null]);
+    });
+    it("leaves other attributes and literals alone", function () {
+      let expr = [
+        "all",
+        ["get", "ref"],
+        ["in", ["get", "ref"], ["literal", ["get", "class"]]],
+      ];
+      expect(TileSchema.adaptExpression(expr, attributes)).to.deep.equal(expr);
+    });
+  });
+
+  describe("shortbread", function () {
+    let attributes = TileSchema.shortbread.attributes;
+    it("groups street kinds into road classes", function () {
+      let roadClass = attributes.transportation.class;
+      expect(evaluate(roadClass, { kind: "motorway" })).to.equal("motorway");
+      expect(evaluate(roadClass, { kind: "residential" })).to.equal("minor");
+      expect(evaluate(roadClass, { kind: "footway" })).to.equal("path");
+      expect(evaluate(roadClass, { kind: "tram" })).to.equal("transit");
+    });
+    it("derives ramps and bridges", function () {
+      let { ramp, brunnel } = attributes.transportation;
+      expect(evaluate(ramp, { kind: "motorway", link: true })).to.equal(1);
+      expect(evaluate(ramp, { kind: "motorway" })).to.equal(0);
+      expect(evaluate(brunnel, { bridge: true })).to.equal("bridge");
+      expect(evaluate(brunnel, { tunnel: true })).to.equal("tunnel");
+      expect(evaluate(brunnel, {})).to.equal("");
+    });
+    it("derives POI classes", function () {
+      let { class: poiClass, subclass } = attributes.poi;
+      let pub = { amenity: "pub" };
+      expect(evaluate(poiClass, pub)).to.equal("beer");
+      expect(evaluate(subclass, pub)).to.equal("pub");
+      let church = { amenity: "place_of_worship", religion: "christian" };
+      expect(evaluate(poiClass, church)).to.equal("place_of_worship");
+      expect(evaluate(subclass, church)).to.equal("christian");
+      let court = { leisure: "pitch", sport: "tennis" };
+      expect(evaluate(poiClass, court)).to.equal("pitch");
+      expect(evaluate(subclass, court)).to.equal("tennis");
+    });
+    it("renames source layers", function () {
+      let layers = Layers.build(["en"], TileSchema.shortbread);
+      let road = layers.find((l) => l.id === "road");
+      expect(road["source-layer"]).to.equal("streets");
+      expect(JSON.stringify(road.filter)).not.to.include('["get","class"]');
+    });
+    it("only draws parks and protected areas as parks", function () {
+      let layers = Layers.build(["en"], TileSchema.shortbread);
+      let park = layers.find((l) => l.id === "protected-area_fill");
+      expect(park["source-layer"]).to.equal("land");
+      expect(evaluate(park.filter, { kind: "park" })).to.be.true;
+      expect(evaluate(park.filter, { kind: "nature_reserve" })).to.be.true;
+      expect(evaluate(park.filter, { kind: "forest" })).to.be.false;
+      expect(evaluate(park.filter, { kind: "residential" })).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,46 @@
+"use strict";
+
+import { expect } from "chai";
+import { getTransitLines } from "../../src/layer/transit.js";
+
+describe("transit", function () {
+  describe("#getTransitLines", function () {
+    it("lists each line once", function () {
+      let features = [
+        {
+          properties: {
+            route_1_ref: "A",
+            route_1_name: "Eighth Avenue Express",
+            route_1_color: "#0039a6",
+            route_2_ref: "C",
+            route_2_color: "#0039a6",
+          },
+        },
+        {
+          properties: {
+            route_1_ref: "A",
+            route_1_name: "Eighth Avenue Express",
+            route_1_color: "#0039a6",
+          },
+        },
+      ];
+      expect(getTransitLines(features)).to.deep.equal([
+        { ref: "A", name: "Eighth Avenue Express", color: "#0039a6" },
+        { ref: "C", name: undefined, color: "#0039a6" },
+      ]);
+    });
+    it("sorts lines by ref, numerically", function () {
+      let features = [
+        { properties: { route_1_ref: "10", route_2_ref: "2" } },
+        { properties: { route_1_name: "Blue Line" } },
+      ];
+      expect(
+        getTransitLines(features).map((l) => l.ref ?? l.name)
+      ).to.deep.equal(["2", "10", "Blue Line"]);
+    });
+    it("ignores routes with neither a ref nor a name", function () {
+      let features = [{ properties: { route_1_color: "red", class: "rail" } }];
+      expect(getTransitLines(features)).to.be.empty;
+    });
+  });
+});
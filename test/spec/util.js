@@ -0,0 +1,41 @@
+"use strict";
+
+import { expect } from "chai";
+import { getFeatureBounds } from "../../src/js/util.js";
+
+describe("util", function () {
+  describe("#getFeatureBounds", function () {
+    it("spans every coordinate", function () {
+      expect(
+        getFeatureBounds([
+          {
+            geometry: {
+              type: "LineString",
+              coordinates: [
+                [-120, 39],
+                [-119, 38.5],
+              ],
+            },
+          },
+          {
+            geometry: {
+              type: "MultiLineString",
+              coordinates: [
+                [
+                  [-76, 38.9],
+                  [-75.1, 38.3],
+                ],
+              ],
+            },
+          },
+        ])
+      ).to.deep.equal([
+        [-120, 38.3],
+        [-75.1, 39],
+      ]);
+    });
+    it("returns nothing without features", function () {
+      expect(getFeatureBounds([])).to.be.undefined;
+    });
+  });
+});